@@ -0,0 +1,47 @@
+import { createErrorResponse, createSuccessResponse } from '../../lib/auth.js';
+import { getBatchStatus } from '../../lib/batch.js';
+import { createLogger, withRequestContext } from '../../lib/logger.js';
+
+/**
+ * Batch Status Endpoint
+ * Reports job counts by status and the state of each job of a batch from /api/process-batch
+ */
+
+const log = createLogger('Batch');
+
+export default withRequestContext(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Request-Id');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  const batchId = req.query?.id;
+  
+  if (!batchId || !/^[0-9a-f-]{36}$/i.test(batchId)) {
+    return res.status(400).json(createErrorResponse('Invalid batch ID'));
+  }
+  
+  try {
+    const batch = await getBatchStatus(batchId);
+    
+    if (!batch) {
+      return res.status(404).json(createErrorResponse('Batch not found', 404));
+    }
+    
+    // Keep polling clients and CDNs from caching in-flight state
+    res.setHeader('Cache-Control', 'no-store');
+    
+    return res.status(200).json(createSuccessResponse(batch, 'Batch status retrieved'));
+  } catch (error) {
+    log.error('Status lookup failed', { error });
+    return res.status(500).json(createErrorResponse(`Batch lookup failed: ${error.message}`, 500));
+  }
+});
@@ -1,27 +1,31 @@
-import { createSuccessResponse, createErrorResponse } from '../lib/auth.js';
+import { createSuccessResponse, createErrorResponse, getWebhookSecrets } from '../lib/auth.js';
 import { getSupabaseClient } from '../lib/supabase.js';
+import { getStorage, getStorageConfig } from '../lib/storage.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
 
 /**
  * Health Check Endpoint
  * Verifies service status and dependencies
  */
 
-export default async function handler(req, res) {
+const log = createLogger('Health');
+
+export default withRequestContext(async function handler(req, res) {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
     return res.status(200).end();
   }
-
+  
   if (req.method !== 'GET') {
     const errorResponse = createErrorResponse('Method not allowed', 405);
     return res.status(405).json(errorResponse);
   }
-
+  
   try {
-    console.log('[Health] Starting health check');
+    log.info('Starting health check');
     
     const healthStatus = {
       service: 'aspect-ratio-service',
@@ -31,15 +35,18 @@ export default async function handler(req, res) {
       environment: process.env.NODE_ENV || 'development',
       checks: {}
     };
-
+    
     // Check environment variables
     const requiredEnvVars = [
       'SUPABASE_URL',
       'SUPABASE_SERVICE_ROLE_KEY',
       'WEBHOOK_SECRET'
     ];
-
-    const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+    
+    // Webhook secrets may come from either WEBHOOK_SECRET or WEBHOOK_SECRETS
+    const missingEnvVars = requiredEnvVars.filter(varName =>
+      varName === 'WEBHOOK_SECRET' ? getWebhookSecrets().length === 0 : !process.env[varName]
+    );
     
     healthStatus.checks.environment = {
       status: missingEnvVars.length === 0 ? 'healthy' : 'unhealthy',
@@ -49,7 +56,7 @@ export default async function handler(req, res) {
       requiredVars: requiredEnvVars,
       missingVars: missingEnvVars
     };
-
+    
     // Check Supabase connection
     try {
       const supabase = getSupabaseClient();
@@ -70,7 +77,7 @@ export default async function handler(req, res) {
         url: process.env.SUPABASE_URL ? process.env.SUPABASE_URL.replace(/\/+$/, '') : 'not configured'
       };
     } catch (error) {
-      console.error('[Health] Supabase check failed:', error);
+      log.error('Supabase check failed', { error });
       healthStatus.checks.supabase = {
         status: 'unhealthy',
         message: `Supabase connection failed: ${error.message}`,
@@ -78,7 +85,28 @@ export default async function handler(req, res) {
       };
       healthStatus.status = 'unhealthy';
     }
-
+    
+    // Check the storage adapter configuration
+    const storageConfig = getStorageConfig();
+    try {
+      getStorage();
+      healthStatus.checks.storage = {
+        status: 'healthy',
+        message: `Using ${storageConfig.adapter} storage`,
+        adapter: storageConfig.adapter,
+        bucket: storageConfig.bucket
+      };
+    } catch (error) {
+      log.error('Storage check failed', { error });
+      healthStatus.checks.storage = {
+        status: 'unhealthy',
+        message: `Storage configuration error: ${error.message}`,
+        adapter: storageConfig.adapter,
+        bucket: storageConfig.bucket
+      };
+      healthStatus.status = 'unhealthy';
+    }
+    
     // Check Sharp library
     try {
       const sharp = await import('sharp');
@@ -102,7 +130,7 @@ export default async function handler(req, res) {
         version: sharpVersion
       };
     } catch (error) {
-      console.error('[Health] Sharp check failed:', error);
+      log.error('Sharp check failed', { error });
       healthStatus.checks.sharp = {
         status: 'unhealthy',
         message: `Sharp library error: ${error.message}`,
@@ -110,7 +138,7 @@ export default async function handler(req, res) {
       };
       healthStatus.status = 'unhealthy';
     }
-
+    
     // Check memory usage
     const memoryUsage = process.memoryUsage();
     const memoryMB = {
@@ -125,7 +153,7 @@ export default async function handler(req, res) {
       message: `Memory usage: ${memoryMB.heapUsed}MB of ${memoryMB.heapTotal}MB heap`,
       usage: memoryMB
     };
-
+    
     // Overall status
     const hasUnhealthy = Object.values(healthStatus.checks).some(check => check.status === 'unhealthy');
     if (hasUnhealthy) {
@@ -136,17 +164,17 @@ export default async function handler(req, res) {
         healthStatus.status = 'warning';
       }
     }
-
-    console.log(`[Health] Health check completed with status: ${healthStatus.status}`);
-
+    
+    log.info(`Health check completed with status: ${healthStatus.status}`);
+    
     // Return appropriate HTTP status
     const httpStatus = healthStatus.status === 'healthy' ? 200 : 
                       healthStatus.status === 'warning' ? 200 : 503;
-
+    
     return res.status(httpStatus).json(createSuccessResponse(healthStatus, 'Health check completed'));
-
+  
   } catch (error) {
-    console.error('[Health] Health check failed:', error);
+    log.error('Health check failed', { error });
     
     const errorResponse = createErrorResponse(
       `Health check failed: ${error.message}`,
@@ -155,4 +183,4 @@ export default async function handler(req, res) {
     
     return res.status(503).json(errorResponse);
   }
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+import { createErrorResponse, createSuccessResponse } from '../../lib/auth.js';
+import { getJobById, formatJob } from '../../lib/jobs.js';
+import { createLogger, withRequestContext } from '../../lib/logger.js';
+
+/**
+ * Job Status Endpoint
+ * Reports state, per-stage progress, errors and result URLs for an async processing job
+ */
+
+const log = createLogger('Jobs');
+
+export default withRequestContext(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Request-Id');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  const jobId = req.query?.id;
+  
+  if (!jobId || !/^[0-9a-f-]{36}$/i.test(jobId)) {
+    return res.status(400).json(createErrorResponse('Invalid job ID'));
+  }
+  
+  try {
+    const job = await getJobById(jobId);
+    
+    if (!job) {
+      return res.status(404).json(createErrorResponse('Job not found', 404));
+    }
+    
+    // Keep polling clients and CDNs from caching in-flight state
+    res.setHeader('Cache-Control', 'no-store');
+    
+    return res.status(200).json(createSuccessResponse(formatJob(job), 'Job status retrieved'));
+  } catch (error) {
+    log.error('Status lookup failed', { error });
+    return res.status(500).json(createErrorResponse(`Job lookup failed: ${error.message}`, 500));
+  }
+});
@@ -0,0 +1,78 @@
+import { createErrorResponse, createSuccessResponse, verifyBearerToken, pruneUsedSignatures } from '../../lib/auth.js';
+import { reapStaleJobs, runQueuedJobs } from '../../lib/jobRunner.js';
+import { retryPendingCallbacks } from '../../lib/callbacks.js';
+import { createLogger, withRequestContext } from '../../lib/logger.js';
+import { withTracing } from '../../lib/tracing.js';
+
+/**
+ * Job Worker Endpoint
+ * Requeues or fails stalled jobs and deletes expired webhook signatures, then makes due
+ * callback retries and runs queued async jobs until its time budget is used. Called every minute by the cron in vercel.json, which sends
+ * CRON_SECRET as a bearer token
+ */
+
+const log = createLogger('JobWorker');
+
+const DEFAULT_WORKER_BUDGET_SECONDS = 30;
+
+/**
+ * Get how long the worker keeps starting new jobs
+ * Jobs started within the budget still need to finish within the function's time limit
+ * @returns {number} Budget in seconds
+ */
+function getWorkerBudgetSeconds() {
+  const value = parseInt(process.env.JOB_WORKER_BUDGET_SECONDS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_WORKER_BUDGET_SECONDS;
+}
+
+export default withRequestContext(withTracing(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id, traceparent');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  if (!process.env.CRON_SECRET) {
+    log.error('CRON_SECRET environment variable not set');
+    return res.status(500).json(createErrorResponse('Server configuration error', 500));
+  }
+  
+  if (!verifyBearerToken(req.headers.authorization, process.env.CRON_SECRET)) {
+    log.info('Worker request without a valid token');
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json(createErrorResponse('Invalid or missing worker token', 401));
+  }
+  
+  const startTime = Date.now();
+  
+  try {
+    const deadline = startTime + getWorkerBudgetSeconds() * 1000;
+    const { requeued, expired } = await reapStaleJobs();
+    const signaturesPruned = await pruneUsedSignatures();
+    const callbacksRetried = await retryPendingCallbacks({ deadline });
+    const processed = await runQueuedJobs({ deadline });
+    
+    log.info(`Worker run finished: ${processed} run, ${requeued} requeued, ${expired} expired, ${callbacksRetried} callbacks retried, ${signaturesPruned} signatures pruned`);
+    
+    return res.status(200).json(createSuccessResponse(
+      {
+        processed,
+        requeued,
+        expired,
+        callbacksRetried,
+        processingTime: Date.now() - startTime
+      },
+      'Worker run completed'
+    ));
+  } catch (error) {
+    log.error('Worker run failed', { error });
+    return res.status(500).json(createErrorResponse(`Worker run failed: ${error.message}`, 500));
+  }
+}));
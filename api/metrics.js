@@ -0,0 +1,51 @@
+import { createErrorResponse, verifyBearerToken } from '../lib/auth.js';
+import { renderMetrics } from '../lib/metrics.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+/**
+ * Metrics Endpoint
+ * Serves this instance's processing metrics in the Prometheus text format.
+ * Scrapers must send METRICS_TOKEN as a bearer token; without one, every request is denied
+ */
+
+const log = createLogger('Metrics');
+
+/**
+ * Check the Authorization header against METRICS_TOKEN
+ * @param {string} header - Authorization header value
+ * @returns {boolean} True if a token is configured and the bearer token matches
+ */
+function isAuthorized(header) {
+  const token = process.env.METRICS_TOKEN;
+  return Boolean(token) && verifyBearerToken(header, token);
+}
+
+export default withRequestContext(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  if (!isAuthorized(req.headers.authorization)) {
+    log.info('Metrics request without a valid token');
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json(createErrorResponse('Invalid or missing metrics token', 401));
+  }
+  
+  try {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(renderMetrics());
+  } catch (error) {
+    log.error('Error rendering metrics', { error });
+    return res.status(500).json(createErrorResponse(`Metrics unavailable: ${error.message}`, 500));
+  }
+});
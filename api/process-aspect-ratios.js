@@ -1,229 +1,221 @@
+import crypto from 'crypto';
 import { 
-  verifyWebhookSignature, 
+  verifyWebhookRequest, 
+  getWebhookSecrets,
   validateWebhookHeaders,
-  parseWebhookPayload,
   createErrorResponse,
   createSuccessResponse 
 } from '../lib/auth.js';
-import { 
-  downloadImage,
-  uploadImageToStorage,
-  updateCharacterAspectRatios,
-  updateAspectRatioStatus,
-  getCharacterById,
-  cleanupOldAspectRatioFiles
-} from '../lib/supabase.js';
-import { 
-  processAllAspectRatios,
-  validateImageBuffer,
-  getImageMetadata 
-} from '../lib/imageProcessor.js';
+import { resolveRenderTargets } from '../lib/imageProcessor.js';
+import { runAspectRatioPipeline } from '../lib/pipeline.js';
+import { createJob, formatJob, getJobById } from '../lib/jobs.js';
+import {
+  claimIdempotencyKey,
+  releaseIdempotencyKey,
+  isValidIdempotencyKey,
+  hashRequest,
+  IdempotencyConflictError
+} from '../lib/idempotency.js';
+import { readRequestBody, parseProcessingPayload, storeUploadedSource } from '../lib/uploads.js';
+import { enqueueJob } from '../lib/jobRunner.js';
+import { resolveEntityReference, getEntityType, getEntityStorageFolder } from '../lib/entities.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { withTracing } from '../lib/tracing.js';
+import { toServiceError } from '../lib/errors.js';
 
 /**
  * Process Aspect Ratios Webhook Endpoint
- * Main endpoint for processing character images into multiple aspect ratios
+ * Main endpoint for processing character (or other entity) images into multiple aspect ratios
  */
 
-export default async function handler(req, res) {
+const log = createLogger('AspectRatio');
+
+export default withRequestContext(withTracing(async function handler(req, res) {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature, Prefer, Idempotency-Key, X-Request-Id, traceparent');
     return res.status(200).end();
   }
-
+  
   if (req.method !== 'POST') {
     const errorResponse = createErrorResponse('Method not allowed', 405);
     return res.status(405).json(errorResponse);
   }
-
-  let characterId = null;
+  
+  const startTime = Date.now();
+  let target = null;
   
   try {
-    console.log('[AspectRatio] Received webhook request');
+    log.info('Received webhook request');
     
     // Validate headers
     const headerValidation = validateWebhookHeaders(req.headers);
     if (!headerValidation.success) {
-      console.log('[AspectRatio] Header validation failed:', headerValidation.errors);
+      log.info('Header validation failed', { errors: headerValidation.errors });
       return res.status(400).json(createErrorResponse(
         `Invalid headers: ${headerValidation.errors.join(', ')}`
       ));
     }
-
+    
     // Get raw body for signature verification
-    let rawBody = '';
-    if (typeof req.body === 'string') {
-      rawBody = req.body;
-    } else if (Buffer.isBuffer(req.body)) {
-      rawBody = req.body.toString();
-    } else if (req.body && typeof req.body === 'object') {
-      rawBody = JSON.stringify(req.body);
-    } else {
+    const rawBody = await readRequestBody(req);
+    if (rawBody === null) {
       return res.status(400).json(createErrorResponse('Invalid request body format'));
     }
-
+    
     // Verify webhook signature
     const signature = req.headers['x-webhook-signature'];
-    const webhookSecret = process.env.WEBHOOK_SECRET;
     
-    if (!webhookSecret) {
-      console.error('[AspectRatio] WEBHOOK_SECRET environment variable not set');
+    if (getWebhookSecrets().length === 0) {
+      log.error('WEBHOOK_SECRET or WEBHOOK_SECRETS environment variable not set');
       return res.status(500).json(createErrorResponse('Server configuration error'));
     }
-
-    if (!verifyWebhookSignature(rawBody, signature, webhookSecret)) {
-      console.log('[AspectRatio] Webhook signature verification failed');
-      return res.status(401).json(createErrorResponse('Invalid webhook signature'));
+    
+    const verification = await verifyWebhookRequest(rawBody, signature);
+    if (!verification.valid) {
+      log.info(`Webhook signature verification failed: ${verification.error}`);
+      return res.status(401).json(createErrorResponse(verification.error, 401));
     }
-
-    console.log('[AspectRatio] Webhook signature verified');
-
-    // Parse payload
-    const payloadResult = parseWebhookPayload(rawBody);
+    
+    log.info(`Webhook signature verified (key ${verification.keyId}, ${verification.scheme})`);
+    
+    // Parse payload (JSON, or multipart/form-data with an uploaded image)
+    const payloadResult = parseProcessingPayload(rawBody, req.headers['content-type']);
     if (!payloadResult.success) {
-      return res.status(400).json(createErrorResponse(payloadResult.error));
+      const statusCode = payloadResult.statusCode || 400;
+      return res.status(statusCode).json(createErrorResponse(payloadResult.error, statusCode));
     }
-
-    const { characterId: parsedCharacterId, imageUrl, options = {} } = payloadResult.data;
-    characterId = parsedCharacterId;
     
-    console.log(`[AspectRatio] Processing aspect ratios for character: ${characterId}`);
-    console.log(`[AspectRatio] Image URL: ${imageUrl}`);
-
-    // Update status to processing
-    await updateAspectRatioStatus(characterId, 'processing');
-    console.log('[AspectRatio] Updated character status to processing');
-
-    // Verify character exists
-    try {
-      await getCharacterById(characterId);
-    } catch (error) {
-      console.error('[AspectRatio] Character not found:', error);
-      await updateAspectRatioStatus(characterId, 'failed', 'Character not found');
-      return res.status(404).json(createErrorResponse('Character not found'));
+    const { imageBuffer } = payloadResult;
+    const { imageUrl = null, callbackUrl = null, options = {} } = payloadResult.data;
+    
+    // Validate requested aspect ratios and sizes against the supported catalog
+    const targetResult = resolveRenderTargets(options);
+    if (!targetResult.valid) {
+      return res.status(400).json(createErrorResponse(`Invalid options: ${targetResult.error}`));
     }
-
-    // Download original image
-    console.log('[AspectRatio] Downloading original image...');
-    const imageBuffer = await downloadImage(imageUrl, options.timeout || 30000);
-    
-    // Validate image buffer
-    const validation = validateImageBuffer(imageBuffer);
-    if (!validation.valid) {
-      const errorMsg = `Invalid image: ${validation.error}`;
-      console.error('[AspectRatio]', errorMsg);
-      await updateAspectRatioStatus(characterId, 'failed', errorMsg);
-      return res.status(400).json(createErrorResponse(errorMsg));
+    
+    // Optional caller-supplied key for duplicate delivery suppression
+    const idempotencyKey = req.headers['idempotency-key'] || null;
+    if (idempotencyKey !== null && !isValidIdempotencyKey(idempotencyKey)) {
+      return res.status(400).json(createErrorResponse('Invalid Idempotency-Key header'));
     }
-
-    console.log(`[AspectRatio] Image downloaded and validated: ${validation.format}, ${validation.size} bytes`);
-
-    // Get image metadata
-    const metadata = await getImageMetadata(imageBuffer);
-    console.log(`[AspectRatio] Image metadata:`, {
-      dimensions: `${metadata.width}x${metadata.height}`,
-      format: metadata.format,
-      aspectRatio: metadata.aspectRatio,
-      size: metadata.size
-    });
-
-    // Process all aspect ratios
-    console.log('[AspectRatio] Processing all aspect ratios...');
-    const processingResult = await processAllAspectRatios(imageBuffer, characterId);
     
-    const { originalAspectRatio, processedImages } = processingResult;
-    console.log(`[AspectRatio] Processed ${Object.keys(processedImages).length} aspect ratios`);
-
-    // Upload all processed images
-    console.log('[AspectRatio] Uploading processed images...');
-    const aspectRatioUrls = {};
-    const uploadPromises = [];
-
-    for (const [ratioKey, imageData] of Object.entries(processedImages)) {
-      const uploadPromise = uploadImageToStorage(
-        imageData.buffer,
-        imageData.filename,
-        'image/jpeg'
-      ).then(result => {
-        aspectRatioUrls[ratioKey] = result.publicUrl;
-        console.log(`[AspectRatio] Uploaded ${ratioKey}: ${result.publicUrl}`);
-      });
+    // Accepts { entityType, entityId } or the original { characterId }
+    const { entityType, entityId } = resolveEntityReference(payloadResult.data);
+    target = `${entityType} ${entityId}`;
+    
+    // A key is bound to the request it was first used with, uploads by their bytes
+    const requestHash = idempotencyKey
+      ? hashRequest({ entityType, entityId, imageUrl, imageBuffer, callbackUrl, options })
+      : null;
+    
+    // Async mode: hand the work to a job and return immediately
+    if (options.async === true || req.headers.prefer?.includes('respond-async')) {
+      // Claim the key for the job before creating it, so concurrent duplicates cannot
+      // both queue one; duplicates are answered from the record that won the claim
+      const jobId = crypto.randomUUID();
+      let claim = null;
+      if (idempotencyKey) {
+        claim = await claimIdempotencyKey(idempotencyKey, { entityType, entityId, jobId, requestHash });
+        const record = claim.claimed ? null : claim.record;
+        
+        if (record?.status === 'completed') {
+          log.info(`Replaying completed request for key ${idempotencyKey}`);
+          res.setHeader('Idempotent-Replayed', 'true');
+          return res.status(200).json(createSuccessResponse(
+            {
+              ...record.result,
+              idempotency: { key: idempotencyKey, status: 'replayed' }
+            },
+            'Aspect ratios processed successfully'
+          ));
+        }
+        
+        const existingJob = record?.job_id ? await getJobById(record.job_id) : null;
+        if (existingJob) {
+          log.info(`Request for key ${idempotencyKey} already running as job ${existingJob.id}`);
+          res.setHeader('Idempotent-Replayed', 'true');
+          res.setHeader('Location', `/api/jobs/${existingJob.id}`);
+          return res.status(202).json(createSuccessResponse(
+            {
+              ...formatJob(existingJob),
+              statusUrl: `/api/jobs/${existingJob.id}`
+            },
+            'Aspect ratio processing job accepted'
+          ));
+        }
+        if (record) {
+          throw new IdempotencyConflictError(idempotencyKey, record);
+        }
+      }
+      
+      let job;
+      try {
+        // Jobs are stored as JSON, so uploaded images are stored first and fetched by URL
+        const jobImageUrl = imageBuffer
+          ? await storeUploadedSource(getEntityStorageFolder(getEntityType(entityType), entityId), imageBuffer)
+          : imageUrl;
+        
+        job = await createJob({ entityType, entityId, imageUrl: jobImageUrl, callbackUrl, options, idempotencyKey, requestHash }, { jobId });
+      } catch (error) {
+        if (claim) {
+          await releaseIdempotencyKey(idempotencyKey, claim.updatedAt, error);
+        }
+        throw error;
+      }
+      enqueueJob(job);
       
-      uploadPromises.push(uploadPromise);
+      log.info(`Accepted async job ${job.id} for ${target}`);
+      
+      res.setHeader('Location', `/api/jobs/${job.id}`);
+      return res.status(202).json(createSuccessResponse(
+        {
+          ...formatJob(job),
+          statusUrl: `/api/jobs/${job.id}`
+        },
+        'Aspect ratio processing job accepted'
+      ));
     }
-
-    await Promise.all(uploadPromises);
-    console.log('[AspectRatio] All images uploaded successfully');
-
-    // Update character record with aspect ratio URLs
-    console.log('[AspectRatio] Updating character record...');
-    await updateCharacterAspectRatios(characterId, aspectRatioUrls, originalAspectRatio);
-
-    // Cleanup old files (non-blocking)
-    cleanupOldAspectRatioFiles(characterId).catch(error => {
-      console.warn('[AspectRatio] Cleanup warning:', error.message);
-    });
-
+    
+    const result = await runAspectRatioPipeline({ entityType, entityId, imageUrl, imageBuffer, callbackUrl, options, idempotencyKey, requestHash });
+    
+    if (result.idempotency.status !== 'processed') {
+      res.setHeader('Idempotent-Replayed', 'true');
+    }
+    
     // Prepare response
     const responseData = {
-      characterId,
-      originalAspectRatio,
-      aspectRatioUrls,
-      metadata: {
-        originalDimensions: `${metadata.width}x${metadata.height}`,
-        originalFormat: metadata.format,
-        originalSize: metadata.size,
-        processedCount: Object.keys(processedImages).length
-      },
-      processingTime: Date.now() - new Date(req.headers['x-request-start'] || Date.now())
+      ...result,
+      processingTime: Date.now() - startTime
     };
-
-    console.log(`[AspectRatio] Successfully processed aspect ratios for character ${characterId}`);
     
     return res.status(200).json(createSuccessResponse(
       responseData,
       'Aspect ratios processed successfully'
     ));
-
+  
   } catch (error) {
-    console.error('[AspectRatio] Processing error:', error);
+    log.error(`Processing error${target ? ` for ${target}` : ''}`, { error });
     
-    // Update character status to failed if we have a characterId
-    if (characterId) {
-      try {
-        await updateAspectRatioStatus(characterId, 'failed', error.message);
-      } catch (statusError) {
-        console.error('[AspectRatio] Failed to update error status:', statusError);
-      }
-    }
-
-    // Determine appropriate HTTP status code
-    let statusCode = 500;
-    if (error.message.includes('not found') || error.message.includes('404')) {
-      statusCode = 404;
-    } else if (error.message.includes('timeout') || error.message.includes('TIMEOUT')) {
-      statusCode = 408;
-    } else if (error.message.includes('too large') || error.message.includes('limit')) {
-      statusCode = 413;
-    } else if (error.message.includes('invalid') || error.message.includes('malformed')) {
-      statusCode = 400;
-    }
-
+    // Typed errors carry their status and a client-facing message; anything else is internal
+    const failure = toServiceError(error);
     const errorResponse = createErrorResponse(
-      `Processing failed: ${error.message}`,
-      statusCode
+      failure === error ? error.message : `Processing failed: ${error.message}`,
+      failure.statusCode,
+      failure
     );
     
-    return res.status(statusCode).json(errorResponse);
+    return res.status(failure.statusCode).json(errorResponse);
   }
-}
+}));
 
+// The raw body is read directly so signatures cover the exact bytes, including
+// multipart uploads; MAX_UPLOAD_BYTES limits its size
 export const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '10mb',
-    },
+    bodyParser: false,
   },
 }
\ No newline at end of file
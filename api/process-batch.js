@@ -0,0 +1,108 @@
+import { 
+  verifyWebhookRequest, 
+  getWebhookSecrets,
+  validateWebhookHeaders,
+  parseBatchPayload,
+  createErrorResponse,
+  createSuccessResponse 
+} from '../lib/auth.js';
+import { submitBatch, getBatchMaxItems } from '../lib/batch.js';
+import { readRequestBody } from '../lib/uploads.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { withTracing } from '../lib/tracing.js';
+import { toServiceError } from '../lib/errors.js';
+
+/**
+ * Batch Processing Webhook Endpoint
+ * Queues aspect ratio processing for many characters or other entities in one signed call,
+ * one async job per item, and reports the job of each item or why it was rejected
+ */
+
+const log = createLogger('Batch');
+
+export default withRequestContext(withTracing(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature, X-Request-Id, traceparent');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'POST') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  try {
+    log.info('Received batch webhook request');
+    
+    // Validate headers
+    const headerValidation = validateWebhookHeaders(req.headers);
+    if (!headerValidation.success) {
+      log.info('Header validation failed', { errors: headerValidation.errors });
+      return res.status(400).json(createErrorResponse(
+        `Invalid headers: ${headerValidation.errors.join(', ')}`
+      ));
+    }
+    
+    // Get raw body for signature verification
+    const rawBody = await readRequestBody(req);
+    if (rawBody === null) {
+      return res.status(400).json(createErrorResponse('Invalid request body format'));
+    }
+    
+    // Verify webhook signature
+    if (getWebhookSecrets().length === 0) {
+      log.error('WEBHOOK_SECRET or WEBHOOK_SECRETS environment variable not set');
+      return res.status(500).json(createErrorResponse('Server configuration error'));
+    }
+    
+    const verification = await verifyWebhookRequest(rawBody, req.headers['x-webhook-signature']);
+    if (!verification.valid) {
+      log.info(`Webhook signature verification failed: ${verification.error}`);
+      return res.status(401).json(createErrorResponse(verification.error, 401));
+    }
+    
+    // Parse payload
+    const payloadResult = parseBatchPayload(rawBody.toString(), getBatchMaxItems());
+    if (!payloadResult.success) {
+      return res.status(400).json(createErrorResponse(payloadResult.error));
+    }
+    
+    const { items, options = {} } = payloadResult.data;
+    
+    const batch = await submitBatch(items, { defaults: options });
+    const statusUrl = batch.accepted > 0 ? `/api/batches/${batch.batchId}` : null;
+    
+    if (statusUrl) {
+      res.setHeader('Location', statusUrl);
+    }
+    return res.status(202).json(createSuccessResponse(
+      {
+        ...batch,
+        statusUrl
+      },
+      `Accepted ${batch.accepted} of ${batch.total} items`
+    ));
+  
+  } catch (error) {
+    log.error('Batch processing error', { error });
+    
+    const failure = toServiceError(error);
+    const errorResponse = createErrorResponse(
+      failure === error ? error.message : `Batch submission failed: ${error.message}`,
+      failure.statusCode,
+      failure
+    );
+    return res.status(failure.statusCode).json(errorResponse);
+  }
+}));
+
+// The raw body is read directly so the signature covers the exact bytes;
+// MAX_UPLOAD_BYTES limits its size
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+import { createErrorResponse } from '../lib/auth.js';
+import {
+  verifyRenderSignature,
+  resolveRenderRequest,
+  loadRenderSource,
+  computeRenderEtag,
+  renderRendition,
+  getRenderCacheMaxAge
+} from '../lib/render.js';
+import { OUTPUT_FORMATS } from '../lib/imageProcessor.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { withTracing } from '../lib/tracing.js';
+import { toServiceError } from '../lib/errors.js';
+
+/**
+ * On-the-fly Rendition Endpoint
+ * Renders a padded or cropped rendition from signed query parameters,
+ * with strong ETags and Cache-Control headers for CDN caching
+ */
+
+const log = createLogger('Render');
+
+/**
+ * Check whether an If-None-Match header matches the ETag
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client's copy is current
+ */
+function matchesEtag(header, etag) {
+  if (!header) {
+    return false;
+  }
+  return header === '*' || header.split(',').some(value => value.trim().replace(/^W\//, '') === etag);
+}
+
+export default withRequestContext(withTracing(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-Request-Id, traceparent');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  if (!process.env.RENDER_SIGNING_SECRET) {
+    log.error('RENDER_SIGNING_SECRET environment variable not set');
+    return res.status(500).json(createErrorResponse('Server configuration error', 500));
+  }
+  
+  const query = req.query || {};
+  
+  if (!verifyRenderSignature(query)) {
+    log.info('Render signature verification failed');
+    return res.status(403).json(createErrorResponse('Invalid render signature', 403));
+  }
+  
+  const requestResult = resolveRenderRequest(query);
+  if (!requestResult.valid) {
+    return res.status(400).json(createErrorResponse(requestResult.error));
+  }
+  
+  const { request } = requestResult;
+  
+  try {
+    const sourceBuffer = await loadRenderSource(request);
+    const etag = computeRenderEtag(request, sourceBuffer);
+    const maxAge = getRenderCacheMaxAge();
+    
+    // The ETag is known before rendering, so revalidations skip the transform
+    if (matchesEtag(req.headers['if-none-match'], etag)) {
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', `public, max-age=${maxAge}, s-maxage=${maxAge}`);
+      return res.status(304).end();
+    }
+    
+    const buffer = await renderRendition(request, sourceBuffer);
+    
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}, s-maxage=${maxAge}`);
+    res.setHeader('Content-Type', OUTPUT_FORMATS[request.format].contentType);
+    res.setHeader('Content-Length', buffer.length);
+    return res.status(200).send(buffer);
+  } catch (error) {
+    log.error('Render error', { error });
+    
+    const failure = toServiceError(error);
+    
+    // Errors must not be cached by the CDN
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(failure.statusCode).json(createErrorResponse(`Render failed: ${error.message}`, failure.statusCode, failure));
+  }
+}));
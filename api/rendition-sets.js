@@ -0,0 +1,78 @@
+import {
+  verifyWebhookRequest,
+  getWebhookSecrets,
+  createErrorResponse,
+  createSuccessResponse
+} from '../lib/auth.js';
+import { resolveEntityReference, describeEntity } from '../lib/entities.js';
+import { listRenditionSets, formatRenditionSet } from '../lib/versions.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { withTracing } from '../lib/tracing.js';
+import { toServiceError } from '../lib/errors.js';
+
+/**
+ * Rendition Set Listing Endpoint
+ * Lists an entity's rendition sets, newest first, so callers can pick a version for
+ * /api/rollback. A GET has no body, so the signature covers the request path and query
+ */
+
+const log = createLogger('RenditionSets');
+
+export default withRequestContext(withTracing(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature, X-Request-Id, traceparent');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  try {
+    const signature = req.headers['x-webhook-signature'];
+    if (!signature) {
+      return res.status(400).json(createErrorResponse('Invalid headers: Missing X-Webhook-Signature header'));
+    }
+    
+    // Verify webhook signature over the path and query as sent
+    if (getWebhookSecrets().length === 0) {
+      log.error('WEBHOOK_SECRET or WEBHOOK_SECRETS environment variable not set');
+      return res.status(500).json(createErrorResponse('Server configuration error'));
+    }
+    
+    const verification = await verifyWebhookRequest(req.url, signature);
+    if (!verification.valid) {
+      log.info(`Webhook signature verification failed: ${verification.error}`);
+      return res.status(401).json(createErrorResponse(verification.error, 401));
+    }
+    
+    // Query: entityType and entityId, or characterId
+    const { entityType: type, entityId: id, characterId } = req.query || {};
+    const entityResult = resolveEntityReference({ entityType: type, entityId: id, characterId });
+    if (!entityResult.valid) {
+      return res.status(400).json(createErrorResponse(entityResult.error));
+    }
+    
+    const { entityType, entityId } = entityResult;
+    const renditionSets = await listRenditionSets(entityType, entityId);
+    
+    res.setHeader('Cache-Control', 'no-store');
+    
+    return res.status(200).json(createSuccessResponse(
+      {
+        ...describeEntity(entityType, entityId),
+        renditionSets: renditionSets.map(formatRenditionSet)
+      },
+      `Found ${renditionSets.length} rendition sets`
+    ));
+  } catch (error) {
+    log.error('Listing error', { error });
+    
+    const failure = toServiceError(error);
+    return res.status(failure.statusCode).json(createErrorResponse(`Listing failed: ${error.message}`, failure.statusCode, failure));
+  }
+}));
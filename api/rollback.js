@@ -0,0 +1,110 @@
+import {
+  verifyWebhookRequest,
+  getWebhookSecrets,
+  validateWebhookHeaders,
+  createErrorResponse,
+  createSuccessResponse
+} from '../lib/auth.js';
+import { readRequestBody } from '../lib/uploads.js';
+import { resolveEntityReference, getEntityType, describeEntity } from '../lib/entities.js';
+import { rollbackToRenditionSet, formatRenditionSet } from '../lib/versions.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { withTracing } from '../lib/tracing.js';
+import { toServiceError } from '../lib/errors.js';
+
+/**
+ * Rendition Rollback Webhook Endpoint
+ * Points an entity back at an earlier rendition set, signed the same way as /api/process
+ */
+
+const log = createLogger('Rollback');
+
+export default withRequestContext(withTracing(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature, X-Request-Id, traceparent');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'POST') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  try {
+    log.info('Received rollback request');
+    
+    // Validate headers
+    const headerValidation = validateWebhookHeaders(req.headers);
+    if (!headerValidation.success) {
+      log.info('Header validation failed', { errors: headerValidation.errors });
+      return res.status(400).json(createErrorResponse(
+        `Invalid headers: ${headerValidation.errors.join(', ')}`
+      ));
+    }
+    
+    // Get raw body for signature verification
+    const rawBody = await readRequestBody(req);
+    if (rawBody === null) {
+      return res.status(400).json(createErrorResponse('Invalid request body format'));
+    }
+    
+    // Verify webhook signature
+    if (getWebhookSecrets().length === 0) {
+      log.error('WEBHOOK_SECRET or WEBHOOK_SECRETS environment variable not set');
+      return res.status(500).json(createErrorResponse('Server configuration error'));
+    }
+    
+    const verification = await verifyWebhookRequest(rawBody, req.headers['x-webhook-signature']);
+    if (!verification.valid) {
+      log.info(`Webhook signature verification failed: ${verification.error}`);
+      return res.status(401).json(createErrorResponse(verification.error, 401));
+    }
+    
+    // Parse payload: { entityType, entityId } or { characterId }, plus the version to restore
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString());
+    } catch {
+      return res.status(400).json(createErrorResponse('Invalid JSON payload'));
+    }
+    
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return res.status(400).json(createErrorResponse('Payload must be an object'));
+    }
+    
+    const entityResult = resolveEntityReference(payload);
+    if (!entityResult.valid) {
+      return res.status(400).json(createErrorResponse(entityResult.error));
+    }
+    
+    if (!Number.isInteger(payload.version) || payload.version < 1) {
+      return res.status(400).json(createErrorResponse('Invalid version: must be a positive integer'));
+    }
+    
+    const { entityType, entityId } = entityResult;
+    const renditionSet = await rollbackToRenditionSet(getEntityType(entityType), entityId, payload.version);
+    
+    return res.status(200).json(createSuccessResponse(
+      {
+        ...describeEntity(entityType, entityId),
+        ...formatRenditionSet(renditionSet)
+      },
+      `Rolled back to rendition set v${renditionSet.version}`
+    ));
+  } catch (error) {
+    log.error('Rollback error', { error });
+    
+    const failure = toServiceError(error);
+    return res.status(failure.statusCode).json(createErrorResponse(`Rollback failed: ${error.message}`, failure.statusCode, failure));
+  }
+}));
+
+// The raw body is read directly so the signature covers the exact bytes
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
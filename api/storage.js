@@ -0,0 +1,74 @@
+import { createErrorResponse } from '../lib/auth.js';
+import {
+  getStorage,
+  getStorageConfig,
+  getLocalContentType,
+  verifyLocalSignedUrl
+} from '../lib/storage.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+/**
+ * Local Storage Endpoint
+ * Serves objects written by the local filesystem storage adapter. Signed URLs
+ * (expires and sig query parameters) are checked; STORAGE_LOCAL_PRIVATE=true
+ * makes them mandatory
+ */
+
+const log = createLogger('Storage');
+
+export default withRequestContext(async function handler(req, res) {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Request-Id');
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const errorResponse = createErrorResponse('Method not allowed', 405);
+    return res.status(405).json(errorResponse);
+  }
+  
+  // Other adapters serve their objects themselves
+  if (getStorageConfig().adapter !== 'local') {
+    return res.status(404).json(createErrorResponse('Not found', 404));
+  }
+  
+  const query = req.query || {};
+  // /api/storage/<path> is rewritten to /api/storage?path=<path>
+  const objectPath = typeof query.path === 'string' ? query.path.replace(/^\/+/, '') : '';
+  const segments = objectPath.split('/');
+  
+  if (!objectPath || segments.some(segment => !segment || segment === '.' || segment === '..')) {
+    return res.status(400).json(createErrorResponse('Invalid storage path'));
+  }
+  
+  if (query.sig !== undefined || process.env.STORAGE_LOCAL_PRIVATE === 'true') {
+    const signatureResult = verifyLocalSignedUrl(objectPath, query.expires, query.sig);
+    if (!signatureResult.valid) {
+      return res.status(403).json(createErrorResponse(signatureResult.error, 403));
+    }
+  }
+  
+  try {
+    const buffer = await getStorage().get(objectPath);
+    
+    res.setHeader('Content-Type', getLocalContentType(objectPath));
+    res.setHeader('Content-Length', buffer.length);
+    // Object names carry a timestamp, so stored files never change in place
+    res.setHeader('Cache-Control', query.sig !== undefined ? 'private, no-store' : 'public, max-age=31536000, immutable');
+    
+    if (req.method === 'HEAD') {
+      return res.status(200).end();
+    }
+    return res.status(200).send(buffer);
+  } catch (error) {
+    if (error.status === 404 || error.status === 400) {
+      return res.status(404).json(createErrorResponse('Object not found', 404));
+    }
+    
+    log.error('Error serving object', { error });
+    return res.status(500).json(createErrorResponse(`Storage read failed: ${error.message}`, 500));
+  }
+});
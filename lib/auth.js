@@ -1,13 +1,69 @@
 import crypto from 'crypto';
+import { resolveEntityReference } from './entities.js';
+import { createLogger, getRequestId } from './logger.js';
+import { ServiceError, DatabaseError } from './errors.js';
+import { validateOutboundUrl } from './downloader.js';
+import { getSupabaseClient } from './supabase.js';
 
 /**
  * Webhook Security Utilities
  * Handles secure webhook verification for the aspect ratio processing service
  */
 
+const log = createLogger('WebhookSecurity');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const DEFAULT_KEY_ID = 'default';
+
+// Signed requests already accepted, shared by all instances and kept until they fall
+// outside the tolerance window
+const SIGNATURES_TABLE = 'aspect_ratio_webhook_signatures';
+
+/**
+ * Get the active webhook secrets
+ * WEBHOOK_SECRETS holds comma-separated keyId:secret pairs; WEBHOOK_SECRET is the 'default' key
+ * @returns {Array<Object>} Secrets as { keyId, secret }
+ */
+export function getWebhookSecrets() {
+  const secrets = (process.env.WEBHOOK_SECRETS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { keyId: entry.slice(0, separator), secret: entry.slice(separator + 1) }
+        : { keyId: DEFAULT_KEY_ID, secret: entry };
+    })
+    .filter(({ secret }) => secret);
+  
+  if (process.env.WEBHOOK_SECRET && !secrets.some(({ keyId }) => keyId === DEFAULT_KEY_ID)) {
+    secrets.push({ keyId: DEFAULT_KEY_ID, secret: process.env.WEBHOOK_SECRET });
+  }
+  
+  return secrets;
+}
+
+/**
+ * Get how far a signature timestamp may be from the current time
+ * @returns {number} Tolerance in seconds
+ */
+function getToleranceSeconds() {
+  const tolerance = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10);
+  return Number.isFinite(tolerance) && tolerance > 0 ? tolerance : DEFAULT_TOLERANCE_SECONDS;
+}
+
+/**
+ * Check whether legacy sha256= signatures are accepted
+ * @returns {boolean} True if WEBHOOK_ALLOW_LEGACY_SIGNATURES is enabled
+ */
+function isLegacySignatureAllowed() {
+  return ['true', '1'].includes(process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES);
+}
+
 /**
  * Verify webhook signature using HMAC-SHA256
- * @param {string} payload - Raw request body
+ * @param {string|Buffer} payload - Raw request body
  * @param {string} signature - Signature from request headers
  * @param {string} secret - Webhook secret
  * @returns {boolean} True if signature is valid
@@ -15,10 +71,10 @@ import crypto from 'crypto';
 export function verifyWebhookSignature(payload, signature, secret) {
   try {
     if (!payload || !signature || !secret) {
-      console.log('[WebhookSecurity] Missing required parameters for signature verification');
+      log.info('Missing required parameters for signature verification');
       return false;
     }
-
+    
     // Remove 'sha256=' prefix if present
     const cleanSignature = signature.replace(/^sha256=/, '');
     
@@ -27,14 +83,14 @@ export function verifyWebhookSignature(payload, signature, secret) {
       .createHmac('sha256', secret)
       .update(payload, 'utf8')
       .digest('hex');
-
+    
     // Use timing-safe comparison
     return crypto.timingSafeEqual(
       Buffer.from(cleanSignature, 'hex'),
       Buffer.from(expectedSignature, 'hex')
     );
   } catch (error) {
-    console.error('[WebhookSecurity] Error verifying signature:', error);
+    log.error('Error verifying signature', { error });
     return false;
   }
 }
@@ -54,6 +110,202 @@ export function generateWebhookSignature(payload, secret) {
   return `sha256=${signature}`;
 }
 
+/**
+ * Compute the v1 signature for a timestamped payload
+ * @param {string|Buffer} payload - Raw request body
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Webhook secret
+ * @returns {string} Hex HMAC-SHA256 of "timestamp.payload"
+ */
+function computeTimestampedSignature(payload, timestamp, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`, 'utf8')
+    .update(payload)
+    .digest('hex');
+}
+
+/**
+ * Generate a timestamped webhook signature header
+ * @param {string|Buffer} payload - Payload to sign
+ * @param {string} secret - Secret to use for signing
+ * @param {Object} options - Signing options
+ * @param {number} options.timestamp - Unix timestamp in seconds (defaults to now)
+ * @param {string} options.keyId - Key ID of the secret, sent so the receiver can pick it directly
+ * @returns {string} Header value in the form t=...,kid=...,v1=...
+ */
+export function generateTimestampedSignature(payload, secret, options = {}) {
+  const { timestamp = Math.floor(Date.now() / 1000), keyId = null } = options;
+  const signature = computeTimestampedSignature(payload, timestamp, secret);
+  
+  return [`t=${timestamp}`, ...(keyId ? [`kid=${keyId}`] : []), `v1=${signature}`].join(',');
+}
+
+/**
+ * Parse a timestamped signature header
+ * @param {string} header - Header value (t=...,kid=...,v1=...[,v1=...])
+ * @returns {Object|null} { timestamp, keyId, signatures }, or null if malformed
+ */
+export function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, keyId: null, signatures: [] };
+  
+  for (const part of header.split(',')) {
+    const separator = part.indexOf('=');
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    
+    if (name === 't' && /^\d+$/.test(value)) {
+      parsed.timestamp = parseInt(value, 10);
+    } else if (name === 'kid') {
+      parsed.keyId = value;
+    } else if (name === 'v1' && /^[0-9a-f]{64}$/i.test(value)) {
+      parsed.signatures.push(value.toLowerCase());
+    }
+  }
+  
+  return parsed.timestamp !== null && parsed.signatures.length > 0 ? parsed : null;
+}
+
+/**
+ * Record a signed request as used, rejecting it if it was already seen
+ * Requests are keyed by their timestamp and a hash of the payload rather than by the
+ * matching v1 value, so a header carrying several v1 values (one per secret while
+ * rotating) cannot be replayed once per value. The key is the table's primary key, so
+ * of two instances receiving the same request at once only one insert succeeds
+ * @param {string|Buffer} payload - Signed payload
+ * @param {number} timestamp - Signature timestamp in seconds
+ * @param {string} keyId - Key ID of the secret that signed it
+ * @param {number} expiresAt - Time in ms after which the timestamp check rejects it anyway
+ * @returns {Promise<boolean>} True if the request had not been seen before
+ */
+async function rememberSignedRequest(payload, timestamp, keyId, expiresAt) {
+  const supabase = getSupabaseClient();
+  const payloadHash = crypto.createHash('sha256').update(payload).digest('hex');
+  
+  const { error } = await supabase
+    .from(SIGNATURES_TABLE)
+    .insert({
+      replay_key: `${timestamp}:${payloadHash}`,
+      key_id: keyId,
+      expires_at: new Date(expiresAt).toISOString(),
+      created_at: new Date().toISOString()
+    });
+  
+  // 23505 = unique violation: the request was already accepted
+  if (error?.code === '23505') {
+    return false;
+  }
+  if (error) {
+    throw new DatabaseError(`Failed to record webhook signature: ${error.message}`);
+  }
+  
+  return true;
+}
+
+/**
+ * Delete used signatures whose timestamps are outside the tolerance window
+ * @returns {Promise<number>} Number of signatures deleted
+ */
+export async function pruneUsedSignatures() {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(SIGNATURES_TABLE)
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('replay_key');
+    
+    if (error) {
+      throw new Error(error.message);
+    }
+    
+    return data.length;
+  } catch (error) {
+    log.warn(`Could not prune used webhook signatures: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Verify a webhook request signature against all active secrets
+ * Accepts timestamped t=...,v1=... signatures within the tolerance window, each request at most once,
+ * and legacy sha256= signatures when WEBHOOK_ALLOW_LEGACY_SIGNATURES is enabled
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} header - X-Webhook-Signature header value
+ * @returns {Promise<Object>} { valid, keyId, scheme } or { valid: false, error }
+ * @throws {DatabaseError} If the signature cannot be recorded as used
+ */
+export async function verifyWebhookRequest(payload, header) {
+  const secrets = getWebhookSecrets();
+  
+  if (!payload || !header || secrets.length === 0) {
+    return { valid: false, error: 'Missing signature, payload or secrets' };
+  }
+  
+  if (header.startsWith('sha256=')) {
+    if (!isLegacySignatureAllowed()) {
+      return { valid: false, error: 'Legacy sha256= signatures are not accepted' };
+    }
+    
+    const match = secrets.find(({ secret }) => verifyWebhookSignature(payload, header, secret));
+    return match
+      ? { valid: true, keyId: match.keyId, scheme: 'sha256' }
+      : { valid: false, error: 'Invalid webhook signature' };
+  }
+  
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    return { valid: false, error: 'Malformed webhook signature' };
+  }
+  
+  const toleranceSeconds = getToleranceSeconds();
+  if (Math.abs(Date.now() / 1000 - parsed.timestamp) > toleranceSeconds) {
+    return { valid: false, error: 'Webhook signature timestamp outside tolerance window' };
+  }
+  
+  const candidates = parsed.keyId
+    ? secrets.filter(({ keyId }) => keyId === parsed.keyId)
+    : secrets;
+  if (candidates.length === 0) {
+    return { valid: false, error: `Unknown webhook key ID: ${parsed.keyId}` };
+  }
+  
+  for (const { keyId, secret } of candidates) {
+    const expected = Buffer.from(computeTimestampedSignature(payload, parsed.timestamp, secret), 'hex');
+    const signature = parsed.signatures.find(candidate =>
+      crypto.timingSafeEqual(Buffer.from(candidate, 'hex'), expected)
+    );
+    
+    if (signature) {
+      const expiresAt = (parsed.timestamp + toleranceSeconds) * 1000;
+      if (!(await rememberSignedRequest(payload, parsed.timestamp, keyId, expiresAt))) {
+        return { valid: false, error: 'Webhook signature already used' };
+      }
+      return { valid: true, keyId, scheme: 'v1' };
+    }
+  }
+  
+  return { valid: false, error: 'Invalid webhook signature' };
+}
+
+/**
+ * Check an Authorization header for a bearer token
+ * @param {string} header - Authorization header value
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the header carries the expected token
+ */
+export function verifyBearerToken(header, token) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match || !token) {
+    return false;
+  }
+  
+  const expected = Buffer.from(token);
+  const provided = Buffer.from(match[1]);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
 /**
  * Validate required webhook headers
  * @param {Object} headers - Request headers
@@ -62,7 +314,8 @@ export function generateWebhookSignature(payload, secret) {
 export function validateWebhookHeaders(headers) {
   const errors = [];
   
-  if (!headers['content-type']?.includes('application/json')) {
+  const contentType = headers['content-type'] || '';
+  if (!contentType.includes('application/json') && !contentType.includes('multipart/form-data')) {
     errors.push('Missing or invalid Content-Type header');
   }
   
@@ -76,6 +329,56 @@ export function validateWebhookHeaders(headers) {
   };
 }
 
+/**
+ * Check that a value is a non-null, non-array object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the fields of a single processing request
+ * The image comes from exactly one of imageUrl, base64 imageData, or a file uploaded alongside the payload
+ * @param {Object} request - Processing request ({ entityType, entityId or characterId, imageUrl, imageData, callbackUrl, options })
+ * @param {Object} context - Validation context
+ * @param {boolean} context.imageUploaded - True if the image was sent as a multipart file part
+ * @returns {Object} Validation result with success flag and error
+ */
+export function validateProcessingRequest(request, { imageUploaded = false } = {}) {
+  if (!isPlainObject(request)) {
+    return { success: false, error: 'Request must be an object' };
+  }
+  
+  const entityResult = resolveEntityReference(request);
+  if (!entityResult.valid) {
+    return { success: false, error: entityResult.error };
+  }
+  
+  const imageSources = [request.imageUrl, request.imageData].filter(Boolean).length + (imageUploaded ? 1 : 0);
+  if (imageSources === 0) {
+    return { success: false, error: 'Missing imageUrl or imageData in payload' };
+  }
+  if (imageSources > 1) {
+    return { success: false, error: 'Provide only one of imageUrl, imageData or an uploaded image' };
+  }
+  
+  // Resolved addresses are checked again on every delivery
+  if (request.callbackUrl !== undefined) {
+    const callbackCheck = validateOutboundUrl(request.callbackUrl);
+    if (!callbackCheck.valid) {
+      return { success: false, error: `Invalid callbackUrl in payload: ${callbackCheck.error}` };
+    }
+  }
+  
+  if (request.options !== undefined && !isPlainObject(request.options)) {
+    return { success: false, error: 'Invalid options in payload: must be an object' };
+  }
+  
+  return { success: true };
+}
+
 /**
  * Extract and validate webhook payload
  * @param {string} body - Raw request body
@@ -90,12 +393,49 @@ export function parseWebhookPayload(body) {
     const payload = JSON.parse(body);
     
     // Validate required fields
-    if (!payload.characterId) {
-      throw new Error('Missing characterId in payload');
+    const validation = validateProcessingRequest(payload);
+    if (!validation.success) {
+      throw new Error(validation.error);
+    }
+    
+    return {
+      success: true,
+      data: payload
+    };
+  } catch (error) {
+    log.error('Error parsing payload', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Extract and validate a batch webhook payload
+ * Items are validated individually later so one bad item does not reject the batch
+ * @param {string} body - Raw request body
+ * @param {number} maxItems - Maximum number of items per batch
+ * @returns {Object} Parsed payload or error
+ */
+export function parseBatchPayload(body, maxItems) {
+  try {
+    if (!body) {
+      throw new Error('Empty request body');
+    }
+    
+    const payload = JSON.parse(body);
+    
+    if (!Array.isArray(payload.items) || payload.items.length === 0) {
+      throw new Error('Payload must contain a non-empty items array');
+    }
+    
+    if (payload.items.length > maxItems) {
+      throw new Error(`Too many items: ${payload.items.length} (max ${maxItems})`);
     }
     
-    if (!payload.imageUrl) {
-      throw new Error('Missing imageUrl in payload');
+    if (payload.options !== undefined && !isPlainObject(payload.options)) {
+      throw new Error('Invalid options in payload: must be an object');
     }
     
     return {
@@ -103,7 +443,7 @@ export function parseWebhookPayload(body) {
       data: payload
     };
   } catch (error) {
-    console.error('[WebhookSecurity] Error parsing payload:', error);
+    log.error('Error parsing batch payload', { error });
     return {
       success: false,
       error: error.message
@@ -113,21 +453,27 @@ export function parseWebhookPayload(body) {
 
 /**
  * Create a standardized error response
+ * Carries the ID of the request being handled (see withRequestContext), and the code and
+ * retryable flag of the error being reported when it is a ServiceError
  * @param {string} message - Error message
  * @param {number} statusCode - HTTP status code
+ * @param {Error} error - Optional error being reported
  * @returns {Object} Error response object
  */
-export function createErrorResponse(message, statusCode = 400) {
+export function createErrorResponse(message, statusCode = 400, error = null) {
   return {
     success: false,
     error: message,
+    ...(error instanceof ServiceError ? { code: error.code, retryable: error.retryable } : {}),
     statusCode,
+    requestId: getRequestId(),
     timestamp: new Date().toISOString()
   };
 }
 
 /**
  * Create a standardized success response
+ * Carries the ID of the request being handled (see withRequestContext)
  * @param {Object} data - Response data
  * @param {string} message - Success message
  * @returns {Object} Success response object
@@ -137,6 +483,7 @@ export function createSuccessResponse(data = {}, message = 'Success') {
     success: true,
     message,
     data,
+    requestId: getRequestId(),
     timestamp: new Date().toISOString()
   };
 }
\ No newline at end of file
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import { validateProcessingRequest } from './auth.js';
+import {
+  DEFAULT_ENTITY_TYPE,
+  resolveEntityReference,
+  describeEntity,
+  getEntityType,
+  getEntityStorageFolder
+} from './entities.js';
+import { resolveRenderTargets } from './imageProcessor.js';
+import { isValidIdempotencyKey, hashRequest } from './idempotency.js';
+import { decodeImageData, storeUploadedSource } from './uploads.js';
+import { createBatchJobs, listBatchJobs, formatJob } from './jobs.js';
+import { enqueueJob } from './jobRunner.js';
+import { createLogger } from './logger.js';
+import { toServiceError } from './errors.js';
+
+/**
+ * Batch Processing
+ * Queues one async job per batch item, all sharing a batch ID, so no item is rendered
+ * within the request. Invalid items are rejected individually and do not stop the rest
+ * of the batch
+ */
+
+const log = createLogger('Batch');
+
+const DEFAULT_BATCH_MAX_ITEMS = 100;
+
+/**
+ * Get the configured maximum number of items per batch
+ * @returns {number} Item limit
+ */
+export function getBatchMaxItems() {
+  const value = parseInt(process.env.BATCH_MAX_ITEMS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_BATCH_MAX_ITEMS;
+}
+
+/**
+ * Validate a batch item and merge the batch-wide options into it
+ * @param {Object} item - Batch item ({ entityType and entityId or characterId, imageUrl or imageData, callbackUrl, idempotencyKey, options })
+ * @param {Object} defaults - Batch-wide options, overridden by the item's own options
+ * @returns {Object} { valid, request } or { valid: false, error, statusCode }
+ */
+function prepareBatchItem(item, defaults) {
+  const validation = validateProcessingRequest(item);
+  if (!validation.success) {
+    return { valid: false, error: validation.error };
+  }
+  
+  if (item.idempotencyKey !== undefined && !isValidIdempotencyKey(item.idempotencyKey)) {
+    return { valid: false, error: 'Invalid idempotencyKey' };
+  }
+  
+  let imageBuffer = null;
+  if (item.imageData !== undefined) {
+    const decoded = decodeImageData(item.imageData);
+    if (!decoded.valid) {
+      return { valid: false, error: decoded.error, statusCode: decoded.statusCode };
+    }
+    imageBuffer = decoded.buffer;
+  }
+  
+  const options = { ...defaults, ...(item.options || {}) };
+  const targetResult = resolveRenderTargets(options);
+  if (!targetResult.valid) {
+    return { valid: false, error: `Invalid options: ${targetResult.error}` };
+  }
+  
+  const { entityType, entityId } = resolveEntityReference(item);
+  
+  return {
+    valid: true,
+    request: {
+      entityType,
+      entityId,
+      imageUrl: item.imageUrl || null,
+      imageBuffer,
+      callbackUrl: item.callbackUrl || null,
+      idempotencyKey: item.idempotencyKey || null,
+      options
+    }
+  };
+}
+
+/**
+ * Build the job payload for a prepared batch item
+ * Jobs are stored as JSON, so uploaded images are stored first and fetched by URL; the
+ * request hash is taken before that, so the item's idempotency key is bound to its bytes
+ * @param {Object} request - Prepared processing request
+ * @returns {Promise<Object>} Job payload
+ */
+async function toJobPayload({ imageBuffer, ...request }) {
+  const requestHash = request.idempotencyKey
+    ? hashRequest({ ...request, imageBuffer })
+    : null;
+  
+  const imageUrl = imageBuffer
+    ? await storeUploadedSource(getEntityStorageFolder(getEntityType(request.entityType), request.entityId), imageBuffer)
+    : request.imageUrl;
+  
+  return { ...request, imageUrl, requestHash };
+}
+
+/**
+ * Queue a batch of entities for processing
+ * @param {Array<Object>} items - Batch items
+ * @param {Object} options - Batch options
+ * @param {Object} options.defaults - Options applied to every item unless it overrides them
+ * @returns {Promise<Object>} { batchId, total, accepted, rejected, results } with results in item order
+ */
+export async function submitBatch(items, { defaults = {} } = {}) {
+  const batchId = crypto.randomUUID();
+  const results = new Array(items.length);
+  const entries = [];
+  
+  const reject = (index, item, { statusCode, code, error }) => {
+    log.info(`Item ${index} rejected: ${error}`);
+    results[index] = {
+      index,
+      entityType: item?.entityType ?? (item?.characterId !== undefined ? DEFAULT_ENTITY_TYPE : null),
+      entityId: item?.entityId ?? item?.characterId ?? null,
+      ...(item?.characterId !== undefined ? { characterId: item.characterId } : {}),
+      status: 'rejected',
+      statusCode,
+      code,
+      error
+    };
+  };
+  
+  for (const [index, item] of items.entries()) {
+    const prepared = prepareBatchItem(item, defaults);
+    if (!prepared.valid) {
+      reject(index, item, {
+        statusCode: prepared.statusCode || 400,
+        code: prepared.statusCode === 413 ? 'PAYLOAD_TOO_LARGE' : 'INVALID_REQUEST',
+        error: prepared.error
+      });
+      continue;
+    }
+    
+    // A source that cannot be stored rejects its own item, not the batch
+    try {
+      entries.push({ index, payload: await toJobPayload(prepared.request) });
+    } catch (caught) {
+      const error = toServiceError(caught);
+      reject(index, item, { statusCode: error.statusCode, code: error.code, error: error.message });
+    }
+  }
+  
+  const jobs = entries.length > 0 ? await createBatchJobs(batchId, entries) : [];
+  for (const job of jobs) {
+    enqueueJob(job);
+    results[job.batch_index] = {
+      index: job.batch_index,
+      ...describeEntity(job.entity_type, job.entity_id),
+      status: 'queued',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    };
+  }
+  
+  log.info(`Batch ${batchId}: ${jobs.length} of ${items.length} items queued`);
+  
+  return {
+    batchId,
+    total: items.length,
+    accepted: jobs.length,
+    rejected: items.length - jobs.length,
+    results
+  };
+}
+
+/**
+ * Get the state of a batch from its jobs
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object|null>} Batch status with per-status counts and jobs in item order, or null if no job has the ID
+ */
+export async function getBatchStatus(batchId) {
+  const jobs = await listBatchJobs(batchId);
+  if (jobs.length === 0) {
+    return null;
+  }
+  
+  const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+  for (const job of jobs) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  }
+  
+  return {
+    batchId,
+    status: counts.queued + counts.running > 0 ? 'processing' : 'completed',
+    total: jobs.length,
+    ...counts,
+    jobs: jobs.map(job => ({ index: job.batch_index, ...formatJob(job) }))
+  };
+}
@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import { generateTimestampedSignature } from './auth.js';
+import { getSupabaseClient } from './supabase.js';
+import { postSafely, DownloadError } from './downloader.js';
+import { createLogger } from './logger.js';
+import { getTraceparent } from './tracing.js';
+import { DatabaseError } from './errors.js';
+
+/**
+ * Completion Callback Delivery
+ * POSTs signed result events to the caller's callbackUrl through the downloader's
+ * address checks, so callbacks cannot reach private or internal hosts, and records
+ * every delivery attempt in the aspect_ratio_callback_deliveries table. The first
+ * attempt is made while the run is still being handled; retries are stored with the
+ * attempt and made by the worker endpoint, since timers do not outlive a serverless response
+ */
+
+const log = createLogger('Callbacks');
+
+const DELIVERIES_TABLE = 'aspect_ratio_callback_deliveries';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY = 30000;
+const MAX_RETRY_DELAY = 3600000;
+const ATTEMPT_TIMEOUT = 10000;
+
+// A worker that claimed a retry and stopped before recording it leaves the row
+// 'sending'; once this lease runs out another worker sends it again
+const SENDING_LEASE = 5 * 60 * 1000;
+
+/**
+ * Get the configured number of delivery attempts
+ * @returns {number} Maximum attempts per delivery
+ */
+function getMaxAttempts() {
+  const value = parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Calculate the backoff delay before the next attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Check whether a failed HTTP response is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for server errors, timeouts and rate limiting
+ */
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Record a delivery attempt
+ * Recording is best-effort and never fails the delivery itself
+ * @param {Object} attempt - Attempt details
+ * @returns {Promise<void>}
+ */
+async function recordDeliveryAttempt(attempt) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { error } = await supabase
+      .from(DELIVERIES_TABLE)
+      .insert({
+        ...attempt,
+        created_at: new Date().toISOString()
+      });
+    
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (error) {
+    log.warn(`Could not record delivery attempt: ${error.message}`);
+  }
+}
+
+/**
+ * Build a result event for a finished processing run
+ * @param {string} type - Event type ('aspect_ratios.completed' or 'aspect_ratios.failed')
+ * @param {Object} data - Event data (entityType, entityId, jobId, result or error)
+ * @returns {Object} Callback event
+ */
+export function createCallbackEvent(type, data) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Make one signed delivery attempt for a callback event
+ * A retryable failure before the last attempt is recorded as 'retrying' together with the
+ * event and the time of the next attempt, which retryPendingCallbacks makes later
+ * @param {string} callbackUrl - Caller's callback URL
+ * @param {Object} event - Event from createCallbackEvent
+ * @param {Object} options - Delivery options
+ * @param {number} options.attempt - Attempt number (1-based, default 1)
+ * @param {string} options.traceparent - Trace context to send (defaults to the active span's)
+ * @returns {Promise<Object>} Delivery outcome { delivered, attempt, retryAt }
+ */
+export async function deliverCallback(callbackUrl, event, options = {}) {
+  // Lets the receiver continue the processing run's trace
+  const { attempt = 1, traceparent = getTraceparent() } = options;
+  
+  // Callbacks have their own secret, so receivers never hold a key that can call this service
+  const secret = process.env.CALLBACK_SECRET;
+  if (!secret) {
+    throw new Error('CALLBACK_SECRET is not configured');
+  }
+  
+  const body = JSON.stringify(event);
+  const signature = generateTimestampedSignature(body, secret);
+  const maxAttempts = getMaxAttempts();
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let errorMessage = null;
+  let retryable = true;
+  
+  try {
+    const response = await postSafely(callbackUrl, {
+      timeout: ATTEMPT_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Signature': signature,
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Delivery': event.id,
+        ...(traceparent ? { traceparent } : {})
+      },
+      body
+    });
+    
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+      retryable = isRetryableStatus(response.status);
+    }
+  } catch (error) {
+    // Blocked and invalid addresses fail the same way on every attempt
+    errorMessage = error instanceof DownloadError ? `${error.reason}: ${error.detail}` : error.message;
+    retryable = error.retryable !== false;
+  }
+  
+  const succeeded = errorMessage === null;
+  const retryAt = !succeeded && retryable && attempt < maxAttempts
+    ? new Date(Date.now() + getRetryDelay(attempt)).toISOString()
+    : null;
+  
+  let status = 'failed';
+  if (succeeded) {
+    status = 'succeeded';
+  } else if (retryAt) {
+    status = 'retrying';
+  }
+  
+  await recordDeliveryAttempt({
+    delivery_id: event.id,
+    event_type: event.type,
+    callback_url: callbackUrl,
+    entity_type: event.data.entityType || null,
+    entity_id: event.data.entityId || null,
+    job_id: event.data.jobId || null,
+    attempt,
+    status,
+    response_status: responseStatus,
+    error: errorMessage,
+    duration_ms: Date.now() - startedAt,
+    // Kept for the retry, which may run in another instance
+    event: retryAt ? event : null,
+    traceparent: retryAt ? traceparent : null,
+    next_attempt_at: retryAt
+  });
+  
+  if (succeeded) {
+    log.info(`Delivered ${event.type} (${event.id}) to ${callbackUrl} on attempt ${attempt}`);
+  } else if (retryAt) {
+    log.warn(`Delivery attempt ${attempt}/${maxAttempts} for ${event.id} failed: ${errorMessage}; retrying after ${retryAt}`);
+  } else {
+    log.error(`Giving up on delivery ${event.id} to ${callbackUrl} after attempt ${attempt}: ${errorMessage}`);
+  }
+  
+  return { delivered: succeeded, attempt, retryAt };
+}
+
+/**
+ * Make the next attempt for deliveries whose retry is due
+ * Each due 'retrying' row is claimed with a conditional update to 'sending' and a lease
+ * before its retry is sent, so concurrent workers never retry the same attempt at once.
+ * Once the retry is recorded the row becomes 'failed'; a 'sending' row whose lease ran
+ * out was claimed by a worker that stopped, and is sent again
+ * @param {Object} options - Retry options
+ * @param {number} options.deadline - Time in ms after which no further retry is started
+ * @param {number} options.limit - Maximum retries per call (default 50)
+ * @returns {Promise<number>} Number of retries made
+ */
+export async function retryPendingCallbacks({ deadline, limit = 50 }) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data: due, error } = await supabase
+      .from(DELIVERIES_TABLE)
+      .select('*')
+      .in('status', ['retrying', 'sending'])
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      throw new DatabaseError(`Failed to list pending callbacks: ${error.message}`);
+    }
+    
+    let retried = 0;
+    for (const pending of due) {
+      if (Date.now() >= deadline) {
+        break;
+      }
+      
+      const leaseUntil = new Date(Date.now() + SENDING_LEASE).toISOString();
+      const { data: claimed, error: claimError } = await supabase
+        .from(DELIVERIES_TABLE)
+        .update({ status: 'sending', next_attempt_at: leaseUntil })
+        .match({
+          delivery_id: pending.delivery_id,
+          attempt: pending.attempt,
+          status: pending.status,
+          next_attempt_at: pending.next_attempt_at
+        })
+        .select();
+      
+      if (claimError) {
+        throw new DatabaseError(`Failed to claim pending callback: ${claimError.message}`);
+      }
+      if (claimed.length === 0) {
+        continue;
+      }
+      
+      await deliverCallback(pending.callback_url, pending.event, {
+        attempt: pending.attempt + 1,
+        traceparent: pending.traceparent
+      });
+      retried++;
+      
+      const { error: settleError } = await supabase
+        .from(DELIVERIES_TABLE)
+        .update({ status: 'failed', next_attempt_at: null })
+        .match({ delivery_id: pending.delivery_id, attempt: pending.attempt, status: 'sending', next_attempt_at: leaseUntil });
+      
+      if (settleError) {
+        throw new DatabaseError(`Failed to settle pending callback: ${settleError.message}`);
+      }
+    }
+    
+    return retried;
+  } catch (error) {
+    log.error('Retry error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Send a result event, making the first delivery attempt before resolving
+ * Delivery failures are logged and recorded (retryable ones for a later retry) but never thrown to the caller
+ * @param {string} callbackUrl - Caller's callback URL
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Delivery outcome
+ */
+export function notifyCallback(callbackUrl, type, data) {
+  return deliverCallback(callbackUrl, createCallbackEvent(type, data)).catch(error => {
+    log.error('Delivery error', { error });
+    return { delivered: false };
+  });
+}
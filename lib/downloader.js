@@ -0,0 +1,436 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { ServiceError } from './errors.js';
+
+/**
+ * SSRF-safe Image Downloader
+ * Fetches source images over http(s) with a host allowlist, rejection of private
+ * and internal addresses after DNS resolution (checked again on every redirect),
+ * a streaming byte cap and Content-Type verification. Callback deliveries go through
+ * the same address checks (see postSafely)
+ */
+
+const DEFAULT_MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const BODY_PRESERVING_REDIRECT_STATUSES = [307, 308];
+const USER_AGENT = 'aspect-ratio-service';
+
+/**
+ * Download failure reasons with the error code (see ERROR_CODES) they are reported with
+ */
+export const DOWNLOAD_ERROR_CODES = {
+  INVALID_URL: 'INVALID_REQUEST',
+  HOST_NOT_ALLOWED: 'SOURCE_NOT_ALLOWED',
+  BLOCKED_ADDRESS: 'SOURCE_NOT_ALLOWED',
+  DNS_FAILED: 'SOURCE_UNREACHABLE',
+  TOO_MANY_REDIRECTS: 'SOURCE_UNREACHABLE',
+  HTTP_ERROR: 'SOURCE_UNREACHABLE',
+  INVALID_CONTENT_TYPE: 'UNSUPPORTED_FORMAT',
+  TOO_LARGE: 'SOURCE_TOO_LARGE',
+  TIMEOUT: 'SOURCE_TIMEOUT',
+  NETWORK_ERROR: 'SOURCE_UNREACHABLE'
+};
+
+/**
+ * Raised when a source image cannot be downloaded, or a request fails the same checks
+ * The reason (e.g. TOO_LARGE) is kept in the message and `reason`, the message without
+ * its prefix in `detail`; `code` is the error code
+ */
+export class DownloadError extends ServiceError {
+  constructor(reason, message, code = DOWNLOAD_ERROR_CODES[reason]) {
+    super(code, `Download failed (${reason}): ${message}`);
+    this.name = 'DownloadError';
+    this.reason = reason;
+    this.detail = message;
+  }
+}
+
+// Private, loopback, link-local, shared, multicast and reserved ranges, plus the 6to4
+// and Teredo ranges, whose addresses embed an IPv4 address that may be a private one
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001::', 32],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Get the maximum number of bytes to download
+ * @returns {number} Limit in bytes
+ */
+function getMaxDownloadBytes() {
+  const value = parseInt(process.env.DOWNLOAD_MAX_BYTES, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_DOWNLOAD_BYTES;
+}
+
+/**
+ * Get the maximum number of redirects to follow
+ * @returns {number} Redirect limit
+ */
+function getMaxRedirects() {
+  const value = parseInt(process.env.DOWNLOAD_MAX_REDIRECTS, 10);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_REDIRECTS;
+}
+
+/**
+ * Check whether private network addresses may be fetched (local development only)
+ * @returns {boolean} True if DOWNLOAD_ALLOW_PRIVATE_NETWORKS is enabled
+ */
+function isPrivateNetworkAllowed() {
+  return ['true', '1'].includes(process.env.DOWNLOAD_ALLOW_PRIVATE_NETWORKS);
+}
+
+/**
+ * Check whether an IP address is in a private or otherwise internal range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a hostname against DOWNLOAD_ALLOWED_HOSTS
+ * Entries may be exact hosts or wildcards ('*.example.com'); the Supabase host is
+ * always allowed. An empty allowlist allows every public host
+ * @param {string} hostname - Hostname to check
+ * @returns {boolean} True if the host may be fetched
+ */
+export function isAllowedHost(hostname) {
+  const allowedHosts = (process.env.DOWNLOAD_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  
+  if (allowedHosts.length === 0) {
+    return true;
+  }
+  
+  if (process.env.SUPABASE_URL) {
+    allowedHosts.push(new URL(process.env.SUPABASE_URL).hostname.toLowerCase());
+  }
+  
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(allowed =>
+    allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed
+  );
+}
+
+/**
+ * DNS lookup that refuses to connect to blocked addresses
+ * Checking at connection time covers every resolved address and prevents DNS rebinding
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - Lookup options from the http agent
+ * @param {Function} callback - Lookup callback
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(new DownloadError('DNS_FAILED', `Could not resolve ${hostname}: ${error.code || error.message}`));
+    }
+    
+    if (!isPrivateNetworkAllowed()) {
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) {
+        return callback(new DownloadError('BLOCKED_ADDRESS', `${hostname} resolves to blocked address ${blocked.address}`));
+      }
+    }
+    
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Validate a URL before requesting it
+ * @param {string} value - URL to check
+ * @param {Object} options - Check options
+ * @param {boolean} options.restrictHosts - Apply DOWNLOAD_ALLOWED_HOSTS (default true)
+ * @returns {URL} Parsed URL
+ */
+function checkUrl(value, { restrictHosts = true } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new DownloadError('INVALID_URL', `Invalid URL: ${value}`);
+  }
+  
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new DownloadError('INVALID_URL', `Unsupported protocol: ${url.protocol}`);
+  }
+  
+  if (url.username || url.password) {
+    throw new DownloadError('INVALID_URL', 'URLs with credentials are not allowed');
+  }
+  
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (restrictHosts && !isAllowedHost(hostname)) {
+    throw new DownloadError('HOST_NOT_ALLOWED', `Host not allowed: ${hostname}`);
+  }
+  
+  // IP literals skip DNS lookup, so they are checked here
+  if (net.isIP(hostname) && !isPrivateNetworkAllowed() && isBlockedAddress(hostname)) {
+    throw new DownloadError('BLOCKED_ADDRESS', `Blocked address: ${hostname}`);
+  }
+  
+  return url;
+}
+
+/**
+ * Check a URL the service will send requests to, such as a callback URL, before accepting it
+ * Covers the protocol, credentials and IP literals; hostnames are checked when they are resolved
+ * @param {string} value - URL to check
+ * @returns {Object} { valid } or { valid: false, error }
+ */
+export function validateOutboundUrl(value) {
+  try {
+    checkUrl(value, { restrictHosts: false });
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: error.detail || error.message };
+  }
+}
+
+/**
+ * Send a request without following redirects
+ * @param {URL} url - URL to request
+ * @param {AbortSignal} signal - Abort signal for the overall timeout
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.headers - Request headers (default: accept images)
+ * @param {string|Buffer} options.body - Request body
+ * @returns {Promise<Object>} Response stream
+ */
+function sendRequest(url, signal, { method = 'GET', headers = { 'Accept': 'image/*' }, body = null } = {}) {
+  const client = url.protocol === 'https:' ? https : http;
+  
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method,
+      lookup: safeLookup,
+      signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        ...headers
+      }
+    }, resolve);
+    
+    request.on('error', reject);
+    request.end(body ?? undefined);
+  });
+}
+
+/**
+ * Convert a failed request into a DownloadError
+ * @param {Error} error - Error raised while requesting
+ * @param {AbortSignal} signal - Abort signal for the overall timeout
+ * @param {number} timeout - Overall timeout in milliseconds
+ * @returns {DownloadError} The error itself, or a TIMEOUT or NETWORK_ERROR
+ */
+function toDownloadError(error, signal, timeout) {
+  if (error instanceof DownloadError) {
+    return error;
+  }
+  if (signal.aborted) {
+    return new DownloadError('TIMEOUT', `No complete response within ${timeout}ms`);
+  }
+  return new DownloadError('NETWORK_ERROR', error.message);
+}
+
+/**
+ * Read a response body, aborting once it exceeds the byte cap
+ * @param {Object} response - Response stream
+ * @param {number} maxBytes - Maximum body size in bytes
+ * @returns {Promise<Buffer>} Response body
+ */
+function readBody(response, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    
+    response.on('data', chunk => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        response.destroy();
+        reject(new DownloadError('TOO_LARGE', `Image exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+  });
+}
+
+/**
+ * Download an image with SSRF protection, redirect limits and a size cap
+ * @param {string} imageUrl - Image URL to download
+ * @param {Object} options - Download options
+ * @param {number} options.timeout - Overall timeout in milliseconds, across redirects
+ * @param {number} options.maxBytes - Maximum image size (defaults to DOWNLOAD_MAX_BYTES)
+ * @param {number} options.maxRedirects - Maximum redirects to follow (defaults to DOWNLOAD_MAX_REDIRECTS)
+ * @returns {Promise<Buffer>} Image buffer
+ */
+export async function fetchImageSafely(imageUrl, options = {}) {
+  const {
+    timeout = 30000,
+    maxBytes = getMaxDownloadBytes(),
+    maxRedirects = getMaxRedirects()
+  } = options;
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    let url = checkUrl(imageUrl);
+    
+    for (let redirects = 0; ; redirects++) {
+      const response = await sendRequest(url, controller.signal);
+      const { statusCode, headers } = response;
+      
+      // Follow redirects manually so every hop is checked again
+      if (REDIRECT_STATUSES.includes(statusCode)) {
+        response.resume();
+        
+        if (redirects >= maxRedirects) {
+          throw new DownloadError('TOO_MANY_REDIRECTS', `More than ${maxRedirects} redirects`);
+        }
+        if (!headers.location) {
+          throw new DownloadError('HTTP_ERROR', `HTTP ${statusCode} without Location header`);
+        }
+        
+        url = checkUrl(new URL(headers.location, url).toString());
+        continue;
+      }
+      
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        const httpError = new DownloadError(
+          'HTTP_ERROR',
+          `HTTP ${statusCode}: ${response.statusMessage}`,
+          statusCode === 404 || statusCode === 410 ? 'SOURCE_NOT_FOUND' : DOWNLOAD_ERROR_CODES.HTTP_ERROR
+        );
+        
+        // Kept so callers can decide whether to retry
+        httpError.upstreamStatus = statusCode;
+        httpError.retryAfter = headers['retry-after'] || null;
+        throw httpError;
+      }
+      
+      const contentType = (headers['content-type'] || '').toLowerCase();
+      if (!contentType.startsWith('image/')) {
+        response.resume();
+        throw new DownloadError('INVALID_CONTENT_TYPE', `Expected an image, got ${contentType || 'no Content-Type'}`);
+      }
+      
+      const declaredLength = parseInt(headers['content-length'], 10);
+      if (declaredLength > maxBytes) {
+        response.destroy();
+        throw new DownloadError('TOO_LARGE', `Image is ${declaredLength} bytes, limit is ${maxBytes}`);
+      }
+      
+      return await readBody(response, maxBytes);
+    }
+  } catch (error) {
+    throw toDownloadError(error, controller.signal, timeout);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * POST to a URL with the same address checks as downloads
+ * DOWNLOAD_ALLOWED_HOSTS does not apply. Only 307 and 308 redirects, which keep the method
+ * and body, are followed, each hop checked again; any other response is returned as is
+ * @param {string} targetUrl - URL to POST to
+ * @param {Object} options - Request options
+ * @param {string|Buffer} options.body - Request body
+ * @param {Object} options.headers - Request headers
+ * @param {number} options.timeout - Overall timeout in milliseconds, across redirects
+ * @param {number} options.maxRedirects - Maximum redirects to follow (defaults to DOWNLOAD_MAX_REDIRECTS)
+ * @returns {Promise<Object>} Final response { status, statusText, url }
+ */
+export async function postSafely(targetUrl, options = {}) {
+  const {
+    body = '',
+    headers = {},
+    timeout = 10000,
+    maxRedirects = getMaxRedirects()
+  } = options;
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    let url = checkUrl(targetUrl, { restrictHosts: false });
+    
+    for (let redirects = 0; ; redirects++) {
+      const response = await sendRequest(url, controller.signal, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Length': Buffer.byteLength(body)
+        },
+        body
+      });
+      const { statusCode, headers: responseHeaders } = response;
+      response.resume();
+      
+      if (BODY_PRESERVING_REDIRECT_STATUSES.includes(statusCode) && responseHeaders.location) {
+        if (redirects >= maxRedirects) {
+          throw new DownloadError('TOO_MANY_REDIRECTS', `More than ${maxRedirects} redirects`);
+        }
+        
+        url = checkUrl(new URL(responseHeaders.location, url).toString(), { restrictHosts: false });
+        continue;
+      }
+      
+      return {
+        status: statusCode,
+        statusText: response.statusMessage,
+        url: url.toString()
+      };
+    }
+  } catch (error) {
+    throw toDownloadError(error, controller.signal, timeout);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,222 @@
+import { createLogger } from './logger.js';
+
+/**
+ * Target Entity Registry
+ * Describes the records aspect ratios are produced for: the table and ID column to
+ * update, the columns that receive URLs, status and errors, and the storage prefix.
+ * The built-in `character` type matches the original characters table; more types
+ * are registered with registerEntityType() or the ENTITY_TYPES environment variable
+ */
+
+const log = createLogger('Entities');
+
+export const DEFAULT_ENTITY_TYPE = 'character';
+
+/**
+ * Default column mapping. A column mapped to null is not written
+ * ratioUrls maps output keys (e.g. '1x1') to dedicated per-ratio URL columns
+ */
+const DEFAULT_COLUMNS = {
+  urls: 'aspect_ratio_urls',
+  maskUrls: 'aspect_ratio_mask_urls',
+  formatUrls: 'aspect_ratio_format_urls',
+  manifestUrl: 'aspect_ratio_manifest_url',
+  originalAspectRatio: 'original_aspect_ratio',
+  status: 'aspect_ratio_status',
+  error: 'aspect_ratio_error',
+  updatedAt: 'updated_at',
+  ratioUrls: {}
+};
+
+const ENTITY_TYPE_PATTERN = /^[a-z][a-z0-9_-]{0,63}$/;
+const ENTITY_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+const registry = new Map();
+let environmentLoaded = false;
+
+/**
+ * Register a target entity type
+ * @param {string} type - Entity type name used in payloads (e.g. 'scene')
+ * @param {Object} config - Entity configuration
+ * @param {string} config.table - Database table holding the records
+ * @param {string} config.idColumn - Column matched against entityId (default 'id')
+ * @param {string} config.storagePrefix - Storage folder for the entity's files (default: the table name)
+ * @param {Object} config.columns - Column mapping overrides (see DEFAULT_COLUMNS)
+ * @returns {Object} Registered entity definition
+ */
+export function registerEntityType(type, config = {}) {
+  if (typeof type !== 'string' || !ENTITY_TYPE_PATTERN.test(type)) {
+    throw new Error(`Invalid entity type name: ${JSON.stringify(type)}`);
+  }
+  if (typeof config.table !== 'string' || !config.table) {
+    throw new Error(`Entity type ${type} needs a table`);
+  }
+  
+  const storagePrefix = (config.storagePrefix || config.table).replace(/^\/+|\/+$/g, '');
+  if (!storagePrefix || storagePrefix.split('/').some(segment => !segment || segment === '..')) {
+    throw new Error(`Invalid storage prefix for entity type ${type}: ${JSON.stringify(config.storagePrefix)}`);
+  }
+  
+  const entity = {
+    type,
+    table: config.table,
+    idColumn: config.idColumn || 'id',
+    storagePrefix,
+    columns: {
+      ...DEFAULT_COLUMNS,
+      ...(config.columns || {}),
+      ratioUrls: { ...(config.columns?.ratioUrls || {}) }
+    }
+  };
+  
+  registry.set(type, entity);
+  return entity;
+}
+
+// The original characters table, with dedicated columns for the first three ratios
+registerEntityType(DEFAULT_ENTITY_TYPE, {
+  table: 'characters',
+  storagePrefix: 'characters',
+  columns: {
+    ratioUrls: {
+      '1x1': 'aspect_ratio_1x1_url',
+      '16x9': 'aspect_ratio_16x9_url',
+      '9x16': 'aspect_ratio_9x16_url'
+    }
+  }
+});
+
+/**
+ * Register the entity types configured in ENTITY_TYPES, once
+ * ENTITY_TYPES is a JSON object of type name to configuration
+ */
+function loadEnvironmentEntityTypes() {
+  if (environmentLoaded) {
+    return;
+  }
+  environmentLoaded = true;
+  
+  if (!process.env.ENTITY_TYPES) {
+    return;
+  }
+  
+  try {
+    const types = JSON.parse(process.env.ENTITY_TYPES);
+    for (const [type, config] of Object.entries(types)) {
+      registerEntityType(type, config);
+    }
+    log.info(`Registered entity types from ENTITY_TYPES: ${Object.keys(types).join(', ')}`);
+  } catch (error) {
+    log.error('Invalid ENTITY_TYPES configuration', { error });
+    throw new Error(`Invalid ENTITY_TYPES configuration: ${error.message}`);
+  }
+}
+
+/**
+ * Get a registered entity type
+ * @param {string} type - Entity type name
+ * @returns {Object|null} Entity definition, or null if the type is not registered
+ */
+export function getEntityType(type) {
+  loadEnvironmentEntityTypes();
+  return registry.get(type) || null;
+}
+
+/**
+ * List the registered entity type names
+ * @returns {string[]} Entity type names
+ */
+export function listEntityTypes() {
+  loadEnvironmentEntityTypes();
+  return [...registry.keys()];
+}
+
+/**
+ * Resolve the target entity of a processing request
+ * Accepts { entityType, entityId }, or the original { characterId } form
+ * @param {Object} request - Processing request
+ * @returns {Object} { valid, entityType, entityId } or { valid: false, error }
+ */
+export function resolveEntityReference(request) {
+  const { entityType, entityId, characterId } = request;
+  
+  if (characterId !== undefined && entityId !== undefined) {
+    return { valid: false, error: 'Provide either characterId or entityType and entityId, not both' };
+  }
+  
+  if (characterId !== undefined && entityType !== undefined && entityType !== DEFAULT_ENTITY_TYPE) {
+    return { valid: false, error: `characterId cannot be used with entityType ${JSON.stringify(entityType)}` };
+  }
+  
+  const type = entityType ?? DEFAULT_ENTITY_TYPE;
+  const id = characterId !== undefined ? characterId : entityId;
+  
+  if (id === undefined || id === null || id === '') {
+    return { valid: false, error: 'Missing entityId (or characterId) in payload' };
+  }
+  
+  if (!getEntityType(type)) {
+    return {
+      valid: false,
+      error: `Unknown entityType ${JSON.stringify(type)} (registered: ${listEntityTypes().join(', ')})`
+    };
+  }
+  
+  // IDs become storage path segments, so keep them to a safe character set
+  const idString = String(id);
+  if (!['string', 'number'].includes(typeof id) || !ENTITY_ID_PATTERN.test(idString) || /^\.+$/.test(idString)) {
+    return { valid: false, error: 'Invalid entityId: use letters, digits, and _ . : - (up to 128 characters)' };
+  }
+  
+  return { valid: true, entityType: type, entityId: idString };
+}
+
+/**
+ * Get the storage folder for one entity's files
+ * @param {Object} entity - Entity definition from getEntityType
+ * @param {string} entityId - Entity ID
+ * @returns {string} Storage folder path, without a trailing slash
+ */
+export function getEntityStorageFolder(entity, entityId) {
+  return `${entity.storagePrefix}/${entityId}`;
+}
+
+/**
+ * Get the storage folder for an entity's uploaded source images
+ * @param {Object} entity - Entity definition from getEntityType
+ * @param {string} entityId - Entity ID
+ * @returns {string} Storage folder path, without a trailing slash
+ */
+export function getEntitySourceFolder(entity, entityId) {
+  return `${getEntityStorageFolder(entity, entityId)}/sources`;
+}
+
+/**
+ * Check whether a storage path is an uploaded source of some registered entity
+ * @param {string} objectPath - Storage path within the bucket
+ * @returns {boolean} True for '<storagePrefix>/<entityId>/sources/<file>' paths
+ */
+export function isEntitySourcePath(objectPath) {
+  return listEntityTypes().some(type => {
+    const prefix = `${getEntityType(type).storagePrefix}/`;
+    if (!objectPath.startsWith(prefix)) {
+      return false;
+    }
+    
+    const [entityId, folder, file, ...rest] = objectPath.slice(prefix.length).split('/');
+    return Boolean(entityId && file) && folder === 'sources' && rest.length === 0;
+  });
+}
+
+/**
+ * Identify an entity in responses, callbacks and job records
+ * Characters also carry characterId, as before entity types existed
+ * @param {string} entityType - Entity type name
+ * @param {string} entityId - Entity ID
+ * @returns {Object} { entityType, entityId } plus characterId for characters
+ */
+export function describeEntity(entityType, entityId) {
+  return entityType === DEFAULT_ENTITY_TYPE
+    ? { entityType, entityId, characterId: entityId }
+    : { entityType, entityId };
+}
@@ -0,0 +1,133 @@
+/**
+ * Service Error Taxonomy
+ * Errors raised by the lib modules carry a stable machine-readable code. Each code maps to
+ * the HTTP status it is reported with and whether retrying the same request may succeed,
+ * so handlers, job records, callbacks and metrics report failures the same way
+ */
+
+/**
+ * Error codes with their HTTP status and retryable flag
+ */
+export const ERROR_CODES = {
+  // The request itself is wrong; retrying it unchanged fails again
+  INVALID_REQUEST: { statusCode: 400, retryable: false },
+  PAYLOAD_TOO_LARGE: { statusCode: 413, retryable: false },
+  UNKNOWN_ENTITY_TYPE: { statusCode: 400, retryable: false },
+  ENTITY_NOT_FOUND: { statusCode: 404, retryable: false },
+  RENDITION_SET_NOT_FOUND: { statusCode: 404, retryable: false },
+  RENDITION_SET_PRUNED: { statusCode: 410, retryable: false },
+  REQUEST_IN_PROGRESS: { statusCode: 409, retryable: true },
+  IDEMPOTENCY_KEY_MISMATCH: { statusCode: 422, retryable: false },
+  
+  // The source image cannot be used
+  SOURCE_NOT_ALLOWED: { statusCode: 400, retryable: false },
+  SOURCE_NOT_FOUND: { statusCode: 404, retryable: false },
+  SOURCE_UNREACHABLE: { statusCode: 502, retryable: true },
+  SOURCE_TIMEOUT: { statusCode: 408, retryable: true },
+  SOURCE_TOO_LARGE: { statusCode: 413, retryable: false },
+  UNSUPPORTED_FORMAT: { statusCode: 415, retryable: false },
+  INVALID_IMAGE: { statusCode: 422, retryable: false },
+  
+  // Our side failed
+  RENDER_FAILED: { statusCode: 500, retryable: false },
+  STORAGE_READ_FAILED: { statusCode: 502, retryable: true },
+  STORAGE_WRITE_FAILED: { statusCode: 502, retryable: true },
+  DATABASE_ERROR: { statusCode: 503, retryable: true },
+  JOB_TIMED_OUT: { statusCode: 504, retryable: true },
+  INTERNAL_ERROR: { statusCode: 500, retryable: false }
+};
+
+/**
+ * Base class for errors with a code from ERROR_CODES
+ */
+export class ServiceError extends Error {
+  /**
+   * @param {string} code - Code from ERROR_CODES
+   * @param {string} message - Error message, safe to return to callers
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Underlying error
+   * @param {number} options.upstreamStatus - HTTP status of the failed upstream call, used to decide on retries
+   */
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    const { statusCode, retryable } = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    this.name = 'ServiceError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+    this.upstreamStatus = options.upstreamStatus ?? null;
+  }
+}
+
+/**
+ * Raised for malformed requests and options
+ */
+export class ValidationError extends ServiceError {
+  constructor(message, code = 'INVALID_REQUEST') {
+    super(code, message);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Raised when the target entity does not exist
+ */
+export class EntityNotFoundError extends ServiceError {
+  constructor(entityType, entityId, options = {}) {
+    super('ENTITY_NOT_FOUND', `${entityType.charAt(0).toUpperCase()}${entityType.slice(1)} not found: ${entityId}`, options);
+    this.name = 'EntityNotFoundError';
+  }
+}
+
+/**
+ * Raised when a source image cannot be decoded or rendered
+ */
+export class ImageError extends ServiceError {
+  constructor(code, message, options = {}) {
+    super(code, message, options);
+    this.name = 'ImageError';
+  }
+}
+
+/**
+ * Raised when reading or writing the storage bucket fails
+ */
+export class StorageError extends ServiceError {
+  constructor(code, message, options = {}) {
+    super(code, message, options);
+    this.name = 'StorageError';
+  }
+}
+
+/**
+ * Raised when a database query fails
+ */
+export class DatabaseError extends ServiceError {
+  constructor(message, options = {}) {
+    super('DATABASE_ERROR', message, options);
+    this.name = 'DatabaseError';
+  }
+}
+
+/**
+ * Get the typed form of an error
+ * @param {Error} error - Any error
+ * @param {string} code - Code for errors that are not ServiceErrors (default INTERNAL_ERROR)
+ * @returns {ServiceError} The error itself, or a ServiceError wrapping it
+ */
+export function toServiceError(error, code = 'INTERNAL_ERROR') {
+  if (error instanceof ServiceError) {
+    return error;
+  }
+  return new ServiceError(code, error?.message || String(error), { cause: error });
+}
+
+/**
+ * Format an error for the entity's error column, e.g. 'SOURCE_TOO_LARGE: Download failed ...'
+ * @param {Error} error - Any error
+ * @returns {string} Code and message
+ */
+export function formatErrorForStorage(error) {
+  const failure = toServiceError(error);
+  return `${failure.code}: ${failure.message}`;
+}
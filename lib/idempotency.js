@@ -0,0 +1,492 @@
+import crypto from 'crypto';
+import { getSupabaseClient } from './supabase.js';
+import { getJobById } from './jobs.js';
+import { createLogger } from './logger.js';
+import { ServiceError, DatabaseError } from './errors.js';
+
+/**
+ * Idempotent Request Handling
+ * Suppresses duplicate webhook deliveries: concurrent duplicates in this process
+ * share one execution, and completed keys replay their stored result.
+ * Each key is bound to a hash of the request it was first used with, and a
+ * processing claim lapses unless its holder renews it within the lease or, for a
+ * key claimed for an async job, the job is still queued or running.
+ * Keys are tracked in the aspect_ratio_idempotency_keys table
+ */
+
+const log = createLogger('Idempotency');
+
+const IDEMPOTENCY_TABLE = 'aspect_ratio_idempotency_keys';
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_LEASE_SECONDS = 120;
+const MAX_KEY_LENGTH = 255;
+
+// Executions in progress in this process, keyed by idempotency key: { execution, requestHash }
+const inFlight = new Map();
+
+/**
+ * Raised when the key is being processed by another instance
+ */
+export class IdempotencyConflictError extends ServiceError {
+  constructor(key, record) {
+    super('REQUEST_IN_PROGRESS', 'A request with this idempotency key is already being processed');
+    this.name = 'IdempotencyConflictError';
+    this.key = key;
+    this.jobId = record?.job_id || null;
+  }
+}
+
+/**
+ * Raised when a key is reused with a different request
+ */
+export class IdempotencyKeyMismatchError extends ServiceError {
+  constructor(key) {
+    super('IDEMPOTENCY_KEY_MISMATCH', 'This idempotency key was already used with a different request');
+    this.name = 'IdempotencyKeyMismatchError';
+    this.key = key;
+  }
+}
+
+/**
+ * Get how long completed keys are replayed
+ * @returns {number} TTL in milliseconds
+ */
+function getTtl() {
+  const hours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Get how long a processing claim holds without being renewed
+ * @returns {number} Lease in milliseconds
+ */
+function getLease() {
+  const seconds = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS, 10);
+  return (Number.isInteger(seconds) && seconds > 0 ? seconds : DEFAULT_LEASE_SECONDS) * 1000;
+}
+
+/**
+ * Validate an Idempotency-Key header value
+ * @param {string} key - Header value
+ * @returns {boolean} True if usable as a key
+ */
+export function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH && /^[\x21-\x7e]+$/.test(key);
+}
+
+// Options that change how a request runs but not what it renders
+const NON_RENDER_OPTIONS = ['async', 'timeout'];
+
+/**
+ * Serialize a value with object keys sorted so equal options hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Get the render options that affect the output, without options that only change how a request runs
+ * @param {Object} options - Webhook payload options
+ * @returns {Object} Render options
+ */
+function getRenderOptions(options) {
+  return Object.fromEntries(
+    Object.entries(options).filter(([key]) => !NON_RENDER_OPTIONS.includes(key))
+  );
+}
+
+/**
+ * Hash the parameters of a request, to detect an idempotency key reused for a different one
+ * @param {Object} request - Processing request
+ * @param {string} request.entityType - Entity type
+ * @param {string} request.entityId - Entity ID
+ * @param {string} request.imageUrl - Source image URL
+ * @param {Buffer} request.imageBuffer - Uploaded source image, hashed instead of imageUrl
+ * @param {string} request.callbackUrl - Callback URL
+ * @param {Object} request.options - Webhook payload options
+ * @returns {string} 'sha256:<hex>'
+ */
+export function hashRequest({ entityType, entityId, imageUrl = null, imageBuffer = null, callbackUrl = null, options = {} }) {
+  const source = imageBuffer
+    ? `upload:${crypto.createHash('sha256').update(imageBuffer).digest('hex')}`
+    : `url:${imageUrl}`;
+  
+  const hash = crypto
+    .createHash('sha256')
+    .update(canonicalize({ entityType, entityId, source, callbackUrl, options: getRenderOptions(options) }))
+    .digest('hex');
+  
+  return `sha256:${hash}`;
+}
+
+/**
+ * Check that a stored key record was created for the same request
+ * Records without a request hash predate the check and match any request
+ * @param {Object} record - Key record
+ * @param {string} requestHash - Hash of the current request (see hashRequest)
+ * @returns {boolean} True if the request may use the record
+ */
+export function matchesRequest(record, requestHash) {
+  return !record.request_hash || !requestHash || record.request_hash === requestHash;
+}
+
+/**
+ * Derive a fallback idempotency key from the target entity, source image and render options
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {Buffer} imageBuffer - Source image bytes
+ * @param {Object} options - Webhook payload options
+ * @returns {string} Key derived from a SHA-256 hash of the entity, image and options
+ */
+export function fingerprintRequest(entityType, entityId, imageBuffer, options = {}) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${entityType}:${entityId}`)
+    .update('\0')
+    .update(canonicalize(getRenderOptions(options)))
+    .update('\0')
+    .update(imageBuffer)
+    .digest('hex');
+  
+  return `sha256:${hash}`;
+}
+
+/**
+ * Get the stored record for an idempotency key
+ * Expired records are treated as absent
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>} Key record, or null
+ */
+export async function getIdempotencyRecord(key) {
+  const supabase = getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .select('*')
+    .eq('key', key)
+    .maybeSingle();
+  
+  if (error) {
+    throw new DatabaseError(`Idempotency lookup failed: ${error.message}`);
+  }
+  
+  if (data && Date.now() - new Date(data.updated_at).getTime() > getTtl()) {
+    return null;
+  }
+  
+  return data;
+}
+
+/**
+ * Check whether a processing claim is still held
+ * A claim holds while its holder renews it within the lease. A claim made for a job
+ * also holds while the job waits in the queue or runs, since it is renewed only once the
+ * job has started and the job runner requeues or fails jobs whose runner stopped
+ * @param {Object} record - Processing key record
+ * @returns {Promise<boolean>} True if the claim is held
+ */
+async function isClaimHeld(record) {
+  if (Date.now() - new Date(record.updated_at).getTime() <= getLease()) {
+    return true;
+  }
+  if (!record.job_id) {
+    return false;
+  }
+  
+  const job = await getJobById(record.job_id);
+  return ['queued', 'running'].includes(job?.status);
+}
+
+/**
+ * Check whether a run other than the caller's holds a live claim on an entity
+ * Runs claim their key before reading stored renditions to reuse, so while a claim is
+ * held the entity's stored files may be in use
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {string} exceptKey - Key claimed by the caller, if any
+ * @returns {Promise<boolean>} True if another run holds a claim within its lease
+ */
+export async function isEntityClaimed(entityType, entityId, exceptKey = null) {
+  const supabase = getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .select('key')
+    .eq('status', 'processing')
+    .eq('entity_type', entityType)
+    .eq('entity_id', entityId)
+    .gt('updated_at', new Date(Date.now() - getLease()).toISOString());
+  
+  if (error) {
+    throw new DatabaseError(`Idempotency lookup failed: ${error.message}`);
+  }
+  
+  return data.some(record => record.key !== exceptKey);
+}
+
+/**
+ * Check whether an existing key record may be taken over
+ * Failed and expired keys can be, and so can processing keys whose claim lapsed (see
+ * isClaimHeld) or that belong to the same job (a job run again after its runner stopped)
+ * @param {Object} record - Key record
+ * @param {Object} meta - Record metadata ({ jobId })
+ * @param {Function} canReplay - Optional check of a completed result
+ * @returns {Promise<boolean>} True if the key can be claimed again
+ */
+async function isReclaimable(record, meta, canReplay) {
+  const age = Date.now() - new Date(record.updated_at).getTime();
+  if (record.status === 'failed' || age > getTtl()) {
+    return true;
+  }
+  if (record.status === 'processing') {
+    return Boolean(meta.jobId && record.job_id === meta.jobId) || !(await isClaimHeld(record));
+  }
+  return Boolean(canReplay) && !(await canReplay(record.result));
+}
+
+/**
+ * Claim a key for processing
+ * A key can be claimed when it is new or its record can be taken over (see isReclaimable).
+ * Async requests claim the key with the ID of the job they are about to create, so
+ * concurrent deliveries cannot both queue a job; the job's run then takes the claim over
+ * @param {string} key - Idempotency key
+ * @param {Object} meta - Record metadata ({ entityType, entityId, jobId, requestHash })
+ * @param {Function} canReplay - Optional check of a completed result
+ * @returns {Promise<Object>} { claimed: true, updatedAt } or { claimed: false, record }
+ * @throws {IdempotencyKeyMismatchError} If the key was used with a different request
+ */
+export async function claimIdempotencyKey(key, meta, canReplay) {
+  const supabase = getSupabaseClient();
+  const now = new Date().toISOString();
+  const claim = {
+    status: 'processing',
+    entity_type: meta.entityType,
+    entity_id: meta.entityId,
+    job_id: meta.jobId || null,
+    request_hash: meta.requestHash || null,
+    result: null,
+    error: null,
+    updated_at: now
+  };
+  
+  const { error: insertError } = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .insert({ key, ...claim, created_at: now });
+  
+  if (!insertError) {
+    return { claimed: true, updatedAt: now };
+  }
+  
+  // 23505 = unique violation: the key already exists
+  if (insertError.code !== '23505') {
+    throw new DatabaseError(`Idempotency claim failed: ${insertError.message}`);
+  }
+  
+  const { data: record, error: selectError } = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .select('*')
+    .eq('key', key)
+    .single();
+  
+  if (selectError) {
+    throw new DatabaseError(`Idempotency lookup failed: ${selectError.message}`);
+  }
+  
+  if (!matchesRequest(record, meta.requestHash)) {
+    throw new IdempotencyKeyMismatchError(key);
+  }
+  
+  if (!(await isReclaimable(record, meta, canReplay))) {
+    return { claimed: false, record };
+  }
+  
+  // Re-claim only if nobody else changed the record since we read it
+  const { data: reclaimed, error: updateError } = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .update(claim)
+    .eq('key', key)
+    .eq('updated_at', record.updated_at)
+    .select();
+  
+  if (updateError) {
+    throw new DatabaseError(`Idempotency claim failed: ${updateError.message}`);
+  }
+  
+  if (reclaimed.length === 0) {
+    return { claimed: false, record };
+  }
+  
+  log.info(`Reclaimed ${record.status} key ${key}`);
+  return { claimed: true, updatedAt: now };
+}
+
+/**
+ * Renew a processing claim so it outlasts the lease
+ * Renewal is best-effort; a claim taken over by another request is left alone
+ * @param {string} key - Idempotency key
+ * @param {string} updatedAt - updated_at written by the claim or its last renewal
+ * @returns {Promise<string|null>} New updated_at, the old one if renewal failed, or null if the claim was taken over
+ */
+async function renewIdempotencyClaim(key, updatedAt) {
+  try {
+    const supabase = getSupabaseClient();
+    const now = new Date().toISOString();
+    
+    const { data, error } = await supabase
+      .from(IDEMPOTENCY_TABLE)
+      .update({ updated_at: now })
+      .eq('key', key)
+      .eq('status', 'processing')
+      .eq('updated_at', updatedAt)
+      .select();
+    
+    if (error) {
+      throw new Error(error.message);
+    }
+    
+    if (data.length === 0) {
+      log.warn(`Claim on key ${key} was taken over by another request`);
+      return null;
+    }
+    
+    return now;
+  } catch (error) {
+    log.error(`Could not renew claim on key ${key}`, { error });
+    return updatedAt;
+  }
+}
+
+/**
+ * Record the outcome of a claimed key
+ * The outcome is written only while the claim is still held, so a run whose claim lapsed
+ * and was taken over does not overwrite the outcome of the run that took it over
+ * @param {string} key - Idempotency key
+ * @param {string} updatedAt - updated_at written by the claim or its last renewal
+ * @param {Object} fields - Columns to update (status, result, error)
+ * @returns {Promise<boolean>} True if the outcome was recorded
+ */
+async function settleIdempotencyKey(key, updatedAt, fields) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(IDEMPOTENCY_TABLE)
+      .update({
+        ...fields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('key', key)
+      .eq('status', 'processing')
+      .eq('updated_at', updatedAt)
+      .select('key');
+    
+    if (error) {
+      throw new Error(error.message);
+    }
+    
+    if (data.length === 0) {
+      log.warn(`Not recording outcome for key ${key}: its claim was taken over by another request`);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    log.error(`Could not record outcome for key ${key}`, { error });
+    return false;
+  }
+}
+
+/**
+ * Release a claim whose job could not be created, so the key can be claimed again
+ * @param {string} key - Idempotency key
+ * @param {string} updatedAt - updated_at written by the claim
+ * @param {Error} error - Reason the job was not created
+ * @returns {Promise<boolean>} True if the claim was released
+ */
+export function releaseIdempotencyKey(key, updatedAt, error) {
+  return settleIdempotencyKey(key, updatedAt, { status: 'failed', error: error.message });
+}
+
+/**
+ * Run work at most once per idempotency key
+ * The claim is renewed on a timer while the work runs, so it does not lapse while a
+ * single step runs longer than IDEMPOTENCY_LEASE_SECONDS. The work is also passed a
+ * renewClaim function to renew it as it makes progress
+ * @param {string} key - Idempotency key
+ * @param {Object} meta - Record metadata ({ entityType, entityId, jobId, requestHash })
+ * @param {Function} work - Async function producing the result, called with { renewClaim }
+ * @param {Object} options - Replay options
+ * @param {Function} options.canReplay - Async check of a stored result; when it returns false the work runs again
+ * @returns {Promise<Object>} { result, status } where status is 'processed', 'replayed' or 'coalesced'
+ */
+export async function withIdempotency(key, meta, work, options = {}) {
+  if (inFlight.has(key)) {
+    const running = inFlight.get(key);
+    if (!matchesRequest({ request_hash: running.requestHash }, meta.requestHash)) {
+      throw new IdempotencyKeyMismatchError(key);
+    }
+    
+    log.info(`Coalescing duplicate request for key ${key}`);
+    const outcome = await running.execution;
+    return { ...outcome, status: 'coalesced' };
+  }
+  
+  const execution = (async () => {
+    const claim = await claimIdempotencyKey(key, meta, options.canReplay);
+    
+    if (!claim.claimed) {
+      if (claim.record.status === 'completed') {
+        log.info(`Replaying stored result for key ${key}`);
+        return { result: claim.record.result, status: 'replayed' };
+      }
+      throw new IdempotencyConflictError(key, claim.record);
+    }
+    
+    // Renewals are chained so each one conditions on the updated_at the previous one wrote
+    let updatedAt = claim.updatedAt;
+    let renewal = Promise.resolve();
+    const renewClaim = () => {
+      renewal = renewal.then(async () => {
+        if (updatedAt !== null) {
+          updatedAt = await renewIdempotencyClaim(key, updatedAt);
+        }
+      });
+      return renewal;
+    };
+    const settle = async fields => {
+      clearInterval(renewTimer);
+      await renewal;
+      if (updatedAt !== null) {
+        await settleIdempotencyKey(key, updatedAt, fields);
+      }
+    };
+    
+    const renewTimer = setInterval(renewClaim, Math.max(1000, getLease() / 3));
+    renewTimer.unref?.();
+    
+    try {
+      const result = await work({ renewClaim });
+      await settle({ status: 'completed', result });
+      return { result, status: 'processed' };
+    } catch (error) {
+      await settle({ status: 'failed', error: error.message });
+      throw error;
+    }
+  })();
+  
+  inFlight.set(key, { execution, requestHash: meta.requestHash || null });
+  
+  try {
+    return await execution;
+  } finally {
+    inFlight.delete(key);
+  }
+}
@@ -1,58 +1,755 @@
+import crypto from 'crypto';
 import sharp from 'sharp';
+import { createLogger } from './logger.js';
+import { withSpan } from './tracing.js';
+import { ValidationError, ImageError, toServiceError } from './errors.js';
 
 /**
  * Image Processing Utilities using Sharp
- * Handles aspect ratio processing with black padding for CharFlow Studio
+ * Handles aspect ratio processing with configurable padding for CharFlow Studio
  */
 
+const log = createLogger('ImageProcessor');
+
+/**
+ * Supported aspect ratio catalog
+ * Optimized for nano-banana and video generation (social and cinema targets)
+ */
+export const SUPPORTED_ASPECT_RATIOS = {
+  '1:1': { width: 1, height: 1 },
+  '16:9': { width: 16, height: 9 },
+  '9:16': { width: 9, height: 16 },
+  '4:5': { width: 4, height: 5 },
+  '3:2': { width: 3, height: 2 },
+  '21:9': { width: 21, height: 9 },
+  '2:3': { width: 2, height: 3 }
+};
+
+/**
+ * Ratios rendered when the payload doesn't name any
+ */
+export const DEFAULT_ASPECT_RATIOS = ['1:1', '16:9', '9:16'];
+
+/**
+ * Long-edge size limits (in pixels) for rendered outputs
+ */
+export const DEFAULT_LONG_EDGE = 1024;
+const MIN_LONG_EDGE = 64;
+const MAX_LONG_EDGE = 4096;
+
+/**
+ * Convert a ratio key to the key used for file names and URL maps
+ * @param {string} ratioKey - Ratio key (e.g. '16:9')
+ * @returns {string} Output key (e.g. '16x9')
+ */
+export function toOutputKey(ratioKey) {
+  return ratioKey.replace(':', 'x');
+}
+
+/**
+ * Calculate target dimensions for an aspect ratio at a given long-edge size
+ * Dimensions are rounded to even numbers so they stay valid video frame sizes
+ * @param {string} ratioKey - Ratio key from SUPPORTED_ASPECT_RATIOS
+ * @param {number} longEdge - Size of the longest edge in pixels
+ * @returns {Object} Target width and height
+ */
+export function getTargetDimensions(ratioKey, longEdge = DEFAULT_LONG_EDGE) {
+  const ratio = SUPPORTED_ASPECT_RATIOS[ratioKey];
+  if (!ratio) {
+    throw new Error(`Unsupported aspect ratio: ${ratioKey}`);
+  }
+  
+  const toEven = value => Math.max(2, Math.round(value / 2) * 2);
+  
+  if (ratio.width >= ratio.height) {
+    return {
+      width: toEven(longEdge),
+      height: toEven(longEdge * ratio.height / ratio.width)
+    };
+  }
+  
+  return {
+    width: toEven(longEdge * ratio.width / ratio.height),
+    height: toEven(longEdge)
+  };
+}
+
+/**
+ * Validate a long-edge size value
+ * @param {*} size - Requested size
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLongEdge(size) {
+  if (!Number.isInteger(size) || size < MIN_LONG_EDGE || size > MAX_LONG_EDGE) {
+    return `Invalid size ${JSON.stringify(size)}: must be an integer between ${MIN_LONG_EDGE} and ${MAX_LONG_EDGE}`;
+  }
+  return null;
+}
+
+/**
+ * Long-edge sizes rendered when the responsive size ladder is enabled with sizes: true
+ */
+export const DEFAULT_SIZE_LADDER = [256, 512, 1024, 2048];
+
+/**
+ * Resolve a responsive size ladder option
+ * @param {Array<number>|boolean} sizes - Long-edge sizes, true for DEFAULT_SIZE_LADDER, or false/empty for none
+ * @returns {Object} Validation result with the sizes sorted ascending without duplicates
+ */
+function resolveSizeLadder(sizes) {
+  if (sizes === true) {
+    return { valid: true, sizes: [...DEFAULT_SIZE_LADDER] };
+  }
+  if (sizes === false) {
+    return { valid: true, sizes: [] };
+  }
+  if (!Array.isArray(sizes)) {
+    return { valid: false, error: 'sizes must be an array of long-edge sizes or a boolean' };
+  }
+  
+  for (const size of sizes) {
+    const sizeError = validateLongEdge(size);
+    if (sizeError) {
+      return { valid: false, error: `sizes: ${sizeError}` };
+    }
+  }
+  
+  return { valid: true, sizes: [...new Set(sizes)].sort((a, b) => a - b) };
+}
+
+/**
+ * Check whether rendering a frame would enlarge the source image
+ * Padded frames fit the whole source inside; cropped frames cover the frame with it
+ * @param {string} mode - Render mode ('pad' or 'crop')
+ * @param {number} originalWidth - Source width
+ * @param {number} originalHeight - Source height
+ * @param {number} targetWidth - Frame width
+ * @param {number} targetHeight - Frame height
+ * @returns {boolean} True if the source would be upscaled
+ */
+export function wouldUpscale(mode, originalWidth, originalHeight, targetWidth, targetHeight) {
+  const scaleX = targetWidth / originalWidth;
+  const scaleY = targetHeight / originalHeight;
+  const scale = mode === 'crop' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  return scale > 1;
+}
+
+/**
+ * Output formats with their file extension, MIME type and default quality
+ */
+export const OUTPUT_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', quality: 85 },
+  webp: { extension: 'webp', contentType: 'image/webp', quality: 80 },
+  avif: { extension: 'avif', contentType: 'image/avif', quality: 50 },
+  png: { extension: 'png', contentType: 'image/png', quality: 100 }
+};
+
+/**
+ * Output formats that can carry an alpha channel
+ */
+export const ALPHA_FORMATS = ['png', 'webp', 'avif'];
+
+const DEFAULT_ALPHA_CLEANUP_THRESHOLD = 8;
+
+/**
+ * Lossless encoding used between rendering and the per-format encodes
+ */
+const INTERMEDIATE_OUTPUT = { format: 'png', compressionLevel: 1 };
+
+/**
+ * Apply format-specific encoding to a Sharp pipeline
+ * @param {Object} pipeline - Sharp pipeline
+ * @param {string} format - Output format from OUTPUT_FORMATS
+ * @param {Object} options - Encoding options (quality, progressive, compressionLevel)
+ * @returns {Object} Sharp pipeline
+ */
+function applyOutputFormat(pipeline, format, options = {}) {
+  if (!OUTPUT_FORMATS[format]) {
+    throw new Error(`Unsupported output format: ${format}`);
+  }
+  
+  const {
+    quality = OUTPUT_FORMATS[format].quality,
+    progressive = true,
+    compressionLevel = 9
+  } = options;
+  
+  if (format === 'jpeg') {
+    return pipeline.jpeg({
+      quality,
+      progressive,
+      mozjpeg: true
+    });
+  }
+  
+  if (format === 'png') {
+    // PNG is lossless unless a quality below 100 asks for palette quantization
+    return pipeline.png({
+      progressive,
+      compressionLevel,
+      ...(quality < 100 ? { quality } : {})
+    });
+  }
+  
+  if (format === 'webp') {
+    return pipeline.webp({
+      quality,
+      effort: 6
+    });
+  }
+  
+  return pipeline.avif({
+    quality,
+    effort: 4
+  });
+}
+
+/**
+ * Resolve the requested output formats and per-format quality settings
+ * @param {string[]} formats - Output formats, e.g. ['avif', 'webp', 'jpeg']
+ * @param {Object} quality - Quality per format, e.g. { avif: 45, jpeg: 82 }
+ * @returns {Object} Validation result with formats and quality
+ */
+function resolveOutputFormats(formats, quality) {
+  if (!Array.isArray(formats) || formats.length === 0) {
+    return { valid: false, error: 'formats must be a non-empty array' };
+  }
+  
+  const unsupported = formats.filter(format => !OUTPUT_FORMATS[format]);
+  if (unsupported.length > 0) {
+    return {
+      valid: false,
+      error: `Unsupported format: ${unsupported.join(', ')} (supported: ${Object.keys(OUTPUT_FORMATS).join(', ')})`
+    };
+  }
+  
+  if (new Set(formats).size !== formats.length) {
+    return { valid: false, error: 'formats must not contain duplicates' };
+  }
+  
+  if (!quality || typeof quality !== 'object') {
+    return { valid: false, error: 'quality must be an object keyed by format' };
+  }
+  
+  for (const [format, value] of Object.entries(quality)) {
+    if (!OUTPUT_FORMATS[format]) {
+      return { valid: false, error: `Unsupported quality format: ${format}` };
+    }
+    if (!Number.isInteger(value) || value < 1 || value > 100) {
+      return { valid: false, error: `Invalid ${format} quality ${JSON.stringify(value)}: must be an integer between 1 and 100` };
+    }
+  }
+  
+  return {
+    valid: true,
+    formats,
+    quality
+  };
+}
+
+/**
+ * Render modes: pad letterboxes the whole image, crop fills the frame
+ */
+export const RENDER_MODES = ['pad', 'crop'];
+
+/**
+ * Saliency strategies used to choose the crop window when no focal point is given
+ */
+export const CROP_STRATEGIES = ['attention', 'entropy'];
+
 /**
- * Target dimensions for each aspect ratio
- * Optimized for nano-banana and video generation
+ * Gravity anchors as fractions of the free space along each axis
  */
-const ASPECT_RATIO_DIMENSIONS = {
-  '1:1': { width: 1024, height: 1024 },
-  '16:9': { width: 1024, height: 576 },
-  '9:16': { width: 576, height: 1024 }
+export const GRAVITY_ANCHORS = {
+  center: { x: 0.5, y: 0.5 },
+  north: { x: 0.5, y: 0 },
+  south: { x: 0.5, y: 1 },
+  east: { x: 1, y: 0.5 },
+  west: { x: 0, y: 0.5 },
+  northeast: { x: 1, y: 0 },
+  northwest: { x: 0, y: 0 },
+  southeast: { x: 1, y: 1 },
+  southwest: { x: 0, y: 1 }
 };
 
+/**
+ * Check a normalized focal point ({ x, y } as fractions of width and height)
+ * @param {*} focalPoint - Focal point to check
+ * @returns {boolean} True if valid
+ */
+function isValidFocalPoint(focalPoint) {
+  return Boolean(focalPoint) &&
+    [focalPoint.x, focalPoint.y].every(value => typeof value === 'number' && value >= 0 && value <= 1);
+}
+
+/**
+ * Resolve the render targets requested in the webhook options
+ * Each entry in options.aspectRatios may be a ratio key ('4:5') or an
+ * object with per-ratio overrides ({ ratio: '21:9', size: 2048, sizes: [512, 1024], fill: 'blur', formats: ['webp'] })
+ * @param {Object} options - Webhook payload options
+ * @returns {Object} Validation result with resolved targets
+ */
+export function resolveRenderTargets(options = {}) {
+  const {
+    aspectRatios = DEFAULT_ASPECT_RATIOS,
+    size = DEFAULT_LONG_EDGE,
+    fill: defaultFill = 'black',
+    mode: defaultMode = 'pad',
+    strategy: defaultStrategy = 'attention',
+    gravity: defaultGravity = null,
+    focalPoint: defaultFocalPoint = null,
+    formats: defaultFormats = options.preserveAlpha ? ['png'] : ['jpeg'],
+    quality: defaultQuality = {},
+    sizes: defaultSizes = []
+  } = options;
+  
+  if (options.masks !== undefined && typeof options.masks !== 'boolean') {
+    return { valid: false, error: 'masks must be a boolean' };
+  }
+  
+  if (options.preserveAlpha !== undefined && typeof options.preserveAlpha !== 'boolean') {
+    return { valid: false, error: 'preserveAlpha must be a boolean' };
+  }
+  
+  const { alphaCleanup } = options;
+  if (alphaCleanup !== undefined && typeof alphaCleanup !== 'boolean') {
+    const threshold = alphaCleanup?.threshold;
+    if (!Number.isInteger(threshold) || threshold < 0 || threshold > 64) {
+      return {
+        valid: false,
+        error: 'alphaCleanup must be a boolean or { threshold } with an integer threshold between 0 and 64'
+      };
+    }
+  }
+  
+  const sizeError = validateLongEdge(size);
+  if (sizeError) {
+    return { valid: false, error: sizeError };
+  }
+  
+  if (!Array.isArray(aspectRatios) || aspectRatios.length === 0) {
+    return {
+      valid: false,
+      error: 'aspectRatios must be a non-empty array'
+    };
+  }
+  
+  const targets = [];
+  const seen = new Set();
+  
+  for (const entry of aspectRatios) {
+    const spec = typeof entry === 'string' ? { ratio: entry } : entry;
+    
+    if (!spec || typeof spec.ratio !== 'string') {
+      return {
+        valid: false,
+        error: `Invalid aspect ratio entry: ${JSON.stringify(entry)}`
+      };
+    }
+    
+    if (!SUPPORTED_ASPECT_RATIOS[spec.ratio]) {
+      return {
+        valid: false,
+        error: `Unsupported aspect ratio: ${spec.ratio} (supported: ${Object.keys(SUPPORTED_ASPECT_RATIOS).join(', ')})`
+      };
+    }
+    
+    if (seen.has(spec.ratio)) {
+      return {
+        valid: false,
+        error: `Duplicate aspect ratio: ${spec.ratio}`
+      };
+    }
+    seen.add(spec.ratio);
+    
+    const longEdge = spec.size ?? size;
+    const ratioSizeError = validateLongEdge(longEdge);
+    if (ratioSizeError) {
+      return { valid: false, error: `${spec.ratio}: ${ratioSizeError}` };
+    }
+    
+    const ladderResult = resolveSizeLadder(spec.sizes ?? defaultSizes);
+    if (!ladderResult.valid) {
+      return { valid: false, error: `${spec.ratio}: ${ladderResult.error}` };
+    }
+    
+    const fillResult = resolveFillOption(spec.fill ?? defaultFill);
+    if (!fillResult.valid) {
+      return { valid: false, error: `${spec.ratio}: ${fillResult.error}` };
+    }
+    
+    const mode = spec.mode ?? defaultMode;
+    if (!RENDER_MODES.includes(mode)) {
+      return {
+        valid: false,
+        error: `${spec.ratio}: Invalid mode ${JSON.stringify(mode)} (supported: ${RENDER_MODES.join(', ')})`
+      };
+    }
+    
+    const strategy = spec.strategy ?? defaultStrategy;
+    if (!CROP_STRATEGIES.includes(strategy)) {
+      return {
+        valid: false,
+        error: `${spec.ratio}: Invalid crop strategy ${JSON.stringify(strategy)} (supported: ${CROP_STRATEGIES.join(', ')})`
+      };
+    }
+    
+    const gravity = spec.gravity ?? defaultGravity;
+    if (gravity !== null && !GRAVITY_ANCHORS[gravity]) {
+      return {
+        valid: false,
+        error: `${spec.ratio}: Invalid gravity ${JSON.stringify(gravity)} (supported: ${Object.keys(GRAVITY_ANCHORS).join(', ')})`
+      };
+    }
+    
+    const focalPoint = spec.focalPoint ?? defaultFocalPoint;
+    if (focalPoint !== null && !isValidFocalPoint(focalPoint)) {
+      return {
+        valid: false,
+        error: `${spec.ratio}: Invalid focalPoint ${JSON.stringify(focalPoint)}: x and y must be fractions between 0 and 1`
+      };
+    }
+    
+    const outputResult = resolveOutputFormats(
+      spec.formats ?? defaultFormats,
+      { ...defaultQuality, ...spec.quality }
+    );
+    if (!outputResult.valid) {
+      return { valid: false, error: `${spec.ratio}: ${outputResult.error}` };
+    }
+    
+    targets.push({
+      ...spec,
+      formats: outputResult.formats,
+      quality: outputResult.quality,
+      fill: fillResult.fill,
+      mode,
+      strategy,
+      gravity,
+      focalPoint,
+      key: toOutputKey(spec.ratio),
+      size: longEdge,
+      sizes: ladderResult.sizes,
+      ...getTargetDimensions(spec.ratio, longEdge)
+    });
+  }
+  
+  return {
+    valid: true,
+    targets
+  };
+}
+
 /**
  * Detect the aspect ratio of an image from its dimensions
  * @param {number} width - Image width
  * @param {number} height - Image height
- * @returns {string} Detected aspect ratio ('1:1', '16:9', '9:16', or 'other')
+ * @returns {string} Detected aspect ratio key from SUPPORTED_ASPECT_RATIOS, or 'other'
  */
 export function detectAspectRatio(width, height) {
   const ratio = width / height;
   const tolerance = 0.05; // 5% tolerance
   
-  // Check for 1:1 (square)
-  if (Math.abs(ratio - 1) < tolerance) {
-    return '1:1';
+  let closest = 'other';
+  let closestDistance = tolerance;
+  
+  for (const [ratioKey, dimensions] of Object.entries(SUPPORTED_ASPECT_RATIOS)) {
+    const distance = Math.abs(ratio - dimensions.width / dimensions.height);
+    if (distance < closestDistance) {
+      closest = ratioKey;
+      closestDistance = distance;
+    }
+  }
+  
+  return closest;
+}
+
+/**
+ * Padding fill modes supported by createPaddedImage
+ * - black: solid black bars (default)
+ * - color: solid bars in a given colour
+ * - blur: blurred, scaled-to-cover copy of the source
+ * - dominant: solid bars in the source's dominant colour
+ * - edge: edge pixels of the source extended outwards
+ * - mirror: source mirrored at its edges
+ */
+export const FILL_MODES = ['black', 'color', 'blur', 'dominant', 'edge', 'mirror'];
+
+const DEFAULT_BLUR_SIGMA = 30;
+
+/**
+ * Parse a colour given as '#rgb', '#rrggbb' or { r, g, b }
+ * @param {string|Object} color - Colour value
+ * @returns {Object|null} RGB colour, or null if invalid
+ */
+function parseColor(color) {
+  if (typeof color === 'string') {
+    const match = color.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) {
+      return null;
+    }
+    
+    const hex = match[1].length === 3
+      ? match[1].split('').map(char => char + char).join('')
+      : match[1];
+    
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16)
+    };
+  }
+  
+  if (color && typeof color === 'object') {
+    const channels = [color.r, color.g, color.b];
+    if (channels.every(value => Number.isInteger(value) && value >= 0 && value <= 255)) {
+      return { r: color.r, g: color.g, b: color.b };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve a padding fill option
+ * Accepts a mode name ('blur'), a colour shorthand ('#1a1a1a') or an
+ * object ({ mode: 'color', color: '#1a1a1a' }, { mode: 'blur', sigma: 20 })
+ * @param {string|Object} fill - Fill option from the webhook payload
+ * @returns {Object} Validation result with the resolved fill
+ */
+export function resolveFillOption(fill = 'black') {
+  let spec = fill;
+  
+  if (typeof fill === 'string') {
+    spec = FILL_MODES.includes(fill) ? { mode: fill } : { mode: 'color', color: fill };
+  }
+  
+  if (!spec || typeof spec !== 'object' || !FILL_MODES.includes(spec.mode)) {
+    return {
+      valid: false,
+      error: `Invalid fill ${JSON.stringify(fill)} (supported modes: ${FILL_MODES.join(', ')})`
+    };
+  }
+  
+  if (spec.mode === 'color') {
+    const color = parseColor(spec.color);
+    if (!color) {
+      return {
+        valid: false,
+        error: `Invalid fill color ${JSON.stringify(spec.color)}: use '#rrggbb' or { r, g, b }`
+      };
+    }
+    return { valid: true, fill: { mode: 'color', color } };
+  }
+  
+  if (spec.mode === 'blur') {
+    const sigma = spec.sigma ?? DEFAULT_BLUR_SIGMA;
+    if (typeof sigma !== 'number' || sigma < 0.3 || sigma > 100) {
+      return {
+        valid: false,
+        error: `Invalid blur sigma ${JSON.stringify(spec.sigma)}: must be between 0.3 and 100`
+      };
+    }
+    return { valid: true, fill: { mode: 'blur', sigma } };
+  }
+  
+  return { valid: true, fill: { mode: spec.mode } };
+}
+
+/**
+ * Build the padding background for a fill mode
+ * @param {Buffer} imageBuffer - Original image buffer
+ * @param {Object} fill - Resolved fill option
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @returns {Promise<Object>} Sharp pipeline for the background canvas
+ */
+async function createFillBackground(imageBuffer, fill, targetWidth, targetHeight) {
+  if (fill.mode === 'blur') {
+    const background = await sharp(imageBuffer)
+      .resize(targetWidth, targetHeight, { fit: 'cover' })
+      .blur(fill.sigma)
+      .removeAlpha()
+      .toBuffer();
+    
+    return sharp(background);
   }
   
-  // Check for 16:9 (landscape)
-  if (Math.abs(ratio - (16/9)) < tolerance) {
-    return '16:9';
+  let background = { r: 0, g: 0, b: 0 };
+  if (fill.mode === 'color') {
+    background = fill.color;
+  } else if (fill.mode === 'dominant') {
+    const { dominant } = await sharp(imageBuffer).stats();
+    background = dominant;
   }
   
-  // Check for 9:16 (portrait)
-  if (Math.abs(ratio - (9/16)) < tolerance) {
-    return '9:16';
+  return sharp({
+    create: {
+      width: targetWidth,
+      height: targetHeight,
+      channels: 3,
+      background
+    }
+  });
+}
+
+/**
+ * Calculate where the resized image sits on a padded canvas
+ * A focal point is moved as close to the canvas centre as the free space
+ * allows; otherwise the image is anchored by gravity (centred by default)
+ * @param {number} originalWidth - Source width
+ * @param {number} originalHeight - Source height
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @param {Object} placement - Placement options
+ * @param {string} placement.gravity - Gravity from GRAVITY_ANCHORS
+ * @param {Object} placement.focalPoint - Normalized focal point { x, y }
+ * @returns {Object} Content rectangle on the canvas { left, top, width, height }
+ */
+export function computePadPlacement(originalWidth, originalHeight, targetWidth, targetHeight, placement = {}) {
+  const { gravity = null, focalPoint = null } = placement;
+  
+  // Calculate scaling to fit within target dimensions while preserving aspect ratio
+  const scale = Math.min(targetWidth / originalWidth, targetHeight / originalHeight);
+  const width = Math.min(targetWidth, Math.round(originalWidth * scale));
+  const height = Math.min(targetHeight, Math.round(originalHeight * scale));
+  
+  const freeWidth = targetWidth - width;
+  const freeHeight = targetHeight - height;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  
+  if (focalPoint) {
+    return {
+      left: clamp(Math.round(targetWidth / 2 - focalPoint.x * width), freeWidth),
+      top: clamp(Math.round(targetHeight / 2 - focalPoint.y * height), freeHeight),
+      width,
+      height
+    };
   }
   
-  return 'other';
+  const anchor = GRAVITY_ANCHORS[gravity || 'center'];
+  return {
+    left: Math.round(freeWidth * anchor.x),
+    top: Math.round(freeHeight * anchor.y),
+    width,
+    height
+  };
+}
+
+/**
+ * Resize an image, keeping its alpha, optionally cropping it first and placing it on a transparent canvas
+ * Sharp premultiplies alpha while resampling, so colour under transparent pixels cannot
+ * fringe semi-transparent edges
+ * @param {Buffer} imageBuffer - Source image buffer
+ * @param {Object} frame - Frame geometry
+ * @param {Object} frame.extract - Source rectangle { left, top, width, height } to crop before resizing
+ * @param {number} frame.width - Width the image is resized to
+ * @param {number} frame.height - Height the image is resized to
+ * @param {Object} frame.canvas - Transparent canvas { width, height, left, top } the resized image is placed on
+ * @returns {Object} Sharp instance over the RGBA result
+ */
+function resizeWithAlpha(imageBuffer, frame) {
+  const { extract = null, width, height, canvas = null } = frame;
+  
+  let image = sharp(imageBuffer).toColourspace('srgb').ensureAlpha();
+  if (extract) {
+    image = image.extract(extract);
+  }
+  image = image.resize(width, height, { kernel: sharp.kernel.lanczos3, fit: 'fill' });
+  if (canvas) {
+    image = image.extend({
+      top: canvas.top,
+      left: canvas.left,
+      bottom: canvas.height - height - canvas.top,
+      right: canvas.width - width - canvas.left,
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    });
+  }
+  return image;
+}
+
+/**
+ * Clean up the alpha edges of a transparent rendition
+ * An optional pass over the transparent render (see resizeWithAlpha):
+ * near-transparent pixels become fully transparent with their colour cleared,
+ * and near-opaque pixels become fully opaque
+ * @param {Buffer} imageBuffer - Image buffer with an alpha channel
+ * @param {number} threshold - Alpha distance from 0/255 that gets snapped
+ * @returns {Promise<Buffer>} Lossless PNG buffer
+ */
+export async function cleanupAlphaEdges(imageBuffer, threshold = DEFAULT_ALPHA_CLEANUP_THRESHOLD) {
+  try {
+    const { data, info } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    for (let offset = 0; offset < data.length; offset += 4) {
+      const alpha = data[offset + 3];
+      if (alpha <= threshold) {
+        data.fill(0, offset, offset + 4);
+      } else if (alpha >= 255 - threshold) {
+        data[offset + 3] = 255;
+      }
+    }
+    
+    const cleaned = sharp(data, {
+      raw: {
+        width: info.width,
+        height: info.height,
+        channels: 4
+      }
+    });
+    
+    return await applyOutputFormat(cleaned, INTERMEDIATE_OUTPUT.format, INTERMEDIATE_OUTPUT).toBuffer();
+  } catch (error) {
+    log.error('Error cleaning up alpha edges', { error });
+    throw new ImageError('RENDER_FAILED', `Alpha cleanup failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Create a padded image to fit target dimensions, traced as a span
+ * @param {Buffer} imageBuffer - Original image buffer
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @param {Object} options - Padding options (see padImage)
+ * @returns {Promise<Buffer>} Processed image buffer
+ */
+export function createPaddedImage(imageBuffer, targetWidth, targetHeight, options = {}) {
+  return withSpan('createPaddedImage', {
+    attributes: {
+      'image.width': targetWidth,
+      'image.height': targetHeight,
+      'image.fill': options.transparent ? 'transparent' : (typeof options.fill === 'string' ? options.fill : options.fill?.mode),
+      'image.format': options.format
+    }
+  }, () => padImage(imageBuffer, targetWidth, targetHeight, options));
 }
 
 /**
- * Create a padded image with black background to fit target dimensions
+ * Pad an image to fit target dimensions
  * @param {Buffer} imageBuffer - Original image buffer
  * @param {number} targetWidth - Target width
  * @param {number} targetHeight - Target height
+ * @param {Object} options - Padding options
+ * @param {string|Object} options.fill - Fill mode (see resolveFillOption), defaults to black
+ * @param {string} options.gravity - Gravity from GRAVITY_ANCHORS, defaults to center
+ * @param {Object} options.focalPoint - Normalized focal point { x, y }, overrides gravity
+ * @param {boolean} options.transparent - Place the image on a transparent canvas instead of the fill
+ * @param {string} options.format - Output format from OUTPUT_FORMATS, defaults to jpeg
+ * @param {number} options.quality - Output quality, defaults to the format's default
  * @returns {Promise<Buffer>} Processed image buffer
  */
-export async function createPaddedImage(imageBuffer, targetWidth, targetHeight) {
+async function padImage(imageBuffer, targetWidth, targetHeight, options = {}) {
   try {
-    console.log(`[ImageProcessor] Creating padded image: ${targetWidth}x${targetHeight}`);
+    const fillResult = resolveFillOption(options.fill);
+    if (!fillResult.valid) {
+      throw new Error(fillResult.error);
+    }
+    const { fill } = fillResult;
+    
+    log.debug(`Creating padded image: ${targetWidth}x${targetHeight}, fill: ${options.transparent ? 'transparent' : fill.mode}`);
     
     // Get original image metadata
     const image = sharp(imageBuffer);
@@ -61,70 +758,318 @@ export async function createPaddedImage(imageBuffer, targetWidth, targetHeight)
     const originalWidth = metadata.width;
     const originalHeight = metadata.height;
     
-    console.log(`[ImageProcessor] Original dimensions: ${originalWidth}x${originalHeight}`);
-    
-    // Calculate scaling to fit within target dimensions while preserving aspect ratio
-    const scaleWidth = targetWidth / originalWidth;
-    const scaleHeight = targetHeight / originalHeight;
-    const scale = Math.min(scaleWidth, scaleHeight);
+    log.debug(`Original dimensions: ${originalWidth}x${originalHeight}`);
     
-    const newWidth = Math.round(originalWidth * scale);
-    const newHeight = Math.round(originalHeight * scale);
+    // Scale to fit and place on the canvas
+    const { left, top, width: newWidth, height: newHeight } = computePadPlacement(
+      originalWidth,
+      originalHeight,
+      targetWidth,
+      targetHeight,
+      { gravity: options.gravity, focalPoint: options.focalPoint }
+    );
     
-    console.log(`[ImageProcessor] Scaled dimensions: ${newWidth}x${newHeight} (scale: ${scale.toFixed(3)})`);
+    log.debug(`Scaled dimensions: ${newWidth}x${newHeight}, offset: ${left},${top}`);
     
     // Resize the image
-    const resizedImage = await image
+    const resizeContent = () => image
       .resize(newWidth, newHeight, {
         kernel: sharp.kernel.lanczos3,
         withoutEnlargement: false
       })
-      .jpeg({
-        quality: 85,
-        progressive: true,
-        mozjpeg: true
-      })
+      .png()
       .toBuffer();
     
-    // Create a black background and composite the resized image
-    const paddedImage = await sharp({
+    let canvas;
+    if (options.transparent) {
+      // Keep the alpha channel on a fully transparent canvas
+      canvas = resizeWithAlpha(imageBuffer, {
+        width: newWidth,
+        height: newHeight,
+        canvas: { width: targetWidth, height: targetHeight, left, top }
+      });
+    } else if (fill.mode === 'edge' || fill.mode === 'mirror') {
+      // Extend the resized image itself out to the target dimensions
+      canvas = sharp(await resizeContent())
+        .flatten({ background: { r: 0, g: 0, b: 0 } })
+        .extend({
+          top,
+          left,
+          bottom: targetHeight - newHeight - top,
+          right: targetWidth - newWidth - left,
+          extendWith: fill.mode === 'edge' ? 'copy' : 'mirror'
+        });
+    } else {
+      // Composite the resized image over the fill background
+      const background = await createFillBackground(imageBuffer, fill, targetWidth, targetHeight);
+      canvas = background.composite([{
+        input: await resizeContent(),
+        top,
+        left
+      }]);
+    }
+    
+    const paddedImage = await applyOutputFormat(canvas, options.format || 'jpeg', options).toBuffer();
+    
+    log.debug(`Padded image created successfully, size: ${paddedImage.length} bytes`);
+    
+    return paddedImage;
+  } catch (error) {
+    log.error('Error creating padded image', { error });
+    throw new ImageError('RENDER_FAILED', `Image processing failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Create a binary outpainting mask for a padded rendition
+ * White marks the padded region to be outpainted, black the original content
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} contentBox - Content rectangle on the canvas { left, top, width, height }
+ * @returns {Promise<Buffer>} Single-channel PNG mask buffer
+ */
+export async function createOutpaintMask(width, height, contentBox) {
+  try {
+    const content = await sharp({
       create: {
-        width: targetWidth,
-        height: targetHeight,
+        width: contentBox.width,
+        height: contentBox.height,
         channels: 3,
-        background: { r: 0, g: 0, b: 0 } // Black background
+        background: { r: 0, g: 0, b: 0 }
       }
     })
-    .jpeg({
-      quality: 85,
-      progressive: true,
-      mozjpeg: true
+    .png()
+    .toBuffer();
+    
+    return await sharp({
+      create: {
+        width,
+        height,
+        channels: 3,
+        background: { r: 255, g: 255, b: 255 }
+      }
     })
     .composite([{
-      input: resizedImage,
-      top: Math.round((targetHeight - newHeight) / 2),
-      left: Math.round((targetWidth - newWidth) / 2)
+      input: content,
+      top: contentBox.top,
+      left: contentBox.left
     }])
+    .removeAlpha()
+    .toColourspace('b-w')
+    .png({ compressionLevel: 9 })
     .toBuffer();
+  } catch (error) {
+    log.error('Error creating outpaint mask', { error });
+    throw new ImageError('RENDER_FAILED', `Mask generation failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Calculate the source crop window for the target frame
+ * A focal point is centred in the frame as far as the source allows;
+ * otherwise the window is anchored by gravity (centred by default)
+ * @param {number} originalWidth - Source width
+ * @param {number} originalHeight - Source height
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @param {Object} placement - Placement options
+ * @param {string} placement.gravity - Gravity from GRAVITY_ANCHORS
+ * @param {Object} placement.focalPoint - Normalized focal point { x, y }
+ * @returns {Object} Crop rectangle in source pixels { left, top, width, height }
+ */
+export function computeCropWindow(originalWidth, originalHeight, targetWidth, targetHeight, placement = {}) {
+  const { gravity = null, focalPoint = null } = placement;
+  
+  const scale = Math.max(targetWidth / originalWidth, targetHeight / originalHeight);
+  const width = Math.min(originalWidth, Math.round(targetWidth / scale));
+  const height = Math.min(originalHeight, Math.round(targetHeight / scale));
+  
+  const freeWidth = originalWidth - width;
+  const freeHeight = originalHeight - height;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  
+  if (focalPoint) {
+    return {
+      left: clamp(Math.round(focalPoint.x * originalWidth - width / 2), freeWidth),
+      top: clamp(Math.round(focalPoint.y * originalHeight - height / 2), freeHeight),
+      width,
+      height
+    };
+  }
+  
+  const anchor = GRAVITY_ANCHORS[gravity || 'center'];
+  return {
+    left: Math.round(freeWidth * anchor.x),
+    top: Math.round(freeHeight * anchor.y),
+    width,
+    height
+  };
+}
+
+/**
+ * Create a cropped image that fills the target dimensions, traced as a span
+ * @param {Buffer} imageBuffer - Original image buffer
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @param {Object} options - Crop options (see cropImage)
+ * @returns {Promise<Object>} Processed image buffer and the crop rectangle used (source pixels)
+ */
+export function createCroppedImage(imageBuffer, targetWidth, targetHeight, options = {}) {
+  return withSpan('createCroppedImage', {
+    attributes: {
+      'image.width': targetWidth,
+      'image.height': targetHeight,
+      'image.strategy': options.strategy,
+      'image.format': options.format
+    }
+  }, () => cropImage(imageBuffer, targetWidth, targetHeight, options));
+}
+
+/**
+ * Crop an image to fill the target dimensions
+ * The crop window is centred on the focal point or anchored by gravity when
+ * either is given, otherwise Sharp's saliency strategy picks the most interesting region
+ * @param {Buffer} imageBuffer - Original image buffer
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @param {Object} options - Crop options
+ * @param {string} options.strategy - Saliency strategy ('attention' or 'entropy')
+ * @param {string} options.gravity - Gravity from GRAVITY_ANCHORS
+ * @param {Object} options.focalPoint - Normalized focal point { x, y }
+ * @param {string} options.format - Output format from OUTPUT_FORMATS, defaults to jpeg
+ * @param {number} options.quality - Output quality, defaults to the format's default
+ * @returns {Promise<Object>} Processed image buffer and the crop rectangle used (source pixels)
+ */
+async function cropImage(imageBuffer, targetWidth, targetHeight, options = {}) {
+  try {
+    const { strategy = 'attention', gravity = null, focalPoint = null, format = 'jpeg' } = options;
     
-    console.log(`[ImageProcessor] Padded image created successfully, size: ${paddedImage.length} bytes`);
+    let anchoring = `strategy: ${strategy}`;
+    if (focalPoint) {
+      anchoring = `focal point: ${focalPoint.x},${focalPoint.y}`;
+    } else if (gravity) {
+      anchoring = `gravity: ${gravity}`;
+    }
     
-    return paddedImage;
+    log.debug(`Creating cropped image: ${targetWidth}x${targetHeight}, ${anchoring}`);
+    
+    const image = sharp(imageBuffer);
+    const metadata = await image.metadata();
+    const originalWidth = metadata.width;
+    const originalHeight = metadata.height;
+    
+    let croppedImage;
+    let crop;
+    
+    if (focalPoint || gravity) {
+      crop = computeCropWindow(originalWidth, originalHeight, targetWidth, targetHeight, { gravity, focalPoint });
+      
+      croppedImage = await applyOutputFormat(
+        image
+          .extract(crop)
+          .resize(targetWidth, targetHeight, {
+            kernel: sharp.kernel.lanczos3,
+            fit: 'fill'
+          }),
+        format,
+        options
+      ).toBuffer();
+    } else {
+      const { data, info } = await applyOutputFormat(
+        image.resize(targetWidth, targetHeight, {
+          kernel: sharp.kernel.lanczos3,
+          fit: 'cover',
+          position: sharp.strategy[strategy]
+        }),
+        format,
+        options
+      ).toBuffer({ resolveWithObject: true });
+      
+      // Sharp reports the crop offset (negated) in resized coordinates
+      const scale = Math.max(targetWidth / originalWidth, targetHeight / originalHeight);
+      const width = Math.min(originalWidth, Math.round(targetWidth / scale));
+      const height = Math.min(originalHeight, Math.round(targetHeight / scale));
+      
+      croppedImage = data;
+      crop = {
+        left: Math.min(Math.round(Math.abs(info.cropOffsetLeft || 0) / scale), originalWidth - width),
+        top: Math.min(Math.round(Math.abs(info.cropOffsetTop || 0) / scale), originalHeight - height),
+        width,
+        height
+      };
+    }
+    
+    log.debug(`Cropped image created successfully, crop: ${crop.width}x${crop.height}+${crop.left}+${crop.top}, size: ${croppedImage.length} bytes`);
+    
+    return {
+      buffer: croppedImage,
+      crop
+    };
   } catch (error) {
-    console.error('[ImageProcessor] Error creating padded image:', error);
-    throw new Error(`Image processing failed: ${error.message}`);
+    log.error('Error creating cropped image', { error });
+    throw new ImageError('RENDER_FAILED', `Image processing failed: ${error.message}`, { cause: error });
   }
 }
 
+/**
+ * Compute the content hash a render target's files are stored under
+ * Covers the source bytes, every option that affects the target's output and the
+ * Sharp version, so identical requests map to the same storage keys
+ * @param {string} sourceHash - SHA-256 hex digest of the source image bytes
+ * @param {Object} target - Render target from resolveRenderTargets
+ * @param {Object} options - Webhook payload options (masks, preserveAlpha, alphaCleanup)
+ * @returns {string} 32-character hex content hash
+ */
+export function computeRenditionHash(sourceHash, target, options = {}) {
+  const description = {
+    ratio: target.ratio,
+    mode: target.mode,
+    size: target.size,
+    sizes: target.sizes,
+    fill: target.mode === 'pad' ? target.fill : null,
+    strategy: target.mode === 'crop' ? target.strategy : null,
+    gravity: target.gravity,
+    focalPoint: target.focalPoint ? [target.focalPoint.x, target.focalPoint.y] : null,
+    formats: target.formats,
+    quality: Object.keys(target.quality).sort().map(format => [format, target.quality[format]]),
+    masks: options.masks !== false,
+    preserveAlpha: options.preserveAlpha === true,
+    alphaCleanup: options.alphaCleanup?.threshold ?? (options.alphaCleanup ? DEFAULT_ALPHA_CLEANUP_THRESHOLD : null),
+    sharp: sharp.versions.sharp
+  };
+  
+  return crypto
+    .createHash('sha256')
+    .update(sourceHash)
+    .update('\0')
+    .update(JSON.stringify(description))
+    .digest('hex')
+    .slice(0, 32);
+}
+
 /**
  * Process image to create all aspect ratio versions
+ * File names are content-addressed (see computeRenditionHash). When hooks.findRendition
+ * returns the stored record of a target's hash, that target is reused instead of rendered
  * @param {Buffer} originalImageBuffer - Original image buffer
- * @param {string} characterId - Character ID for file naming
- * @returns {Promise<Object>} Object containing all processed aspect ratio buffers
+ * @param {string} storageFolder - Entity storage folder the rendition file names are placed under
+ * @param {Object} options - Webhook payload options (aspectRatios, size, sizes, fill, mode, strategy, gravity, focalPoint, masks, formats, quality, preserveAlpha, alphaCleanup)
+ * @param {Object} hooks - Optional hooks
+ * @param {Function} hooks.findRendition - Called with a record file name, resolves to the stored rendition record or null
+ * @returns {Promise<Object>} Object containing all processed aspect ratio buffers, and render times in milliseconds by output key
  */
-export async function processAllAspectRatios(originalImageBuffer, characterId) {
+export async function processAllAspectRatios(originalImageBuffer, storageFolder, options = {}, hooks = {}) {
+  const { findRendition = async () => null } = hooks;
+  
   try {
-    console.log(`[ImageProcessor] Processing all aspect ratios for character: ${characterId}`);
+    const targetResult = resolveRenderTargets(options);
+    if (!targetResult.valid) {
+      throw new ValidationError(`Invalid render options: ${targetResult.error}`);
+    }
+    
+    log.info(`Processing all aspect ratios for: ${storageFolder}`);
+    
+    const sourceHash = crypto.createHash('sha256').update(originalImageBuffer).digest('hex');
     
     // Get original image metadata
     const metadata = await sharp(originalImageBuffer).metadata();
@@ -132,68 +1077,250 @@ export async function processAllAspectRatios(originalImageBuffer, characterId) {
     const originalHeight = metadata.height;
     const originalRatio = detectAspectRatio(originalWidth, originalHeight);
     
-    console.log(`[ImageProcessor] Original: ${originalWidth}x${originalHeight}, ratio: ${originalRatio}`);
+    log.info(`Original: ${originalWidth}x${originalHeight}, ratio: ${originalRatio}`);
+    
+    // Transparent renditions are only produced for sources that have alpha
+    const keepAlpha = options.preserveAlpha === true && Boolean(metadata.hasAlpha);
+    const alphaCleanupThreshold = options.alphaCleanup?.threshold ??
+      (options.alphaCleanup ? DEFAULT_ALPHA_CLEANUP_THRESHOLD : null);
     
-    const timestamp = Date.now();
     const results = {
       originalAspectRatio: originalRatio,
-      processedImages: {}
+      transparent: keepAlpha,
+      processedImages: {},
+      renderTimes: {}
     };
     
-    // Process each target aspect ratio
-    for (const [ratioKey, dimensions] of Object.entries(ASPECT_RATIO_DIMENSIONS)) {
-      const outputKey = ratioKey.replace(':', 'x'); // Convert '1:1' to '1x1'
+    // Render the transparent counterpart of a frame (see resizeWithAlpha)
+    const renderTransparentFrame = async frame => {
+      if (!keepAlpha) {
+        return null;
+      }
+      const canvas = resizeWithAlpha(originalImageBuffer, frame);
+      return applyOutputFormat(canvas, INTERMEDIATE_OUTPUT.format, INTERMEDIATE_OUTPUT).toBuffer();
+    };
+    
+    // Render a target's frame at the given dimensions into lossless intermediates
+    const renderFrame = async (target, width, height, basename, withMask) => {
+      const { ratio: ratioKey } = target;
+      
+      if (target.mode === 'crop') {
+        // Crop to fill the frame
+        log.debug(`Creating cropped version for ${ratioKey} at ${width}x${height}`);
+        
+        const { buffer: croppedImage, crop } = await createCroppedImage(
+          originalImageBuffer,
+          width,
+          height,
+          {
+            strategy: target.strategy,
+            gravity: target.gravity,
+            focalPoint: target.focalPoint,
+            ...INTERMEDIATE_OUTPUT
+          }
+        );
+        
+        return {
+          rendered: croppedImage,
+          transparentRendered: await renderTransparentFrame({ extract: crop, width, height }),
+          ratio: ratioKey,
+          mode: 'crop',
+          crop,
+          width,
+          height
+        };
+      }
       
       if (originalRatio === ratioKey) {
         // Image is already the correct ratio - just optimize
-        console.log(`[ImageProcessor] Using original for ${ratioKey} (already correct ratio)`);
+        log.debug(`Using original for ${ratioKey} (already correct ratio)`);
         
-        const optimizedImage = await sharp(originalImageBuffer)
-          .resize(dimensions.width, dimensions.height, {
+        const { data: optimizedImage, info } = await applyOutputFormat(
+          sharp(originalImageBuffer).resize(width, height, {
             fit: 'inside',
             withoutEnlargement: false
-          })
-          .jpeg({
-            quality: 85,
-            progressive: true,
-            mozjpeg: true
-          })
-          .toBuffer();
+          }),
+          INTERMEDIATE_OUTPUT.format,
+          INTERMEDIATE_OUTPUT
+        ).toBuffer({ resolveWithObject: true });
         
-        results.processedImages[outputKey] = {
-          buffer: optimizedImage,
-          filename: `characters/${characterId}/aspect-ratios/${outputKey}-${timestamp}.jpg`
+        return {
+          rendered: optimizedImage,
+          transparentRendered: await renderTransparentFrame({ width: info.width, height: info.height }),
+          ratio: ratioKey,
+          mode: 'pad',
+          placement: { left: 0, top: 0, width: info.width, height: info.height },
+          width: info.width,
+          height: info.height
         };
-      } else {
-        // Create padded version
-        console.log(`[ImageProcessor] Creating padded version for ${ratioKey}`);
-        
-        const paddedImage = await createPaddedImage(
+      }
+      
+      // Create padded version
+      log.debug(`Creating padded version for ${ratioKey} at ${width}x${height}`);
+      
+      const placementOptions = { gravity: target.gravity, focalPoint: target.focalPoint };
+      const paddedImage = await createPaddedImage(
+        originalImageBuffer,
+        width,
+        height,
+        { fill: target.fill, ...placementOptions, ...INTERMEDIATE_OUTPUT }
+      );
+      const placement = computePadPlacement(originalWidth, originalHeight, width, height, placementOptions);
+      
+      const transparentImage = keepAlpha
+        ? await createPaddedImage(
           originalImageBuffer,
-          dimensions.width,
-          dimensions.height
-        );
+          width,
+          height,
+          { transparent: true, ...placementOptions, ...INTERMEDIATE_OUTPUT }
+        )
+        : null;
+      
+      const rendition = {
+        rendered: paddedImage,
+        transparentRendered: transparentImage,
+        ratio: ratioKey,
+        mode: 'pad',
+        fill: target.fill.mode,
+        placement,
+        width,
+        height
+      };
+      
+      if (withMask) {
+        rendition.mask = {
+          buffer: await createOutpaintMask(width, height, placement),
+          filename: `${basename}-mask.png`,
+          contentBox: placement
+        };
+      }
+      
+      return rendition;
+    };
+    
+    // Encode a rendered frame in every output format
+    const encodeFrame = async (target, rendered, transparentRendered, basename) => {
+      let alphaSource = null;
+      if (keepAlpha) {
+        alphaSource = alphaCleanupThreshold === null
+          ? transparentRendered
+          : await cleanupAlphaEdges(transparentRendered, alphaCleanupThreshold);
+      }
+      
+      // The alpha-flattened JPEG stays available next to transparent renditions
+      const outputFormats = keepAlpha && !target.formats.includes('jpeg')
+        ? [...target.formats, 'jpeg']
+        : target.formats;
+      
+      const formats = {};
+      for (const format of outputFormats) {
+        const transparent = keepAlpha && ALPHA_FORMATS.includes(format);
+        const buffer = transparent
+          ? await optimizeImage(alphaSource, { format, quality: target.quality[format] })
+          : await optimizeImage(rendered, { format, quality: target.quality[format], flatten: { r: 0, g: 0, b: 0 } });
         
-        results.processedImages[outputKey] = {
-          buffer: paddedImage,
-          filename: `characters/${characterId}/aspect-ratios/${outputKey}-${timestamp}.jpg`
+        formats[format] = {
+          buffer,
+          filename: `${basename}.${OUTPUT_FORMATS[format].extension}`,
+          contentType: OUTPUT_FORMATS[format].contentType,
+          bytes: buffer.length,
+          transparent
         };
       }
+      
+      // Transparent renditions lead with the first requested alpha-capable format, keeping the
+      // JPEG as a fallback; otherwise JPEG is primary when requested, as the most compatible
+      const alphaFormat = keepAlpha ? target.formats.find(format => ALPHA_FORMATS.includes(format)) : null;
+      const primaryFormat = alphaFormat || (outputFormats.includes('jpeg') ? 'jpeg' : outputFormats[0]);
+      
+      return { formats, primaryFormat };
+    };
+    
+    // Process each target aspect ratio
+    for (const target of targetResult.targets) {
+      const { ratio: ratioKey, key: outputKey, width, height } = target;
+      const contentHash = computeRenditionHash(sourceHash, target, options);
+      const basename = `${storageFolder}/aspect-ratios/${outputKey}-${contentHash}`;
+      const recordFilename = `${basename}.json`;
+      
+      // An earlier run already stored this exact rendition
+      const existing = await findRendition(recordFilename);
+      if (existing) {
+        log.info(`Reusing stored rendition for ${ratioKey} (${contentHash})`);
+        results.processedImages[outputKey] = { ...existing, contentHash, recordFilename, reused: true };
+        continue;
+      }
+      
+      const renderStart = Date.now();
+      
+      const { rendered, transparentRendered, ...renditionData } = await renderFrame(
+        target,
+        width,
+        height,
+        basename,
+        options.masks !== false
+      );
+      const { formats, primaryFormat } = await encodeFrame(target, rendered, transparentRendered, basename);
+      
+      // Responsive size ladder, skipping the main size and sizes that would enlarge the source
+      const variants = [];
+      for (const ladderSize of target.sizes) {
+        if (ladderSize === target.size) {
+          continue;
+        }
+        
+        const dimensions = getTargetDimensions(ratioKey, ladderSize);
+        if (wouldUpscale(target.mode, originalWidth, originalHeight, dimensions.width, dimensions.height)) {
+          log.debug(`Skipping ${ratioKey} at ${ladderSize}px (larger than source)`);
+          continue;
+        }
+        
+        const variantBasename = `${basename}-${ladderSize}`;
+        const frame = await renderFrame(target, dimensions.width, dimensions.height, variantBasename, false);
+        const encoded = await encodeFrame(
+          target,
+          frame.rendered,
+          frame.transparentRendered,
+          variantBasename
+        );
+        
+        variants.push({
+          size: ladderSize,
+          width: frame.width,
+          height: frame.height,
+          formats: encoded.formats
+        });
+      }
+      
+      results.processedImages[outputKey] = {
+        ...renditionData,
+        contentHash,
+        recordFilename,
+        reused: false,
+        size: target.size,
+        buffer: formats[primaryFormat].buffer,
+        filename: formats[primaryFormat].filename,
+        format: primaryFormat,
+        contentType: formats[primaryFormat].contentType,
+        formats,
+        variants
+      };
+      results.renderTimes[outputKey] = Date.now() - renderStart;
     }
     
-    console.log(`[ImageProcessor] Successfully processed all aspect ratios for character ${characterId}`);
+    log.info(`Successfully processed all aspect ratios for ${storageFolder}`);
     
     return results;
   } catch (error) {
-    console.error('[ImageProcessor] Error processing aspect ratios:', error);
-    throw error;
+    log.error('Error processing aspect ratios', { error });
+    throw toServiceError(error, 'RENDER_FAILED');
   }
 }
 
 /**
  * Optimize image for web delivery
  * @param {Buffer} imageBuffer - Image buffer
- * @param {Object} options - Optimization options
+ * @param {Object} options - Optimization options (width, height, quality, format, progressive, flatten)
  * @returns {Promise<Buffer>} Optimized image buffer
  */
 export async function optimizeImage(imageBuffer, options = {}) {
@@ -201,13 +1328,19 @@ export async function optimizeImage(imageBuffer, options = {}) {
     const {
       width = null,
       height = null,
-      quality = 85,
+      quality = OUTPUT_FORMATS[options.format || 'jpeg']?.quality,
       format = 'jpeg',
-      progressive = true
+      progressive = true,
+      flatten = null
     } = options;
     
     let pipeline = sharp(imageBuffer);
     
+    // Drop any alpha channel against a solid background
+    if (flatten) {
+      pipeline = pipeline.flatten({ background: flatten });
+    }
+    
     // Resize if dimensions provided
     if (width || height) {
       pipeline = pipeline.resize(width, height, {
@@ -217,28 +1350,9 @@ export async function optimizeImage(imageBuffer, options = {}) {
     }
     
     // Apply format-specific optimizations
-    if (format === 'jpeg') {
-      pipeline = pipeline.jpeg({
-        quality,
-        progressive,
-        mozjpeg: true
-      });
-    } else if (format === 'png') {
-      pipeline = pipeline.png({
-        quality,
-        progressive,
-        compressionLevel: 9
-      });
-    } else if (format === 'webp') {
-      pipeline = pipeline.webp({
-        quality,
-        effort: 6
-      });
-    }
-    
-    return await pipeline.toBuffer();
+    return await applyOutputFormat(pipeline, format, { quality, progressive }).toBuffer();
   } catch (error) {
-    console.error('[ImageProcessor] Error optimizing image:', error);
+    log.error('Error optimizing image', { error });
     throw error;
   }
 }
@@ -261,20 +1375,21 @@ export async function getImageMetadata(imageBuffer) {
       orientation: metadata.orientation || 1
     };
   } catch (error) {
-    console.error('[ImageProcessor] Error getting metadata:', error);
-    throw error;
+    log.error('Error getting metadata', { error });
+    throw new ImageError('INVALID_IMAGE', `Could not read image: ${error.message}`, { cause: error });
   }
 }
 
 /**
  * Validate image buffer
  * @param {Buffer} imageBuffer - Image buffer to validate
- * @returns {Object} Validation result
+ * @returns {Object} { valid, format, size }, or { valid: false, code, error } with an error code for ImageError
  */
 export function validateImageBuffer(imageBuffer) {
   if (!Buffer.isBuffer(imageBuffer)) {
     return {
       valid: false,
+      code: 'INVALID_IMAGE',
       error: 'Input is not a valid buffer'
     };
   }
@@ -282,6 +1397,7 @@ export function validateImageBuffer(imageBuffer) {
   if (imageBuffer.length === 0) {
     return {
       valid: false,
+      code: 'INVALID_IMAGE',
       error: 'Image buffer is empty'
     };
   }
@@ -308,6 +1424,7 @@ export function validateImageBuffer(imageBuffer) {
   if (detectedFormat === 'unknown') {
     return {
       valid: false,
+      code: 'UNSUPPORTED_FORMAT',
       error: 'Unrecognized image format'
     };
   }
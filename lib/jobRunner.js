@@ -0,0 +1,326 @@
+import { runAspectRatioPipeline } from './pipeline.js';
+import {
+  updateJob,
+  updateJobIf,
+  claimJob,
+  listJobsByStatus,
+  calculateProgress,
+  createInitialStages
+} from './jobs.js';
+import { updateAspectRatioStatus } from './supabase.js';
+import { notifyCallback } from './callbacks.js';
+import { getEntityType, describeEntity } from './entities.js';
+import { createLogger, runWithLogContext } from './logger.js';
+import { withSpan, parseTraceparent, flushSpans, SPAN_KIND } from './tracing.js';
+import { ServiceError, formatErrorForStorage } from './errors.js';
+
+/**
+ * Job Runner
+ * Runs queued jobs with bounded concurrency, recording state and per-stage progress on
+ * the job record as it goes. Jobs are claimed with a conditional update, so a job is
+ * never run by two runners at once.
+ * In 'inline' mode jobs start in the process that queued them, which needs a process
+ * that outlives the request (vercel dev or a Node server). In 'worker' mode, the default
+ * on Vercel, they stay queued for the worker endpoint that a cron calls every minute.
+ * The worker also requeues jobs whose runner stopped reporting progress and fails jobs
+ * that ran out of attempts or were never started
+ */
+
+const log = createLogger('JobRunner');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_JOB_LEASE_SECONDS = 180;
+const DEFAULT_JOB_MAX_ATTEMPTS = 3;
+const DEFAULT_JOB_QUEUE_TIMEOUT_SECONDS = 3600;
+
+const queue = [];
+let activeJobs = 0;
+
+/**
+ * Get the configured number of jobs to run at once
+ * @returns {number} Concurrency limit
+ */
+function getConcurrency() {
+  const value = parseInt(process.env.JOB_CONCURRENCY, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Get where queued jobs are run
+ * JOB_RUNNER is 'inline' or 'worker'; defaults to 'worker' on Vercel and 'inline' elsewhere
+ * @returns {string} Runner mode
+ */
+export function getRunnerMode() {
+  if (['inline', 'worker'].includes(process.env.JOB_RUNNER)) {
+    return process.env.JOB_RUNNER;
+  }
+  return process.env.VERCEL ? 'worker' : 'inline';
+}
+
+/**
+ * Get how long a running job may go without updating its record before it counts as stopped
+ * @returns {number} Lease in seconds
+ */
+function getJobLeaseSeconds() {
+  const value = parseInt(process.env.JOB_LEASE_SECONDS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_JOB_LEASE_SECONDS;
+}
+
+/**
+ * Get how many times a job is started before a stopped run fails it
+ * @returns {number} Maximum attempts
+ */
+function getJobMaxAttempts() {
+  const value = parseInt(process.env.JOB_MAX_ATTEMPTS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_JOB_MAX_ATTEMPTS;
+}
+
+/**
+ * Get how long a job may stay queued before it fails
+ * @returns {number} Timeout in seconds
+ */
+function getJobQueueTimeoutSeconds() {
+  const value = parseInt(process.env.JOB_QUEUE_TIMEOUT_SECONDS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_JOB_QUEUE_TIMEOUT_SECONDS;
+}
+
+/**
+ * Execute one claimed job through the processing pipeline
+ * @param {Object} job - Running job record from claimJob
+ * @returns {Promise<void>}
+ */
+async function executeJob(job) {
+  const stages = structuredClone(job.stages);
+  
+  // Progress writes are best-effort; a failed write must not fail the job
+  const recordProgress = async fields => {
+    try {
+      await updateJob(job.id, fields);
+    } catch (error) {
+      log.error(`Could not record progress for job ${job.id}`, { error });
+    }
+  };
+  
+  log.info(`Starting job ${job.id} (attempt ${job.attempts})`);
+  
+  try {
+    const result = await runAspectRatioPipeline({ ...job.payload, jobId: job.id }, {
+      onStage: async (stage, status) => {
+        const now = new Date().toISOString();
+        stages[stage] = {
+          ...stages[stage],
+          status,
+          ...(status === 'running' ? { startedAt: now } : { completedAt: now })
+        };
+        
+        await recordProgress({
+          stages,
+          progress: calculateProgress(stages)
+        });
+      }
+    });
+    
+    await recordProgress({
+      status: 'completed',
+      progress: 100,
+      result,
+      completed_at: new Date().toISOString()
+    });
+    
+    log.info(`Job ${job.id} completed`);
+  } catch (error) {
+    log.error(`Job ${job.id} failed`, { error });
+    
+    await recordProgress({
+      status: 'failed',
+      error: error.message,
+      error_code: error.code || 'INTERNAL_ERROR',
+      result: error.retries ? { retries: error.retries } : null,
+      completed_at: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Run a claimed job in its own log context and span
+ * Job logs carry the job ID and the ID of the request that queued it, and the job's
+ * spans continue the trace of that request
+ * @param {Object} job - Running job record from claimJob
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  try {
+    await runWithLogContext({ requestId: job.request_id || null, jobId: job.id }, () => withSpan('executeJob', {
+      kind: SPAN_KIND.CONSUMER,
+      parent: parseTraceparent(job.traceparent),
+      attributes: { 'job.id': job.id, 'job.attempt': job.attempts }
+    }, () => executeJob(job)));
+  } catch (error) {
+    log.error(`Unexpected error in job ${job.id}`, { error });
+  } finally {
+    await flushSpans();
+  }
+}
+
+/**
+ * Start queued jobs while there is spare capacity
+ */
+function drainQueue() {
+  while (activeJobs < getConcurrency() && queue.length > 0) {
+    const job = queue.shift();
+    activeJobs++;
+    
+    claimJob(job)
+      .then(claimed => {
+        if (!claimed) {
+          log.info(`Job ${job.id} was already claimed by another runner`);
+          return null;
+        }
+        return runJob(claimed);
+      })
+      .catch(error => {
+        log.error(`Could not claim job ${job.id}`, { error });
+      })
+      .finally(() => {
+        activeJobs--;
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Queue a job for processing
+ * In 'inline' mode the job starts in this process; in 'worker' mode it is left for the worker endpoint
+ * @param {Object} job - Job record from createJob
+ */
+export function enqueueJob(job) {
+  if (getRunnerMode() === 'worker') {
+    log.info(`Queued job ${job.id} for the worker`);
+    return;
+  }
+  
+  queue.push(job);
+  log.info(`Queued job ${job.id} (${queue.length} waiting, ${activeJobs} running)`);
+  setImmediate(drainQueue);
+}
+
+/**
+ * Fail a job that can no longer complete, marking its entity as failed and notifying its callback
+ * @param {Object} job - Job record as last read
+ * @param {ServiceError} error - Reason the job failed
+ * @returns {Promise<boolean>} True if the job was failed, false if it changed in the meantime
+ */
+async function expireJob(job, error) {
+  const failed = await updateJobIf(job.id, { status: job.status, updated_at: job.updated_at }, {
+    status: 'failed',
+    error: error.message,
+    error_code: error.code,
+    completed_at: new Date().toISOString()
+  });
+  if (!failed) {
+    return false;
+  }
+  
+  log.warn(`Job ${job.id} failed: ${error.message}`);
+  
+  const entity = getEntityType(job.entity_type);
+  if (entity) {
+    try {
+      await updateAspectRatioStatus(entity, job.entity_id, 'failed', formatErrorForStorage(error));
+    } catch (statusError) {
+      log.error('Failed to update error status', { error: statusError });
+    }
+  }
+  
+  if (job.payload?.callbackUrl) {
+    await notifyCallback(job.payload.callbackUrl, 'aspect_ratios.failed', {
+      ...describeEntity(job.entity_type, job.entity_id),
+      jobId: job.id,
+      error: error.message,
+      code: error.code,
+      retryable: error.retryable,
+      stage: null
+    });
+  }
+  
+  return true;
+}
+
+/**
+ * Requeue or fail jobs whose runner stopped, and fail jobs that were never started
+ * A running job that has not updated its record within JOB_LEASE_SECONDS was cut off
+ * (e.g. by the function's time limit) and is requeued until it runs out of attempts
+ * @returns {Promise<Object>} { requeued, expired } job counts
+ */
+export async function reapStaleJobs() {
+  const now = Date.now();
+  let requeued = 0;
+  let expired = 0;
+  
+  const stalled = await listJobsByStatus('running', {
+    updatedBefore: new Date(now - getJobLeaseSeconds() * 1000).toISOString()
+  });
+  for (const job of stalled) {
+    if ((job.attempts || 0) < getJobMaxAttempts()) {
+      const queued = await updateJobIf(job.id, { status: 'running', updated_at: job.updated_at }, {
+        status: 'queued',
+        stages: createInitialStages(),
+        progress: 0
+      });
+      if (queued) {
+        log.warn(`Requeued stalled job ${job.id} after attempt ${job.attempts}`);
+        requeued++;
+      }
+    } else if (await expireJob(job, new ServiceError('JOB_TIMED_OUT', `Job stopped responding on each of its ${job.attempts} attempts`))) {
+      expired++;
+    }
+  }
+  
+  const queueTimeout = getJobQueueTimeoutSeconds();
+  const abandoned = await listJobsByStatus('queued', {
+    updatedBefore: new Date(now - queueTimeout * 1000).toISOString()
+  });
+  for (const job of abandoned) {
+    if (await expireJob(job, new ServiceError('JOB_TIMED_OUT', `Job was not started within ${queueTimeout} seconds`))) {
+      expired++;
+    }
+  }
+  
+  return { requeued, expired };
+}
+
+/**
+ * Claim and run queued jobs, oldest first, until the queue is empty or the deadline passes
+ * Runs up to JOB_CONCURRENCY jobs at once; no job is started after the deadline
+ * @param {Object} options - Worker options
+ * @param {number} options.deadline - Time in ms after which no further job is started
+ * @returns {Promise<number>} Number of jobs run
+ */
+export async function runQueuedJobs({ deadline }) {
+  let processed = 0;
+  let drained = false;
+  
+  const worker = async () => {
+    while (!drained && Date.now() < deadline) {
+      const candidates = await listJobsByStatus('queued', { limit: getConcurrency() * 2 });
+      if (candidates.length === 0) {
+        drained = true;
+        return;
+      }
+      
+      // Other workers may claim some of the same candidates first
+      for (const candidate of candidates) {
+        const claimed = await claimJob(candidate);
+        if (claimed) {
+          await runJob(claimed);
+          processed++;
+          break;
+        }
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: getConcurrency() }, worker));
+  
+  return processed;
+}
@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import { getSupabaseClient, traceQuery } from './supabase.js';
+import { PIPELINE_STAGES } from './pipeline.js';
+import { describeEntity } from './entities.js';
+import { createLogger, getRequestId } from './logger.js';
+import { getTraceparent } from './tracing.js';
+import { DatabaseError } from './errors.js';
+
+/**
+ * Processing Job Store
+ * Durable job records for async processing, kept in the aspect_ratio_jobs table
+ */
+
+const log = createLogger('Jobs');
+
+const JOBS_TABLE = 'aspect_ratio_jobs';
+
+/**
+ * Build the initial per-stage progress for a new job
+ * @returns {Object} Stage progress keyed by stage name
+ */
+export function createInitialStages() {
+  return Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, {
+    status: 'pending',
+    startedAt: null,
+    completedAt: null
+  }]));
+}
+
+/**
+ * Calculate overall progress from stage progress
+ * @param {Object} stages - Stage progress keyed by stage name
+ * @returns {number} Percentage of completed stages (0-100)
+ */
+export function calculateProgress(stages) {
+  const completed = PIPELINE_STAGES.filter(stage => stages[stage]?.status === 'completed').length;
+  return Math.round((completed / PIPELINE_STAGES.length) * 100);
+}
+
+/**
+ * Build the record for a new queued job
+ * @param {Object} payload - Processing request ({ entityType, entityId, imageUrl, options })
+ * @param {Object} fields - Job ID chosen in advance and the batch the job belongs to, if any ({ jobId, batchId, batchIndex })
+ * @returns {Object} Job record to insert
+ */
+function buildJobRecord(payload, { jobId = null, batchId = null, batchIndex = null } = {}) {
+  const now = new Date().toISOString();
+  
+  return {
+    id: jobId || crypto.randomUUID(),
+    entity_type: payload.entityType,
+    entity_id: payload.entityId,
+    batch_id: batchId,
+    batch_index: batchIndex,
+    request_id: getRequestId(),
+    traceparent: getTraceparent(),
+    status: 'queued',
+    stages: createInitialStages(),
+    progress: 0,
+    attempts: 0,
+    payload,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+/**
+ * Create a queued processing job
+ * @param {Object} payload - Processing request ({ entityType, entityId, imageUrl, options })
+ * @param {Object} options - Job options
+ * @param {string} options.jobId - ID for the job, e.g. one already recorded with its idempotency key (default: a new UUID)
+ * @returns {Promise<Object>} Created job record
+ */
+export async function createJob(payload, { jobId = null } = {}) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(JOBS_TABLE)
+      .insert(buildJobRecord(payload, { jobId }))
+      .select()
+      .single();
+    
+    if (error) {
+      throw new DatabaseError(`Job creation failed: ${error.message}`);
+    }
+    
+    log.info(`Created job ${data.id} for ${payload.entityType} ${payload.entityId}`);
+    
+    return data;
+  } catch (error) {
+    log.error('Create error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Create the queued jobs of a batch in one insert
+ * @param {string} batchId - Batch ID shared by the jobs
+ * @param {Array<Object>} entries - Jobs to create as { index, payload }, index being the item's position in the batch
+ * @returns {Promise<Array<Object>>} Created job records, in the order given
+ */
+export async function createBatchJobs(batchId, entries) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(JOBS_TABLE)
+      .insert(entries.map(({ index, payload }) => buildJobRecord(payload, { batchId, batchIndex: index })))
+      .select();
+    
+    if (error) {
+      throw new DatabaseError(`Batch job creation failed: ${error.message}`);
+    }
+    
+    log.info(`Created ${data.length} jobs for batch ${batchId}`);
+    
+    return [...data].sort((a, b) => a.batch_index - b.batch_index);
+  } catch (error) {
+    log.error('Batch create error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Update fields on a job record
+ * @param {string} jobId - Job ID
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<Object>} Updated job record
+ */
+export async function updateJob(jobId, fields) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await traceQuery(JOBS_TABLE, 'UPDATE', () => supabase
+      .from(JOBS_TABLE)
+      .update({
+        ...fields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .select());
+    
+    if (error) {
+      throw new DatabaseError(`Job update failed: ${error.message}`);
+    }
+    
+    return data[0];
+  } catch (error) {
+    log.error('Update error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Update fields on a job record only while it still has the expected column values
+ * The conditional update succeeds for one caller only, so concurrent runners cannot
+ * both claim, requeue or fail the same job
+ * @param {string} jobId - Job ID
+ * @param {Object} expected - Column values the record must still have, e.g. { status: 'queued' }
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<Object|null>} Updated job record, or null if the record no longer matched
+ */
+export async function updateJobIf(jobId, expected, fields) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await traceQuery(JOBS_TABLE, 'UPDATE', () => supabase
+      .from(JOBS_TABLE)
+      .update({
+        ...fields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .match(expected)
+      .select());
+    
+    if (error) {
+      throw new DatabaseError(`Job update failed: ${error.message}`);
+    }
+    
+    return data[0] || null;
+  } catch (error) {
+    log.error('Conditional update error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Claim a queued job for the calling runner, counting the attempt
+ * @param {Object} job - Job record
+ * @returns {Promise<Object|null>} Running job record, or null if another runner claimed it first
+ */
+export function claimJob(job) {
+  return updateJobIf(job.id, { status: 'queued' }, {
+    status: 'running',
+    attempts: (job.attempts || 0) + 1,
+    started_at: new Date().toISOString()
+  });
+}
+
+/**
+ * List jobs in a status, least recently updated first
+ * @param {string} status - Job status
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.updatedBefore - Only jobs last updated before this ISO timestamp
+ * @param {number} filters.limit - Maximum number of jobs (default 50)
+ * @returns {Promise<Array<Object>>} Job records
+ */
+export async function listJobsByStatus(status, { updatedBefore = null, limit = 50 } = {}) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    let query = supabase
+      .from(JOBS_TABLE)
+      .select('*')
+      .eq('status', status);
+    if (updatedBefore) {
+      query = query.lt('updated_at', updatedBefore);
+    }
+    
+    const { data, error } = await query
+      .order('updated_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      throw new DatabaseError(`Failed to list jobs: ${error.message}`);
+    }
+    
+    return data;
+  } catch (error) {
+    log.error('List jobs error', { error });
+    throw error;
+  }
+}
+
+/**
+ * List an entity's jobs in any of the given statuses
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {string[]} statuses - Job statuses to include
+ * @returns {Promise<Array<Object>>} Job records
+ */
+export async function listEntityJobs(entityType, entityId, statuses) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(JOBS_TABLE)
+      .select('*')
+      .eq('entity_type', entityType)
+      .eq('entity_id', entityId)
+      .in('status', statuses);
+    
+    if (error) {
+      throw new DatabaseError(`Failed to list jobs: ${error.message}`);
+    }
+    
+    return data;
+  } catch (error) {
+    log.error('List entity jobs error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Get a job record by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job record, or null if it doesn't exist
+ */
+export async function getJobById(jobId) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(JOBS_TABLE)
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+    
+    if (error) {
+      throw new DatabaseError(`Failed to get job: ${error.message}`);
+    }
+    
+    return data;
+  } catch (error) {
+    log.error('Get job error', { error });
+    throw error;
+  }
+}
+
+/**
+ * List the jobs of a batch in item order
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Array<Object>>} Job records
+ */
+export async function listBatchJobs(batchId) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(JOBS_TABLE)
+      .select('*')
+      .eq('batch_id', batchId)
+      .order('batch_index', { ascending: true });
+    
+    if (error) {
+      throw new DatabaseError(`Failed to list batch jobs: ${error.message}`);
+    }
+    
+    return data;
+  } catch (error) {
+    log.error('List batch jobs error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Format a job record for API responses
+ * @param {Object} job - Job record
+ * @returns {Object} Public job representation
+ */
+export function formatJob(job) {
+  return {
+    jobId: job.id,
+    ...describeEntity(job.entity_type, job.entity_id),
+    requestId: job.request_id || null,
+    batchId: job.batch_id || null,
+    status: job.status,
+    progress: job.progress,
+    stages: job.stages,
+    attempts: job.attempts ?? 0,
+    error: job.error || null,
+    errorCode: job.error_code || null,
+    result: job.result || null,
+    createdAt: job.created_at,
+    startedAt: job.started_at || null,
+    completedAt: job.completed_at || null,
+    updatedAt: job.updated_at
+  };
+}
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured Logging
+ * Emits one JSON line per log entry with the level, timestamp, component and message,
+ * plus the correlation fields of the current request or job (requestId, jobId, entity,
+ * stage) carried through async calls with AsyncLocalStorage
+ */
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+const DEFAULT_LOG_LEVEL = 'info';
+const MAX_REQUEST_ID_LENGTH = 128;
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Get the minimum level that is written
+ * @returns {string} LOG_LEVEL, or 'info' if unset or unknown
+ */
+export function getLogLevel() {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  return LOG_LEVELS[level] ? level : DEFAULT_LOG_LEVEL;
+}
+
+/**
+ * Get the correlation fields of the current request or job
+ * @returns {Object} Context fields, empty outside any context
+ */
+export function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+/**
+ * Get the ID of the request being handled
+ * @returns {string|null} Request ID, or null outside a request
+ */
+export function getRequestId() {
+  return getLogContext().requestId || null;
+}
+
+/**
+ * Run a function with additional correlation fields
+ * Fields are layered over the current context and only visible inside the function
+ * @param {Object} fields - Context fields (requestId, jobId, entityType, entityId, characterId, stage)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithLogContext(fields, fn) {
+  return logContext.run({ ...getLogContext(), ...fields }, fn);
+}
+
+/**
+ * Update correlation fields of the current context in place, e.g. the running stage
+ * @param {Object} fields - Context fields to set
+ */
+export function setLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * Resolve the request ID from an X-Request-Id header value, generating one if absent
+ * @param {string} header - X-Request-Id header value
+ * @returns {string} Caller-supplied ID if usable, otherwise a new UUID
+ */
+export function resolveRequestId(header) {
+  if (typeof header === 'string' && header.length > 0 && header.length <= MAX_REQUEST_ID_LENGTH && /^[\x21-\x7e]+$/.test(header)) {
+    return header;
+  }
+  return crypto.randomUUID();
+}
+
+/**
+ * Wrap an API handler so everything it logs carries the request ID
+ * The ID is taken from X-Request-Id (or generated) and echoed in the response header
+ * @param {Function} handler - Handler taking (req, res)
+ * @returns {Function} Wrapped handler
+ */
+export function withRequestContext(handler) {
+  return async function handleWithRequestContext(req, res) {
+    const requestId = resolveRequestId(req.headers?.['x-request-id']);
+    res.setHeader('X-Request-Id', requestId);
+    
+    return logContext.run({ requestId }, () => handler(req, res));
+  };
+}
+
+/**
+ * Convert a logged value into something JSON can represent
+ * @param {*} value - Field value
+ * @returns {*} Serializable value
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.statusCode !== undefined ? { statusCode: value.statusCode } : {}),
+      ...(value.status !== undefined ? { status: value.status } : {}),
+      stack: value.stack
+    };
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<Buffer ${value.length} bytes>`;
+  }
+  return value;
+}
+
+/**
+ * Write one log entry as a JSON line
+ * @param {string} level - Log level
+ * @param {string} component - Component name
+ * @param {string} message - Log message
+ * @param {Object} fields - Additional fields
+ */
+function writeEntry(level, component, message, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[getLogLevel()]) {
+    return;
+  }
+  
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    component,
+    msg: message
+  };
+  for (const [key, value] of Object.entries(getLogContext())) {
+    if (value !== null && value !== undefined) {
+      entry[key] = value;
+    }
+  }
+  for (const [key, value] of Object.entries(fields || {})) {
+    entry[key] = serializeValue(value);
+  }
+  
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ level, time: entry.time, component, msg: message, logError: error.message });
+  }
+  
+  // Warnings and errors go to stderr so log drains keep their severity
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Create a logger for one component
+ * @param {string} component - Component name included in every entry (e.g. 'Pipeline')
+ * @returns {Object} Logger with debug, info, warn and error methods taking (message, fields)
+ */
+export function createLogger(component) {
+  return {
+    debug: (message, fields) => writeEntry('debug', component, message, fields),
+    info: (message, fields) => writeEntry('info', component, message, fields),
+    warn: (message, fields) => writeEntry('warn', component, message, fields),
+    error: (message, fields) => writeEntry('error', component, message, fields)
+  };
+}
@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import { getOtlpExportOptions, toKeyValues, sendOtlpRequest } from './tracing.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Processing Metrics
+ * In-process counters and histograms for the processing pipeline, exposed in the
+ * Prometheus text format by /api/metrics. Values are kept per instance and reset
+ * when the instance is recycled, so scrape every instance or aggregate over them.
+ * Serverless instances cannot be scraped individually, so metrics can also be pushed
+ * over OTLP after each run, with the same exporter settings as traces
+ */
+
+const log = createLogger('Metrics');
+
+// Histogram buckets in seconds, from a fast metadata read to a slow download
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+export const METRIC_EXPORTERS = ['otlp', 'none'];
+
+// OTLP aggregation temporality: each push carries the totals since this instance started
+const AGGREGATION_TEMPORALITY_CUMULATIVE = 2;
+
+const registry = new Map();
+
+// Identifies this instance's series, so a collector can sum them across instances
+const instanceId = crypto.randomUUID();
+const startTimeUnixNano = String(BigInt(Date.now()) * 1000000n);
+
+/**
+ * Escape a label value for the text exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {Object} labels - Label values by name
+ * @returns {string} Formatted labels, empty when there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Pick a metric's labels in declaration order, defaulting missing ones to ''
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Label values passed by the caller
+ * @returns {Object} Ordered label values
+ */
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Register a metric, reusing an existing one of the same name
+ * @param {Object} metric - Metric definition
+ * @returns {Object} Registered metric
+ */
+function registerMetric(metric) {
+  if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(metric.name)) {
+    throw new Error(`Invalid metric name: ${metric.name}`);
+  }
+  
+  const existing = registry.get(metric.name);
+  if (existing) {
+    if (existing.type !== metric.type) {
+      throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`);
+    }
+    return existing;
+  }
+  
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter
+ * @param {Object} config - Counter configuration
+ * @param {string} config.name - Metric name, ending in _total by convention
+ * @param {string} config.help - Help text
+ * @param {string[]} config.labelNames - Label names
+ * @returns {Object} Counter with inc(labels, value)
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  
+  return registerMetric({
+    name,
+    help,
+    type: 'counter',
+    
+    inc(labels = {}, value = 1) {
+      if (!(value >= 0)) {
+        return;
+      }
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(Object.values(picked));
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    
+    collect() {
+      return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+    
+    toOtlp(timeUnixNano) {
+      return {
+        sum: {
+          aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE,
+          isMonotonic: true,
+          dataPoints: [...series.values()].map(({ labels, value }) => ({
+            attributes: toKeyValues(labels),
+            startTimeUnixNano,
+            timeUnixNano,
+            asDouble: value
+          }))
+        }
+      };
+    }
+  });
+}
+
+/**
+ * Create a histogram
+ * @param {Object} config - Histogram configuration
+ * @param {string} config.name - Metric name
+ * @param {string} config.help - Help text
+ * @param {string[]} config.labelNames - Label names
+ * @param {number[]} config.buckets - Upper bounds, ascending (default DEFAULT_BUCKETS)
+ * @returns {Object} Histogram with observe(labels, value) and startTimer(labels)
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+  const bounds = [...buckets].sort((a, b) => a - b);
+  
+  const histogram = registerMetric({
+    name,
+    help,
+    type: 'histogram',
+    
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) {
+        return;
+      }
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(Object.values(picked));
+      const entry = series.get(key) || { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+      bounds.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    
+    /**
+     * Start timing an operation
+     * @param {Object} labels - Label values
+     * @returns {Function} Stops the timer, records the duration and returns it in milliseconds
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return () => {
+        const milliseconds = Number(process.hrtime.bigint() - start) / 1e6;
+        histogram.observe(labels, milliseconds / 1000);
+        return Math.round(milliseconds);
+      };
+    },
+    
+    collect() {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        bounds.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+    
+    toOtlp(timeUnixNano) {
+      return {
+        histogram: {
+          aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE,
+          dataPoints: [...series.values()].map(({ labels, counts, sum, count }) => ({
+            attributes: toKeyValues(labels),
+            startTimeUnixNano,
+            timeUnixNano,
+            count: String(count),
+            sum,
+            // OTLP counts each bucket on its own, with a final bucket above the last bound
+            bucketCounts: [...counts, count].map((total, index) => String(total - (index > 0 ? counts[index - 1] : 0))),
+            explicitBounds: bounds
+          }))
+        }
+      };
+    }
+  });
+  
+  return histogram;
+}
+
+/**
+ * Render every registered metric in the Prometheus text exposition format
+ * @returns {string} Exposition text
+ */
+export function renderMetrics() {
+  const lines = [];
+  
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.collect());
+  }
+  
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Get the metrics export configuration from the environment
+ * The exporter defaults to 'otlp' when an OTLP endpoint is configured, else 'none'
+ * @returns {Object} { exporter, serviceName, endpoint, headers, timeout }
+ */
+export function getMetricsConfig() {
+  const { baseEndpoint, ...options } = getOtlpExportOptions();
+  const endpoint = process.env.OTEL_EXPORTER_OTLP_METRICS_ENDPOINT ||
+    (baseEndpoint ? `${baseEndpoint}/v1/metrics` : null);
+  
+  const requested = (process.env.OTEL_METRICS_EXPORTER || '').toLowerCase();
+  const exporter = METRIC_EXPORTERS.includes(requested) ? requested : (endpoint ? 'otlp' : 'none');
+  
+  return { exporter, endpoint, ...options };
+}
+
+/**
+ * Build an OTLP/HTTP JSON ExportMetricsServiceRequest of every registered metric
+ * @param {string} serviceName - service.name resource attribute
+ * @returns {Object} Request body
+ */
+export function buildOtlpMetricsRequest(serviceName) {
+  const timeUnixNano = String(BigInt(Date.now()) * 1000000n);
+  
+  return {
+    resourceMetrics: [{
+      resource: {
+        attributes: toKeyValues({
+          'service.name': serviceName,
+          'service.instance.id': instanceId,
+          'telemetry.sdk.language': 'nodejs'
+        })
+      },
+      scopeMetrics: [{
+        scope: { name: serviceName },
+        metrics: [...registry.values()].map(metric => ({
+          name: metric.name,
+          description: metric.help,
+          ...metric.toOtlp(timeUnixNano)
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * Push the current metric values to the OTLP endpoint
+ * Export failures are logged, so metrics never fail a run
+ * @returns {Promise<void>}
+ */
+export async function flushMetrics() {
+  const config = getMetricsConfig();
+  if (config.exporter !== 'otlp') {
+    return;
+  }
+  
+  if (!config.endpoint) {
+    log.warn('OTEL_METRICS_EXPORTER is otlp but no OTLP endpoint is configured; not exporting metrics');
+    return;
+  }
+  
+  try {
+    await sendOtlpRequest(config.endpoint, buildOtlpMetricsRequest(config.serviceName), config);
+  } catch (error) {
+    log.warn(`Could not export metrics: ${error.message}`);
+  }
+}
+
+// Pipeline metrics
+
+export const stageDuration = createHistogram({
+  name: 'aspect_ratio_stage_duration_seconds',
+  help: 'Duration of pipeline stages (download, decode, render, upload, update)',
+  labelNames: ['stage']
+});
+
+export const renderDuration = createHistogram({
+  name: 'aspect_ratio_render_duration_seconds',
+  help: 'Duration of rendering and encoding one aspect ratio, including its size ladder',
+  labelNames: ['ratio', 'mode']
+});
+
+export const runsTotal = createCounter({
+  name: 'aspect_ratio_runs_total',
+  help: 'Processing runs by outcome (processed, coalesced, replayed, conflict, mismatch, failed)',
+  labelNames: ['outcome']
+});
+
+export const errorsTotal = createCounter({
+  name: 'aspect_ratio_errors_total',
+  help: 'Failed processing runs by error code, failing stage and HTTP status',
+  labelNames: ['code', 'stage', 'status']
+});
+
+export const renditionsTotal = createCounter({
+  name: 'aspect_ratio_renditions_total',
+  help: 'Aspect ratio renditions produced, rendered or reused from storage',
+  labelNames: ['result']
+});
+
+export const sourceBytesTotal = createCounter({
+  name: 'aspect_ratio_source_bytes_total',
+  help: 'Source image bytes read, by how they arrived (download, upload)',
+  labelNames: ['source']
+});
+
+export const storedBytesTotal = createCounter({
+  name: 'aspect_ratio_stored_bytes_total',
+  help: 'Bytes written to storage, by content type',
+  labelNames: ['content_type']
+});
@@ -0,0 +1,571 @@
+import crypto from 'crypto';
+import {
+  downloadImage,
+  uploadImageToStorage,
+  updateEntityAspectRatios,
+  updateAspectRatioStatus,
+  getEntityRecord,
+  createRetryTracker
+} from './supabase.js';
+import {
+  processAllAspectRatios,
+  validateImageBuffer,
+  getImageMetadata
+} from './imageProcessor.js';
+import { notifyCallback } from './callbacks.js';
+import { withIdempotency, fingerprintRequest, hashRequest, IdempotencyConflictError, IdempotencyKeyMismatchError } from './idempotency.js';
+import { DEFAULT_ENTITY_TYPE, getEntityType, getEntityStorageFolder, getEntitySourceFolder, describeEntity } from './entities.js';
+import { hashSource, recordRenditionSet, activateRenditionSet, getCurrentRenditionSet, applyRetentionPolicy } from './versions.js';
+import { getStorage } from './storage.js';
+import { createLogger, runWithLogContext, setLogContext } from './logger.js';
+import { withSpan } from './tracing.js';
+import {
+  stageDuration,
+  renderDuration,
+  runsTotal,
+  errorsTotal,
+  renditionsTotal,
+  sourceBytesTotal,
+  flushMetrics
+} from './metrics.js';
+import { ValidationError, ImageError, toServiceError, formatErrorForStorage } from './errors.js';
+
+/**
+ * Aspect Ratio Processing Pipeline
+ * Runs the download, render, upload and database update stages for one target entity.
+ * Shared by the synchronous webhook and the async job runner
+ */
+
+const log = createLogger('Pipeline');
+
+/**
+ * Pipeline stages in execution order
+ */
+export const PIPELINE_STAGES = ['download', 'render', 'upload', 'update'];
+
+/**
+ * Load the stored record of a content-addressed rendition
+ * A missing record means the rendition has to be rendered; so does an unreadable one
+ * @param {string} recordFilename - Storage path of the rendition record
+ * @returns {Promise<Object|null>} Rendition record, or null
+ */
+async function findStoredRendition(recordFilename) {
+  try {
+    return JSON.parse((await getStorage().get(recordFilename)).toString());
+  } catch (error) {
+    if (error.status !== 404) {
+      log.warn(`Could not read rendition record ${recordFilename}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Describe a processed rendition without its buffers, for storing next to its files
+ * @param {Object} imageData - Rendition from processAllAspectRatios
+ * @returns {Object} Rendition record
+ */
+function toRenditionRecord(imageData) {
+  const { buffer, formats, variants, mask, contentHash, recordFilename, reused, ...rendition } = imageData;
+  const describeFormats = formatMap => Object.fromEntries(
+    Object.entries(formatMap).map(([format, { buffer: formatBuffer, ...formatData }]) => [format, formatData])
+  );
+  
+  return {
+    ...rendition,
+    formats: describeFormats(formats),
+    variants: variants.map(variant => ({ ...variant, formats: describeFormats(variant.formats) })),
+    ...(mask ? { mask: { filename: mask.filename, contentBox: mask.contentBox } } : {})
+  };
+}
+
+/**
+ * Upload all encoded formats and masks for the processed renditions
+ * Reused renditions are already stored and only resolved to URLs. Each new rendition's
+ * record is written after its files, so a stored record always points at complete files
+ * @param {Object} processedImages - Renditions from processAllAspectRatios
+ * @param {Object} retryTracker - Retry tracker for the current run
+ * @returns {Promise<Object>} URL maps and rendition details keyed by output key
+ */
+async function uploadRenditions(processedImages, retryTracker) {
+  const storage = getStorage();
+  const aspectRatioUrls = {};
+  const aspectRatioDimensions = {};
+  const cropRectangles = {};
+  const placements = {};
+  const formatUrls = {};
+  const maskUrls = {};
+  const contentBoxes = {};
+  const variantUrls = {};
+  const uploadPromises = [];
+  
+  for (const [ratioKey, imageData] of Object.entries(processedImages)) {
+    aspectRatioDimensions[ratioKey] = `${imageData.width}x${imageData.height}`;
+    if (imageData.crop) {
+      cropRectangles[ratioKey] = imageData.crop;
+    }
+    if (imageData.placement) {
+      placements[ratioKey] = imageData.placement;
+    }
+    formatUrls[ratioKey] = {};
+    
+    const action = imageData.reused ? 'Reused' : 'Uploaded';
+    const store = (buffer, filename, contentType) => (imageData.reused
+      ? Promise.resolve({ publicUrl: storage.getPublicUrl(filename) })
+      : uploadImageToStorage(buffer, filename, contentType, retryTracker));
+    
+    // Upload every encoded format with its own content type
+    for (const [format, formatData] of Object.entries(imageData.formats)) {
+      const uploadPromise = store(
+        formatData.buffer,
+        formatData.filename,
+        formatData.contentType
+      ).then(result => {
+        formatUrls[ratioKey][format] = result.publicUrl;
+        if (format === imageData.format) {
+          aspectRatioUrls[ratioKey] = result.publicUrl;
+        }
+        log.debug(`${action} ${ratioKey} (${format}): ${result.publicUrl}`);
+      });
+      
+      uploadPromises.push(uploadPromise);
+    }
+    
+    // Upload the outpainting mask next to padded renditions
+    if (imageData.mask) {
+      const maskUploadPromise = store(
+        imageData.mask.buffer,
+        imageData.mask.filename,
+        'image/png'
+      ).then(result => {
+        maskUrls[ratioKey] = result.publicUrl;
+        contentBoxes[ratioKey] = imageData.mask.contentBox;
+        log.debug(`${action} ${ratioKey} mask: ${result.publicUrl}`);
+      });
+      
+      uploadPromises.push(maskUploadPromise);
+    }
+    
+    // Upload the responsive size ladder
+    if (imageData.variants.length > 0) {
+      variantUrls[ratioKey] = {};
+    }
+    for (const variant of imageData.variants) {
+      variantUrls[ratioKey][variant.size] = {};
+      
+      for (const [format, formatData] of Object.entries(variant.formats)) {
+        const variantUploadPromise = store(
+          formatData.buffer,
+          formatData.filename,
+          formatData.contentType
+        ).then(result => {
+          variantUrls[ratioKey][variant.size][format] = result.publicUrl;
+          log.debug(`${action} ${ratioKey} at ${variant.size}px (${format}): ${result.publicUrl}`);
+        });
+        
+        uploadPromises.push(variantUploadPromise);
+      }
+    }
+  }
+  
+  await Promise.all(uploadPromises);
+  
+  // Record new renditions so later runs with the same content hash reuse them
+  await Promise.all(Object.values(processedImages)
+    .filter(imageData => !imageData.reused)
+    .map(imageData => uploadImageToStorage(
+      Buffer.from(JSON.stringify(toRenditionRecord(imageData))),
+      imageData.recordFilename,
+      'application/json',
+      retryTracker
+    )));
+  
+  return {
+    aspectRatioUrls,
+    formatUrls,
+    aspectRatioDimensions,
+    cropRectangles,
+    placements,
+    maskUrls,
+    contentBoxes,
+    variantUrls
+  };
+}
+
+/**
+ * Build the rendition manifest listing every uploaded rendition
+ * @param {Object} target - Entity description from describeEntity
+ * @param {Object} processingResult - Result from processAllAspectRatios
+ * @param {Object} uploaded - URL maps from uploadRenditions
+ * @param {Object} metadata - Source image metadata
+ * @returns {Object} Manifest with one entry per ratio, size and format
+ */
+export function buildRenditionManifest(target, processingResult, uploaded, metadata) {
+  const renditions = [];
+  
+  for (const [ratioKey, imageData] of Object.entries(processingResult.processedImages)) {
+    const sizes = [
+      { size: imageData.size, width: imageData.width, height: imageData.height, formats: imageData.formats, urls: uploaded.formatUrls[ratioKey] },
+      ...imageData.variants.map(variant => ({ ...variant, urls: uploaded.variantUrls[ratioKey][variant.size] }))
+    ].sort((a, b) => a.size - b.size);
+    
+    for (const { size, width, height, formats, urls } of sizes) {
+      for (const [format, formatData] of Object.entries(formats)) {
+        renditions.push({
+          key: ratioKey,
+          contentHash: imageData.contentHash,
+          ratio: imageData.ratio,
+          mode: imageData.mode,
+          size,
+          width,
+          height,
+          format,
+          contentType: formatData.contentType,
+          bytes: formatData.bytes,
+          transparent: formatData.transparent,
+          primary: size === imageData.size && format === imageData.format,
+          url: urls[format]
+        });
+      }
+    }
+  }
+  
+  return {
+    ...target,
+    generatedAt: new Date().toISOString(),
+    originalAspectRatio: processingResult.originalAspectRatio,
+    source: {
+      width: metadata.width,
+      height: metadata.height,
+      format: metadata.format
+    },
+    renditions
+  };
+}
+
+/**
+ * Run the full aspect ratio pipeline for a target entity
+ * Requests are deduplicated by idempotency key, falling back to a hash of the entity and
+ * source image bytes. A caller key is bound to the request it was first used with; a
+ * fallback key only replays while its rendition set is still current, so a request that
+ * repeats an older one after the entity moved on is processed again.
+ * Marks the entity as processing, and as failed if any stage throws
+ * @param {Object} request - Processing request
+ * @param {string} request.entityType - Registered entity type (default 'character')
+ * @param {string} request.entityId - Entity ID
+ * @param {string} request.imageUrl - Source image URL
+ * @param {Buffer} request.imageBuffer - Uploaded source image, used instead of downloading imageUrl
+ * @param {Object} request.options - Webhook payload options
+ * @param {string} request.callbackUrl - Optional URL to POST the signed result event to
+ * @param {string} request.jobId - Async job ID, included in callback events
+ * @param {string} request.idempotencyKey - Caller-supplied Idempotency-Key header value
+ * @param {string} request.requestHash - Hash of the request as received (see hashRequest), for jobs whose upload was stored first
+ * @param {Object} hooks - Optional progress hooks
+ * @param {Function} hooks.onStage - Called with (stage, status) as stages start and complete
+ * @returns {Promise<Object>} Processing result (URLs, rendition details, content hashes and reuse, source metadata, stage timings, attempt counts, idempotency outcome)
+ */
+export function runAspectRatioPipeline(request, hooks = {}) {
+  const { entityType = DEFAULT_ENTITY_TYPE, entityId, jobId = null } = request;
+  
+  // Everything logged during the run carries the target entity, job and current stage,
+  // and its downloads, renders, uploads and database updates are traced as child spans.
+  // Metrics are pushed once the run settles, when an OTLP endpoint is configured
+  return runWithLogContext({ ...describeEntity(entityType, entityId), jobId, stage: null }, () => withSpan('runAspectRatioPipeline', {
+    attributes: {
+      'entity.type': entityType,
+      'entity.id': entityId,
+      'job.id': jobId
+    }
+  }, () => executePipeline(request, hooks))).finally(flushMetrics);
+}
+
+/**
+ * Run the pipeline stages for a target entity (see runAspectRatioPipeline)
+ * @param {Object} request - Processing request
+ * @param {Object} hooks - Optional progress hooks
+ * @returns {Promise<Object>} Processing result
+ */
+async function executePipeline({ entityType = DEFAULT_ENTITY_TYPE, entityId, imageUrl = null, imageBuffer: uploadedBuffer = null, options = {}, callbackUrl = null, jobId = null, idempotencyKey = null, requestHash = null }, hooks = {}) {
+  const { onStage = async () => {} } = hooks;
+  const startedAt = Date.now();
+  let currentStage = null;
+  
+  // Set once the idempotency key is claimed; each stage renews the claim
+  let renewClaim = async () => {};
+  let ownsClaim = false;
+  
+  const entity = getEntityType(entityType);
+  if (!entity) {
+    throw new ValidationError(`Unknown entity type: ${entityType}`, 'UNKNOWN_ENTITY_TYPE');
+  }
+  const target = describeEntity(entityType, entityId);
+  const storageFolder = getEntityStorageFolder(entity, entityId);
+  
+  // Transient download, upload and database failures are retried within one shared budget
+  const retryTracker = createRetryTracker();
+  
+  // Stage durations in milliseconds, returned with the result and recorded as metrics
+  const timings = {};
+  const stageTimers = {};
+  
+  const startStage = async stage => {
+    currentStage = stage;
+    setLogContext({ stage });
+    stageTimers[stage] = stageDuration.startTimer({ stage });
+    await renewClaim();
+    await onStage(stage, 'running');
+  };
+  const completeStage = async stage => {
+    currentStage = null;
+    setLogContext({ stage: null });
+    timings[stage] = stageTimers[stage]();
+    await onStage(stage, 'completed');
+  };
+  
+  // Download original image, unless it was uploaded with the request
+  const downloadSource = async () => {
+    await startStage('download');
+    let imageBuffer = uploadedBuffer;
+    if (!imageBuffer) {
+      log.info('Downloading original image...');
+      imageBuffer = await downloadImage(imageUrl, options.timeout || 30000, retryTracker, getEntitySourceFolder(entity, entityId));
+    }
+    sourceBytesTotal.inc({ source: uploadedBuffer ? 'upload' : 'download' }, imageBuffer.length);
+    
+    // Validate image buffer
+    const validation = validateImageBuffer(imageBuffer);
+    if (!validation.valid) {
+      throw new ImageError(validation.code, `Invalid image: ${validation.error}`);
+    }
+    
+    log.info(`Image ${uploadedBuffer ? 'received' : 'downloaded'} and validated: ${validation.format}, ${validation.size} bytes`);
+    await completeStage('download');
+    return imageBuffer;
+  };
+  
+  try {
+    log.info(`Processing aspect ratios for ${entityType}: ${entityId}`);
+    log.info(`Image source: ${uploadedBuffer ? `upload (${uploadedBuffer.length} bytes)` : imageUrl}`);
+    
+    // Verify the entity exists (EntityNotFoundError otherwise)
+    await getEntityRecord(entity, entityId);
+    
+    // Without a caller key, identify the request by its source image and options
+    let sourceBuffer = null;
+    let key = idempotencyKey;
+    if (!key) {
+      sourceBuffer = await downloadSource();
+      key = fingerprintRequest(entityType, entityId, sourceBuffer, options);
+    }
+    
+    const meta = {
+      entityType,
+      entityId,
+      jobId,
+      requestHash: idempotencyKey
+        ? requestHash || hashRequest({ entityType, entityId, imageUrl, imageBuffer: uploadedBuffer, callbackUrl, options })
+        : null
+    };
+    const replayOptions = idempotencyKey ? {} : {
+      canReplay: async stored => (await getCurrentRenditionSet(entityType, entityId))?.version === stored?.version
+    };
+    
+    const outcome = await withIdempotency(key, meta, async claim => {
+      renewClaim = claim.renewClaim;
+      ownsClaim = true;
+      
+      // Update status to processing
+      await updateAspectRatioStatus(entity, entityId, 'processing');
+      log.info(`Updated ${entityType} status to processing`);
+      
+      const imageBuffer = sourceBuffer || await downloadSource();
+      
+      // Get image metadata
+      await startStage('render');
+      const stopDecode = stageDuration.startTimer({ stage: 'decode' });
+      const metadata = await getImageMetadata(imageBuffer);
+      timings.decode = stopDecode();
+      log.info('Image metadata', {
+        dimensions: `${metadata.width}x${metadata.height}`,
+        format: metadata.format,
+        aspectRatio: metadata.aspectRatio,
+        size: metadata.size
+      });
+      
+      // Process all aspect ratios
+      log.info('Processing all aspect ratios...');
+      const processingResult = await processAllAspectRatios(imageBuffer, storageFolder, options, {
+        findRendition: findStoredRendition
+      });
+      
+      const { originalAspectRatio, transparent, processedImages } = processingResult;
+      const contentHashes = Object.fromEntries(
+        Object.entries(processedImages).map(([ratioKey, imageData]) => [ratioKey, imageData.contentHash])
+      );
+      const reused = Object.keys(processedImages).filter(ratioKey => processedImages[ratioKey].reused);
+      timings.renders = processingResult.renderTimes;
+      for (const [ratioKey, imageData] of Object.entries(processedImages)) {
+        renditionsTotal.inc({ result: imageData.reused ? 'reused' : 'rendered' });
+        if (!imageData.reused) {
+          renderDuration.observe({ ratio: imageData.ratio, mode: imageData.mode }, processingResult.renderTimes[ratioKey] / 1000);
+        }
+      }
+      log.info(`Processed ${Object.keys(processedImages).length} aspect ratios (${reused.length} reused)`);
+      await completeStage('render');
+      
+      // Upload all processed images
+      await startStage('upload');
+      log.info('Uploading processed images...');
+      const uploaded = await uploadRenditions(processedImages, retryTracker);
+      
+      // Publish the manifest of every rendition next to the images, named by their content hashes
+      const manifest = buildRenditionManifest(target, processingResult, uploaded, metadata);
+      const manifestHash = crypto
+        .createHash('sha256')
+        .update(Object.values(contentHashes).join(','))
+        .digest('hex')
+        .slice(0, 32);
+      const manifestFilename = `${storageFolder}/aspect-ratios/manifest-${manifestHash}.json`;
+      const { publicUrl: manifestUrl } = await uploadImageToStorage(
+        Buffer.from(JSON.stringify(manifest, null, 2)),
+        manifestFilename,
+        'application/json',
+        retryTracker
+      );
+      log.info(`Uploaded rendition manifest: ${manifestUrl}`);
+      log.info('All images uploaded successfully');
+      await completeStage('upload');
+      
+      // Record the run as a rendition set, then point the entity record at it
+      await startStage('update');
+      const currentFiles = Object.values(processedImages).flatMap(imageData => [
+        ...Object.values(imageData.formats).map(formatData => formatData.filename),
+        ...imageData.variants.flatMap(variant => Object.values(variant.formats).map(formatData => formatData.filename)),
+        ...(imageData.mask ? [imageData.mask.filename] : []),
+        imageData.recordFilename
+      ]);
+      currentFiles.push(manifestFilename);
+      const renditionSet = await recordRenditionSet({
+        entityType,
+        entityId,
+        sourceHash: hashSource(imageBuffer),
+        options,
+        files: currentFiles,
+        urls: {
+          aspectRatioUrls: uploaded.aspectRatioUrls,
+          formatUrls: uploaded.formatUrls,
+          maskUrls: uploaded.maskUrls,
+          variantUrls: uploaded.variantUrls,
+          manifestUrl
+        },
+        originalAspectRatio
+      });
+      
+      log.info(`Updating ${entityType} record...`);
+      await updateEntityAspectRatios(entity, entityId, uploaded.aspectRatioUrls, originalAspectRatio, {
+        maskUrls: uploaded.maskUrls,
+        formatUrls: uploaded.formatUrls,
+        manifestUrl
+      }, retryTracker);
+      await activateRenditionSet(renditionSet);
+      await completeStage('update');
+      
+      // Prune rendition sets beyond the retention policy (non-blocking)
+      applyRetentionPolicy(entity, entityId, { claimKey: key }).catch(error => {
+        log.warn('Retention warning', { error: error.message });
+      });
+      
+      log.info(`Successfully processed aspect ratios for ${entityType} ${entityId}`);
+      
+      return {
+        ...target,
+        originalAspectRatio,
+        transparent,
+        ...uploaded,
+        manifestUrl,
+        contentHashes,
+        reused,
+        version: renditionSet.version,
+        timings: { ...timings, total: Date.now() - startedAt },
+        retries: retryTracker.operations,
+        metadata: {
+          originalDimensions: `${metadata.width}x${metadata.height}`,
+          originalFormat: metadata.format,
+          originalSize: metadata.size,
+          processedCount: Object.keys(processedImages).length,
+          reusedCount: reused.length
+        }
+      };
+    }, replayOptions);
+    
+    const result = {
+      ...outcome.result,
+      idempotency: { key, status: outcome.status }
+    };
+    runsTotal.inc({ outcome: outcome.status });
+    
+    // Notify the caller before returning, so the first attempt is not cut off with the
+    // function; duplicates were already notified by the original request
+    if (callbackUrl && outcome.status === 'processed') {
+      await notifyCallback(callbackUrl, 'aspect_ratios.completed', { ...target, jobId, result });
+    }
+    
+    return result;
+  } catch (caught) {
+    // The original request owns the entity status and callbacks
+    if (caught instanceof IdempotencyConflictError) {
+      log.warn(`Duplicate request for key ${caught.key} is still in progress`);
+      runsTotal.inc({ outcome: 'conflict' });
+      throw caught;
+    }
+    if (caught instanceof IdempotencyKeyMismatchError) {
+      log.warn(`Key ${caught.key} was reused for a different request`);
+      runsTotal.inc({ outcome: 'mismatch' });
+      throw caught;
+    }
+    
+    // Failures are reported by code; anything untyped is an internal error
+    const error = toServiceError(caught);
+    log.error('Processing error', { error });
+    runsTotal.inc({ outcome: 'failed' });
+    errorsTotal.inc({
+      code: error.code,
+      stage: currentStage || 'none',
+      status: error.statusCode
+    });
+    error.retries = retryTracker.operations;
+    
+    if (currentStage) {
+      await onStage(currentStage, 'failed').catch(stageError => {
+        log.error('Failed to record stage failure', { error: stageError });
+      });
+    }
+    
+    // Failures before the claim (the entity lookup, or the download that identifies a
+    // request without a key) may belong to a duplicate of a run still in progress, so
+    // only the caller hears about them
+    if (!ownsClaim) {
+      throw error;
+    }
+    
+    // Update entity status to failed
+    try {
+      await updateAspectRatioStatus(entity, entityId, 'failed', formatErrorForStorage(error));
+    } catch (statusError) {
+      log.error('Failed to update error status', { error: statusError });
+    }
+    
+    if (callbackUrl) {
+      await notifyCallback(callbackUrl, 'aspect_ratios.failed', {
+        ...target,
+        jobId,
+        error: error.message,
+        code: error.code,
+        retryable: error.retryable,
+        stage: currentStage
+      });
+    }
+    
+    throw error;
+  }
+}
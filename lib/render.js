@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { downloadImage, downloadStorageObject } from './supabase.js';
+import {
+  SUPPORTED_ASPECT_RATIOS,
+  OUTPUT_FORMATS,
+  RENDER_MODES,
+  resolveFillOption,
+  createPaddedImage,
+  createCroppedImage,
+  optimizeImage,
+  validateImageBuffer
+} from './imageProcessor.js';
+import { isEntitySourcePath } from './entities.js';
+import { createLogger } from './logger.js';
+import { ImageError, toServiceError } from './errors.js';
+
+/**
+ * On-the-fly Rendition Rendering
+ * Signs, validates and renders GET /api/render requests. Parameters are HMAC-signed
+ * so only transforms issued by a holder of the signing secret can be requested
+ */
+
+const log = createLogger('Render');
+
+const MIN_RENDER_WIDTH = 16;
+const MAX_RENDER_WIDTH = 4096;
+const DEFAULT_CACHE_MAX_AGE = 86400;
+
+// Intermediate encoding before the requested output format is applied
+const INTERMEDIATE_OUTPUT = { format: 'png', compressionLevel: 1 };
+
+/**
+ * Get the secret used to sign render URLs
+ * @returns {string|undefined} RENDER_SIGNING_SECRET
+ */
+function getRenderSecret() {
+  return process.env.RENDER_SIGNING_SECRET;
+}
+
+/**
+ * Get the Cache-Control max-age for rendered images
+ * @returns {number} Max age in seconds
+ */
+export function getRenderCacheMaxAge() {
+  const value = parseInt(process.env.RENDER_CACHE_MAX_AGE, 10);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_CACHE_MAX_AGE;
+}
+
+/**
+ * Serialize render parameters in a stable order for signing
+ * @param {Object} params - Query parameters, excluding sig
+ * @returns {string} Sorted, URL-encoded query string
+ */
+function canonicalizeRenderParams(params) {
+  return Object.keys(params)
+    .filter(key => key !== 'sig' && params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(String(params[key]))}`)
+    .join('&');
+}
+
+/**
+ * Sign render parameters
+ * @param {Object} params - Render parameters (src, ratio, w, fill, mode, format, q)
+ * @param {string} secret - Signing secret (defaults to RENDER_SIGNING_SECRET)
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+export function signRenderParams(params, secret = getRenderSecret()) {
+  if (!secret) {
+    throw new Error('RENDER_SIGNING_SECRET is not configured');
+  }
+  
+  return crypto
+    .createHmac('sha256', secret)
+    .update(canonicalizeRenderParams(params), 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Build a signed /api/render URL path
+ * @param {Object} params - Render parameters (src, ratio, w, fill, mode, format, q)
+ * @returns {string} Path with the signed query string
+ */
+export function createSignedRenderPath(params) {
+  return `/api/render?${canonicalizeRenderParams(params)}&sig=${signRenderParams(params)}`;
+}
+
+/**
+ * Verify the signature of render request parameters
+ * @param {Object} query - Query parameters including sig
+ * @returns {boolean} True if the signature is valid
+ */
+export function verifyRenderSignature(query) {
+  try {
+    const secret = getRenderSecret();
+    if (!secret || typeof query.sig !== 'string' || !/^[0-9a-f]{64}$/i.test(query.sig)) {
+      return false;
+    }
+    
+    return crypto.timingSafeEqual(
+      Buffer.from(query.sig.toLowerCase(), 'hex'),
+      Buffer.from(signRenderParams(query, secret), 'hex')
+    );
+  } catch (error) {
+    log.error('Error verifying signature', { error });
+    return false;
+  }
+}
+
+/**
+ * Check that a source URL points at an allowed host
+ * The Supabase host is always allowed; RENDER_ALLOWED_HOSTS adds more
+ * @param {string} src - Source URL
+ * @returns {boolean} True if the URL may be fetched
+ */
+function isAllowedSourceUrl(src) {
+  try {
+    const url = new URL(src);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return false;
+    }
+    
+    const allowedHosts = (process.env.RENDER_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+    if (process.env.SUPABASE_URL) {
+      allowedHosts.push(new URL(process.env.SUPABASE_URL).host.toLowerCase());
+    }
+    
+    return allowedHosts.includes(url.host.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate render query parameters
+ * @param {Object} query - Query parameters (src, ratio, w, fill, mode, format, q)
+ * @returns {Object} Validation result with the resolved render request
+ */
+export function resolveRenderRequest(query) {
+  const { src, ratio, w, fill = 'black', mode = 'pad', format = 'jpeg', q } = query;
+  
+  if (typeof src !== 'string' || !src) {
+    return { valid: false, error: 'Missing src' };
+  }
+  
+  const isUrl = /^https?:\/\//i.test(src);
+  if (isUrl && !isAllowedSourceUrl(src)) {
+    return { valid: false, error: 'Source host is not allowed' };
+  }
+  if (!isUrl && (src.startsWith('/') || src.split('/').includes('..'))) {
+    return { valid: false, error: 'Invalid storage path' };
+  }
+  // Storage paths are read with service credentials, so only uploaded sources are served
+  if (!isUrl && !isEntitySourcePath(src)) {
+    return { valid: false, error: 'Storage path is not an uploaded source' };
+  }
+  
+  // Accept both '16:9' and the '16x9' output key form
+  const ratioKey = typeof ratio === 'string' ? ratio.replace('x', ':') : null;
+  const aspectRatio = SUPPORTED_ASPECT_RATIOS[ratioKey];
+  if (!aspectRatio) {
+    return {
+      valid: false,
+      error: `Unsupported aspect ratio: ${ratio} (supported: ${Object.keys(SUPPORTED_ASPECT_RATIOS).join(', ')})`
+    };
+  }
+  
+  const width = Number(w);
+  if (!Number.isInteger(width) || width < MIN_RENDER_WIDTH || width > MAX_RENDER_WIDTH) {
+    return { valid: false, error: `Invalid width: must be an integer between ${MIN_RENDER_WIDTH} and ${MAX_RENDER_WIDTH}` };
+  }
+  
+  const height = Math.max(1, Math.round(width * aspectRatio.height / aspectRatio.width));
+  if (height > MAX_RENDER_WIDTH) {
+    return { valid: false, error: `Invalid width: height would exceed ${MAX_RENDER_WIDTH}` };
+  }
+  
+  if (!RENDER_MODES.includes(mode)) {
+    return { valid: false, error: `Invalid mode ${JSON.stringify(mode)} (supported: ${RENDER_MODES.join(', ')})` };
+  }
+  
+  const fillResult = resolveFillOption(fill);
+  if (!fillResult.valid) {
+    return { valid: false, error: fillResult.error };
+  }
+  
+  if (!OUTPUT_FORMATS[format]) {
+    return { valid: false, error: `Unsupported format ${JSON.stringify(format)} (supported: ${Object.keys(OUTPUT_FORMATS).join(', ')})` };
+  }
+  
+  let quality = OUTPUT_FORMATS[format].quality;
+  if (q !== undefined) {
+    quality = Number(q);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      return { valid: false, error: 'Invalid quality: must be an integer between 1 and 100' };
+    }
+  }
+  
+  return {
+    valid: true,
+    request: {
+      src,
+      isUrl,
+      ratio: ratioKey,
+      width,
+      height,
+      mode,
+      fill: fillResult.fill,
+      format,
+      quality
+    }
+  };
+}
+
+/**
+ * Load the source image of a render request
+ * @param {Object} request - Resolved render request
+ * @returns {Promise<Buffer>} Source image bytes
+ */
+export async function loadRenderSource(request) {
+  const buffer = request.isUrl
+    ? await downloadImage(request.src)
+    : await downloadStorageObject(request.src);
+  
+  const validation = validateImageBuffer(buffer);
+  if (!validation.valid) {
+    throw new ImageError(validation.code, `Invalid image: ${validation.error}`);
+  }
+  
+  return buffer;
+}
+
+/**
+ * Compute the strong ETag of a rendition before rendering it
+ * Rendering is deterministic for the same source bytes, parameters and Sharp version
+ * @param {Object} request - Resolved render request
+ * @param {Buffer} sourceBuffer - Source image bytes
+ * @returns {string} Quoted ETag value
+ */
+export function computeRenderEtag(request, sourceBuffer) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ ...request, sharp: sharp.versions.sharp }))
+    .update(sourceBuffer)
+    .digest('hex');
+  
+  return `"${hash.slice(0, 32)}"`;
+}
+
+/**
+ * Render a padded or cropped rendition in the requested format
+ * @param {Object} request - Resolved render request
+ * @param {Buffer} sourceBuffer - Source image bytes
+ * @returns {Promise<Buffer>} Encoded image
+ */
+export async function renderRendition(request, sourceBuffer) {
+  try {
+    log.info(`Rendering ${request.ratio} ${request.mode} at ${request.width}x${request.height} as ${request.format}`);
+    
+    const rendered = request.mode === 'crop'
+      ? (await createCroppedImage(sourceBuffer, request.width, request.height, INTERMEDIATE_OUTPUT)).buffer
+      : await createPaddedImage(sourceBuffer, request.width, request.height, { fill: request.fill, ...INTERMEDIATE_OUTPUT });
+    
+    return await optimizeImage(rendered, {
+      format: request.format,
+      quality: request.quality,
+      flatten: request.format === 'jpeg' ? { r: 0, g: 0, b: 0 } : null
+    });
+  } catch (error) {
+    log.error('Error rendering rendition', { error });
+    throw toServiceError(error, 'RENDER_FAILED');
+  }
+}
@@ -0,0 +1,597 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getSupabaseClient } from './supabase.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Storage Backends
+ * A small object storage interface (put, get, list, remove, public and signed URLs)
+ * with Supabase, local filesystem and S3-compatible adapters. STORAGE_ADAPTER picks
+ * the adapter and STORAGE_BUCKET the bucket
+ */
+
+const log = createLogger('Storage');
+
+export const STORAGE_ADAPTERS = ['supabase', 'local', 's3'];
+
+const DEFAULT_BUCKET = 'uploads';
+const DEFAULT_LOCAL_DIR = '.storage';
+const DEFAULT_LOCAL_PUBLIC_URL = '/api/storage';
+const DEFAULT_SIGNED_URL_EXPIRY = 3600;
+
+// Content types served for locally stored objects, by file extension
+const LOCAL_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif',
+  json: 'application/json'
+};
+
+let storageInstance = null;
+let storageInstanceKey = null;
+
+/**
+ * Create an error carrying the HTTP status of a failed storage call
+ * @param {string} message - Error message
+ * @param {number|null} status - HTTP status (409 for existing objects, 404 for missing ones)
+ * @returns {Error} Storage error
+ */
+function createStorageError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * URL-encode each segment of an object path
+ * @param {string} objectPath - Object path
+ * @returns {string} Encoded path
+ */
+function encodeObjectPath(objectPath) {
+  return objectPath
+    .split('/')
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+/**
+ * Get the configured storage adapter name and bucket
+ * @returns {Object} { adapter, bucket }
+ */
+export function getStorageConfig() {
+  return {
+    adapter: (process.env.STORAGE_ADAPTER || 'supabase').trim().toLowerCase(),
+    bucket: process.env.STORAGE_BUCKET || DEFAULT_BUCKET
+  };
+}
+
+/**
+ * Get the storage adapter selected by configuration
+ * @returns {Object} Storage adapter
+ */
+export function getStorage() {
+  const { adapter, bucket } = getStorageConfig();
+  const key = `${adapter}:${bucket}`;
+  
+  if (!storageInstance || storageInstanceKey !== key) {
+    if (adapter === 'supabase') {
+      storageInstance = createSupabaseStorage(bucket);
+    } else if (adapter === 'local') {
+      storageInstance = createLocalStorage(bucket);
+    } else if (adapter === 's3') {
+      storageInstance = createS3Storage(bucket);
+    } else {
+      throw new Error(`Unknown storage adapter: ${adapter} (supported: ${STORAGE_ADAPTERS.join(', ')})`);
+    }
+    storageInstanceKey = key;
+    log.info(`Using ${adapter} storage, bucket ${bucket}`);
+  }
+  
+  return storageInstance;
+}
+
+/**
+ * Map a public URL issued by the configured storage back to its object path
+ * @param {string} url - URL to check
+ * @returns {string|null} Object path, or null if the URL is not a public storage URL
+ */
+export function getStoragePathFromUrl(url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  
+  const base = getStorage().getPublicUrl('');
+  if (!url.startsWith(base) || url.length === base.length) {
+    return null;
+  }
+  
+  try {
+    const objectPath = decodeURIComponent(url.slice(base.length).split(/[?#]/)[0]);
+    return objectPath.split('/').includes('..') ? null : objectPath;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a failed Supabase Storage download was for a missing object
+ * Storage answers missing objects with 404, or with a 400 whose body reports 'Object not
+ * found'; other 400s (e.g. invalid keys) are not missing objects. Download errors wrap the
+ * unread response, so its body is read here
+ * @param {Object} error - Error returned by storage-js
+ * @param {number|null} status - HTTP status of the failed response
+ * @returns {Promise<boolean>} True if the object does not exist
+ */
+async function isMissingObject(error, status) {
+  if (status === 404 || String(error.statusCode) === '404') {
+    return true;
+  }
+  if (status !== 400) {
+    return false;
+  }
+  
+  const body = typeof error.originalError?.text === 'function'
+    ? await error.originalError.text().catch(() => '')
+    : error.message;
+  return /object not found/i.test(body);
+}
+
+/**
+ * Create the Supabase Storage adapter
+ * @param {string} bucket - Bucket name
+ * @returns {Object} Storage adapter
+ */
+export function createSupabaseStorage(bucket) {
+  const from = () => getSupabaseClient().storage.from(bucket);
+  
+  return {
+    name: 'supabase',
+    bucket,
+    
+    async put(objectPath, buffer, contentType) {
+      const { data, error } = await from().upload(objectPath, buffer, { contentType, upsert: false });
+      if (error) {
+        // storage-js reports duplicates as a 400 whose body statusCode is '409'
+        const duplicate = error.status === 409 || String(error.statusCode) === '409';
+        throw createStorageError(error.message, duplicate ? 409 : (error.status ?? error.originalError?.status ?? null));
+      }
+      return { path: data.path };
+    },
+    
+    async get(objectPath) {
+      const { data, error } = await from().download(objectPath);
+      if (error) {
+        const status = error.status ?? error.originalError?.status ?? null;
+        throw createStorageError(error.message, await isMissingObject(error, status) ? 404 : status);
+      }
+      return Buffer.from(await data.arrayBuffer());
+    },
+    
+    async list(prefix) {
+      const { data, error } = await from().list(prefix);
+      if (error) {
+        throw createStorageError(error.message, error.status ?? null);
+      }
+      return (data || []).map(file => ({
+        name: file.name,
+        path: `${prefix}/${file.name}`,
+        createdAt: file.created_at
+      }));
+    },
+    
+    async remove(paths) {
+      const { error } = await from().remove(paths);
+      if (error) {
+        throw createStorageError(error.message, error.status ?? null);
+      }
+    },
+    
+    getPublicUrl(objectPath) {
+      return from().getPublicUrl(objectPath).data.publicUrl;
+    },
+    
+    async getSignedUrl(objectPath, expiresIn = DEFAULT_SIGNED_URL_EXPIRY) {
+      const { data, error } = await from().createSignedUrl(objectPath, expiresIn);
+      if (error) {
+        throw createStorageError(error.message, error.status ?? null);
+      }
+      return data.signedUrl;
+    }
+  };
+}
+
+/**
+ * Get the secret used to sign local storage URLs
+ * @returns {string|undefined} LOCAL_STORAGE_SIGNING_SECRET
+ */
+function getLocalSigningSecret() {
+  return process.env.LOCAL_STORAGE_SIGNING_SECRET;
+}
+
+/**
+ * Sign a local storage object path with an expiry
+ * @param {string} objectPath - Object path
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function signLocalPath(objectPath, expires) {
+  const secret = getLocalSigningSecret();
+  if (!secret) {
+    throw new Error('LOCAL_STORAGE_SIGNING_SECRET is not configured');
+  }
+  
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${objectPath}:${expires}`, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Verify a signed local storage URL
+ * @param {string} objectPath - Object path
+ * @param {string} expires - Expiry from the query string
+ * @param {string} signature - Signature from the query string
+ * @returns {Object} Validation result { valid, error }
+ */
+export function verifyLocalSignedUrl(objectPath, expires, signature) {
+  try {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+      return { valid: false, error: 'Invalid storage URL signature' };
+    }
+    
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+      return { valid: false, error: 'Storage URL has expired' };
+    }
+    
+    const valid = crypto.timingSafeEqual(
+      Buffer.from(signature.toLowerCase(), 'hex'),
+      Buffer.from(signLocalPath(objectPath, expiresAt), 'hex')
+    );
+    return valid ? { valid: true } : { valid: false, error: 'Invalid storage URL signature' };
+  } catch (error) {
+    log.error('Error verifying signed URL', { error });
+    return { valid: false, error: 'Invalid storage URL signature' };
+  }
+}
+
+/**
+ * Get the content type for a locally stored object
+ * @param {string} objectPath - Object path
+ * @returns {string} MIME type
+ */
+export function getLocalContentType(objectPath) {
+  const extension = path.extname(objectPath).slice(1).toLowerCase();
+  return LOCAL_CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Create the local filesystem adapter
+ * Objects live under STORAGE_LOCAL_DIR/<bucket> and are served by /api/storage
+ * @param {string} bucket - Bucket name
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorage(bucket) {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR, bucket);
+  const publicBase = (process.env.STORAGE_PUBLIC_URL || DEFAULT_LOCAL_PUBLIC_URL).replace(/\/+$/, '');
+  
+  // Refuse paths that would escape the bucket directory
+  const resolvePath = objectPath => {
+    const fullPath = path.resolve(root, objectPath);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw createStorageError(`Invalid storage path: ${objectPath}`, 400);
+    }
+    return fullPath;
+  };
+  
+  return {
+    name: 'local',
+    bucket,
+    
+    async put(objectPath, buffer) {
+      const fullPath = resolvePath(objectPath);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      try {
+        await fs.writeFile(fullPath, buffer, { flag: 'wx' });
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          throw createStorageError('The resource already exists', 409);
+        }
+        throw error;
+      }
+      return { path: objectPath };
+    },
+    
+    async get(objectPath) {
+      try {
+        return await fs.readFile(resolvePath(objectPath));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+          throw createStorageError('Object not found', 404);
+        }
+        throw error;
+      }
+    },
+    
+    async list(prefix) {
+      let entries;
+      try {
+        entries = await fs.readdir(resolvePath(prefix), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+      
+      const files = entries.filter(entry => entry.isFile());
+      return Promise.all(files.map(async entry => {
+        const stats = await fs.stat(resolvePath(`${prefix}/${entry.name}`));
+        return {
+          name: entry.name,
+          path: `${prefix}/${entry.name}`,
+          createdAt: stats.mtime.toISOString()
+        };
+      }));
+    },
+    
+    async remove(paths) {
+      await Promise.all(paths.map(async objectPath => {
+        try {
+          await fs.unlink(resolvePath(objectPath));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }));
+    },
+    
+    getPublicUrl(objectPath) {
+      return `${publicBase}/${encodeObjectPath(objectPath)}`;
+    },
+    
+    async getSignedUrl(objectPath, expiresIn = DEFAULT_SIGNED_URL_EXPIRY) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${publicBase}/${encodeObjectPath(objectPath)}?expires=${expires}&sig=${signLocalPath(objectPath, expires)}`;
+    }
+  };
+}
+
+/**
+ * HMAC-SHA256 helper for SigV4
+ * @param {Buffer|string} key - Key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} Digest
+ */
+function hmacSha256(key, data) {
+  return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+}
+
+/**
+ * Serialize query parameters in SigV4 canonical form
+ * @param {Object} query - Query parameters
+ * @returns {string} Sorted, RFC 3986-encoded query string
+ */
+function canonicalizeS3Query(query) {
+  const encode = value => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return Object.keys(query)
+    .sort()
+    .map(key => `${encode(key)}=${encode(String(query[key]))}`)
+    .join('&');
+}
+
+/**
+ * Compute an AWS Signature Version 4 signature
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Object} request - { method, url (URL without query), query, headers (lowercase names), payloadHash, amzDate }
+ * @returns {Object} { signature, signedHeaders, credentialScope }
+ */
+export function signS3Request(credentials, { method, url, query = {}, headers, payloadHash, amzDate }) {
+  const date = amzDate.slice(0, 8);
+  const credentialScope = `${date}/${credentials.region}/s3/aws4_request`;
+  const headerNames = Object.keys(headers).sort();
+  const signedHeaders = headerNames.join(';');
+  
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalizeS3Query(query),
+    headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+  
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    credentialScope,
+    crypto.createHash('sha256').update(canonicalRequest, 'utf8').digest('hex')
+  ].join('\n');
+  
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmacSha256(key, part),
+    hmacSha256(hmacSha256(`AWS4${credentials.secretAccessKey}`, date), credentials.region)
+  );
+  
+  return {
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex'),
+    signedHeaders,
+    credentialScope
+  };
+}
+
+/**
+ * Read the text of an XML element
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Element name
+ * @returns {string|null} Unescaped element text
+ */
+function readXmlTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  if (!match) {
+    return null;
+  }
+  return match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Create the S3-compatible adapter (AWS S3, MinIO, Cloudflare R2 and similar)
+ * Requests are signed with SigV4 and sent with fetch
+ * @param {string} bucket - Bucket name
+ * @returns {Object} Storage adapter
+ */
+export function createS3Storage(bucket) {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const credentials = {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    region
+  };
+  
+  if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error('Missing S3 environment variables');
+  }
+  
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  // Custom endpoints (MinIO and friends) usually only support path-style addressing
+  const pathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT);
+  const bucketBase = pathStyle
+    ? `${endpoint.origin}/${bucket}`
+    : `${endpoint.protocol}//${bucket}.${endpoint.host}`;
+  const publicBase = (process.env.STORAGE_PUBLIC_URL || bucketBase).replace(/\/+$/, '');
+  
+  const objectUrl = objectPath => new URL(`${bucketBase}/${encodeObjectPath(objectPath)}`);
+  
+  const send = async (method, url, { query = {}, headers = {}, body } = {}) => {
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const payloadHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    const signedHeaders = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    
+    const signed = signS3Request(credentials, { method, url, query, headers: signedHeaders, payloadHash, amzDate });
+    const queryString = canonicalizeS3Query(query);
+    const { host, ...requestHeaders } = signedHeaders;
+    
+    const response = await fetch(`${url.origin}${url.pathname}${queryString ? `?${queryString}` : ''}`, {
+      method,
+      headers: {
+        ...requestHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${signed.credentialScope}, SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`
+      },
+      body
+    });
+    
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      const message = readXmlTag(text, 'Message') || `HTTP ${response.status}`;
+      const error = createStorageError(`S3 ${method} failed: ${message}`, response.status);
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+    
+    return response;
+  };
+  
+  return {
+    name: 's3',
+    bucket,
+    
+    async put(objectPath, buffer, contentType) {
+      try {
+        // If-None-Match makes the write fail instead of overwriting an existing object
+        await send('PUT', objectUrl(objectPath), {
+          headers: { 'Content-Type': contentType, 'If-None-Match': '*' },
+          body: buffer
+        });
+      } catch (error) {
+        if (error.status === 412) {
+          throw createStorageError('The resource already exists', 409);
+        }
+        throw error;
+      }
+      return { path: objectPath };
+    },
+    
+    async get(objectPath) {
+      const response = await send('GET', objectUrl(objectPath));
+      return Buffer.from(await response.arrayBuffer());
+    },
+    
+    async list(prefix) {
+      const files = [];
+      let continuationToken = null;
+      
+      do {
+        const query = { 'list-type': 2, prefix: `${prefix}/`, delimiter: '/' };
+        if (continuationToken) {
+          query['continuation-token'] = continuationToken;
+        }
+        
+        const response = await send('GET', new URL(`${bucketBase}/`), { query });
+        const xml = await response.text();
+        
+        for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const key = readXmlTag(entry, 'Key');
+          files.push({
+            name: key.slice(prefix.length + 1),
+            path: key,
+            createdAt: readXmlTag(entry, 'LastModified')
+          });
+        }
+        
+        continuationToken = readXmlTag(xml, 'IsTruncated') === 'true'
+          ? readXmlTag(xml, 'NextContinuationToken')
+          : null;
+      } while (continuationToken);
+      
+      return files;
+    },
+    
+    async remove(paths) {
+      await Promise.all(paths.map(objectPath => send('DELETE', objectUrl(objectPath))));
+    },
+    
+    getPublicUrl(objectPath) {
+      return `${publicBase}/${encodeObjectPath(objectPath)}`;
+    },
+    
+    async getSignedUrl(objectPath, expiresIn = DEFAULT_SIGNED_URL_EXPIRY) {
+      const url = objectUrl(objectPath);
+      const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${credentials.accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': expiresIn,
+        'X-Amz-SignedHeaders': 'host'
+      };
+      
+      const { signature } = signS3Request(credentials, {
+        method: 'GET',
+        url,
+        query,
+        headers: { host: url.host },
+        payloadHash: 'UNSIGNED-PAYLOAD',
+        amzDate
+      });
+      
+      return `${url.origin}${url.pathname}?${canonicalizeS3Query(query)}&X-Amz-Signature=${signature}`;
+    }
+  };
+}
@@ -1,10 +1,18 @@
 import { createClient } from '@supabase/supabase-js';
+import { fetchImageSafely, DownloadError } from './downloader.js';
+import { getStorage, getStoragePathFromUrl } from './storage.js';
+import { createLogger } from './logger.js';
+import { storedBytesTotal } from './metrics.js';
+import { ServiceError, StorageError, DatabaseError, EntityNotFoundError, toServiceError } from './errors.js';
+import { withSpan, getActiveSpan, SPAN_KIND } from './tracing.js';
 
 /**
  * Supabase Database and Storage Utilities
  * Handles all Supabase interactions for the aspect ratio processing service
  */
 
+const log = createLogger('Supabase');
+
 // Initialize Supabase client
 let supabaseClient = null;
 
@@ -33,108 +41,352 @@ export function getSupabaseClient() {
 }
 
 /**
- * Upload processed image to Supabase storage
+ * Retry policy defaults, overridable with RETRY_MAX_ATTEMPTS, RETRY_BASE_DELAY_MS,
+ * RETRY_MAX_DELAY_MS and RETRY_BUDGET
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 200,
+  maxDelay: 5000,
+  budget: 10
+};
+
+// Network error codes worth retrying
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+/**
+ * Read a non-negative integer environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Get the retry policy
+ * @returns {Object} { maxAttempts, baseDelay, maxDelay, budget }
+ */
+export function getRetryPolicy() {
+  return {
+    maxAttempts: Math.max(1, readIntEnv('RETRY_MAX_ATTEMPTS', DEFAULT_RETRY_POLICY.maxAttempts)),
+    baseDelay: readIntEnv('RETRY_BASE_DELAY_MS', DEFAULT_RETRY_POLICY.baseDelay),
+    maxDelay: readIntEnv('RETRY_MAX_DELAY_MS', DEFAULT_RETRY_POLICY.maxDelay),
+    budget: readIntEnv('RETRY_BUDGET', DEFAULT_RETRY_POLICY.budget)
+  };
+}
+
+/**
+ * Create a retry tracker shared by the operations of one processing run
+ * The budget caps the total number of retries across all of them
+ * @returns {Object} { budget, operations } where operations maps names to { calls, attempts, retries }
+ */
+export function createRetryTracker() {
+  return {
+    budget: getRetryPolicy().budget,
+    operations: {}
+  };
+}
+
+/**
+ * Get the HTTP status attached to an error, if any
+ * @param {Error} error - Error from fetch, Supabase or the downloader
+ * @returns {number|null} HTTP status
+ */
+function getErrorStatus(error) {
+  // Typed errors carry the status they are reported with; only the upstream one counts here
+  const status = error instanceof ServiceError
+    ? error.upstreamStatus
+    : error.status ?? error.statusCode ?? error.originalError?.status;
+  const parsed = parseInt(status, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string} value - Seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Tell transient failures apart from permanent ones
+ * @param {Error} error - Failure to classify
+ * @returns {Object} { retryable, retryAfter } with retryAfter in milliseconds or null
+ */
+export function classifyError(error) {
+  const retryAfter = parseRetryAfter(error.retryAfter);
+  
+  if (error instanceof DownloadError && ['NETWORK_ERROR', 'TIMEOUT'].includes(error.reason)) {
+    return { retryable: true, retryAfter: null };
+  }
+  
+  const status = getErrorStatus(error);
+  if (status === 429 || status === 408 || (status !== null && status >= 500)) {
+    return { retryable: true, retryAfter };
+  }
+  
+  const networkCode = error instanceof ServiceError ? error.cause?.code : (error.code || error.cause?.code);
+  if (RETRYABLE_NETWORK_CODES.includes(networkCode) || /fetch failed|socket hang up/i.test(error.message)) {
+    return { retryable: true, retryAfter: null };
+  }
+  
+  return { retryable: false, retryAfter: null };
+}
+
+/**
+ * Run an operation, retrying transient failures with exponential backoff and jitter
+ * @param {string} operation - Operation name for logs and attempt counts
+ * @param {Function} fn - Async function to run, called with the attempt number
+ * @param {Object} tracker - Optional retry tracker from createRetryTracker
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(operation, fn, tracker = null) {
+  const policy = getRetryPolicy();
+  const stats = tracker
+    ? (tracker.operations[operation] ||= { calls: 0, attempts: 0, retries: 0 })
+    : null;
+  if (stats) {
+    stats.calls++;
+  }
+  
+  for (let attempt = 1; ; attempt++) {
+    if (stats) {
+      stats.attempts++;
+    }
+    
+    try {
+      const result = await fn(attempt);
+      if (attempt > 1) {
+        log.info(`${operation} succeeded on attempt ${attempt}/${policy.maxAttempts}`);
+      }
+      return result;
+    } catch (error) {
+      const { retryable, retryAfter } = classifyError(error);
+      const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+      const delay = Math.max(Math.round(backoff / 2 + Math.random() * backoff / 2), retryAfter ?? 0);
+      
+      const exhausted = attempt >= policy.maxAttempts || (tracker && tracker.budget <= 0);
+      if (!retryable || exhausted || delay > policy.maxDelay) {
+        if (retryable) {
+          log.error(`${operation} failed after ${attempt} attempt(s), giving up: ${error.message}`);
+        }
+        error.attempts = attempt;
+        throw error;
+      }
+      
+      if (tracker) {
+        tracker.budget--;
+        stats.retries++;
+      }
+      
+      log.warn(`${operation} failed (attempt ${attempt}/${policy.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+      getActiveSpan()?.addEvent('retry', {
+        attempt,
+        'retry.delay_ms': delay,
+        'exception.message': error.message
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run a database query inside a client span
+ * @param {string} table - Table name
+ * @param {string} operation - SQL operation (SELECT, INSERT, UPDATE)
+ * @param {Function} fn - Async function running the query, called with the span
+ * @returns {Promise<*>} The query's result
+ */
+export function traceQuery(table, operation, fn) {
+  return withSpan(`${operation} ${table}`, {
+    kind: SPAN_KIND.CLIENT,
+    attributes: {
+      'db.system': 'postgresql',
+      'db.collection.name': table,
+      'db.operation.name': operation
+    }
+  }, fn);
+}
+
+/**
+ * Upload processed image to the configured storage bucket
  * @param {Buffer} imageBuffer - Processed image buffer
  * @param {string} fileName - File name for storage
  * @param {string} contentType - MIME type
+ * @param {Object} retryTracker - Optional retry tracker for the current run
  * @returns {Promise<Object>} Upload result with public URL
  */
-export async function uploadImageToStorage(imageBuffer, fileName, contentType = 'image/jpeg') {
+export async function uploadImageToStorage(imageBuffer, fileName, contentType = 'image/jpeg', retryTracker = null) {
   try {
-    const supabase = getSupabaseClient();
-    
-    console.log(`[Supabase] Uploading image: ${fileName}`);
+    const storage = getStorage();
     
-    const { data, error } = await supabase.storage
-      .from('uploads')
-      .upload(fileName, imageBuffer, {
-        contentType,
-        upsert: false
-      });
+    log.debug(`Uploading image: ${fileName}`);
     
-    if (error) {
-      throw new Error(`Storage upload failed: ${error.message}`);
-    }
+    const data = await withSpan('uploadImageToStorage', {
+      kind: SPAN_KIND.CLIENT,
+      attributes: {
+        'storage.path': fileName,
+        'storage.content_type': contentType,
+        'storage.bytes': imageBuffer.length
+      }
+    }, () => withRetry('upload', async attempt => {
+      try {
+        const stored = await storage.put(fileName, imageBuffer, contentType);
+        storedBytesTotal.inc({ content_type: contentType }, imageBuffer.length);
+        return stored;
+      } catch (error) {
+        // Keys are content-addressed, so an existing object already holds these bytes
+        // (stored by an earlier run, or by an attempt whose response was lost)
+        if (error.status === 409) {
+          log.debug(`Object already stored: ${fileName}`);
+          return { path: fileName };
+        }
+        
+        const uploadError = new Error(`Storage upload failed: ${error.message}`);
+        uploadError.status = getErrorStatus(error);
+        uploadError.code = error.code;
+        throw uploadError;
+      }
+    }, retryTracker));
     
-    // Get public URL
-    const { data: urlData } = supabase.storage
-      .from('uploads')
-      .getPublicUrl(fileName);
+    const publicUrl = storage.getPublicUrl(fileName);
     
-    console.log(`[Supabase] Image uploaded successfully: ${urlData.publicUrl}`);
+    log.debug(`Image uploaded successfully: ${publicUrl}`);
     
     return {
       success: true,
       path: data.path,
-      publicUrl: urlData.publicUrl
+      publicUrl
     };
   } catch (error) {
-    console.error('[Supabase] Upload error:', error);
-    throw error;
+    log.error('Upload error', { error });
+    throw error instanceof ServiceError ? error : new StorageError('STORAGE_WRITE_FAILED', error.message, { cause: error });
   }
 }
 
 /**
- * Update character record with aspect ratio URLs
- * @param {string} characterId - Character ID
- * @param {Object} aspectRatioUrls - URLs for different aspect ratios
+ * Update an entity record with aspect ratio URLs
+ * Only the columns mapped in the entity definition are written
+ * @param {Object} entity - Entity definition from getEntityType
+ * @param {string} entityId - Entity ID
+ * @param {Object} aspectRatioUrls - URLs keyed by output key (e.g. '4x5')
  * @param {string} originalAspectRatio - Original detected aspect ratio
+ * @param {Object} extras - Additional rendition data
+ * @param {Object} extras.maskUrls - Outpainting mask URLs keyed by output key
+ * @param {Object} extras.formatUrls - Per-format URL maps keyed by output key
+ * @param {string} extras.manifestUrl - URL of the uploaded rendition manifest
+ * @param {Object} retryTracker - Optional retry tracker for the current run
  * @returns {Promise<Object>} Update result
  */
-export async function updateCharacterAspectRatios(characterId, aspectRatioUrls, originalAspectRatio) {
+export async function updateEntityAspectRatios(entity, entityId, aspectRatioUrls, originalAspectRatio, extras = {}, retryTracker = null) {
   try {
     const supabase = getSupabaseClient();
+    const { columns } = entity;
+    
+    log.info(`Updating ${entity.type} ${entityId} with aspect ratio URLs`);
+    
+    const updateData = buildColumnUpdate(columns, {
+      urls: aspectRatioUrls,
+      maskUrls: extras.maskUrls || {},
+      formatUrls: extras.formatUrls || {},
+      manifestUrl: extras.manifestUrl || null,
+      originalAspectRatio,
+      status: 'completed',
+      updatedAt: new Date().toISOString()
+    });
     
-    console.log(`[Supabase] Updating character ${characterId} with aspect ratio URLs`);
-    
-    const updateData = {
-      aspect_ratio_1x1_url: aspectRatioUrls['1x1'],
-      aspect_ratio_16x9_url: aspectRatioUrls['16x9'],
-      aspect_ratio_9x16_url: aspectRatioUrls['9x16'],
-      original_aspect_ratio: originalAspectRatio,
-      aspect_ratio_status: 'completed',
-      updated_at: new Date().toISOString()
-    };
-    
-    const { data, error } = await supabase
-      .from('characters')
-      .update(updateData)
-      .eq('id', characterId)
-      .select();
-    
-    if (error) {
-      throw new Error(`Database update failed: ${error.message}`);
+    // Keep the dedicated columns in sync for the ratios that have one; ratios this set
+    // does not include are cleared, since retention later deletes their older files
+    for (const [ratioKey, column] of Object.entries(columns.ratioUrls)) {
+      updateData[column] = aspectRatioUrls[ratioKey] || null;
     }
     
-    console.log(`[Supabase] Character updated successfully`);
+    const data = await traceQuery(entity.table, 'UPDATE', () => withRetry('update', async () => {
+      const { data: rows, error, status } = await supabase
+        .from(entity.table)
+        .update(updateData)
+        .eq(entity.idColumn, entityId)
+        .select();
+      
+      if (error) {
+        const updateError = new Error(`Database update failed: ${error.message}`);
+        updateError.status = status;
+        throw updateError;
+      }
+      
+      return rows;
+    }, retryTracker));
+    
+    log.info(`${entity.type} ${entityId} updated successfully`);
     
     return {
       success: true,
       data: data[0]
     };
   } catch (error) {
-    console.error('[Supabase] Update error:', error);
-    throw error;
+    log.error('Update error', { error });
+    throw error instanceof ServiceError ? error : new DatabaseError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Map logical fields to the entity's columns, skipping unmapped ones
+ * @param {Object} columns - Column mapping from the entity definition
+ * @param {Object} fields - Values keyed by logical field name
+ * @returns {Object} Values keyed by column name
+ */
+function buildColumnUpdate(columns, fields) {
+  const updateData = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (columns[field]) {
+      updateData[columns[field]] = value;
+    }
   }
+  return updateData;
 }
 
 /**
- * Get character data by ID
- * @param {string} characterId - Character ID
- * @returns {Promise<Object>} Character data
+ * Get an entity record by ID
+ * @param {Object} entity - Entity definition from getEntityType
+ * @param {string} entityId - Entity ID
+ * @returns {Promise<Object>} Entity record
  */
-export async function getCharacterById(characterId) {
+export async function getEntityRecord(entity, entityId) {
   try {
     const supabase = getSupabaseClient();
     
     const { data, error } = await supabase
-      .from('characters')
+      .from(entity.table)
       .select('*')
-      .eq('id', characterId)
+      .eq(entity.idColumn, entityId)
       .single();
     
+    // PGRST116 = .single() matched no rows
+    if (error?.code === 'PGRST116') {
+      throw new EntityNotFoundError(entity.type, entityId);
+    }
     if (error) {
-      throw new Error(`Failed to get character: ${error.message}`);
+      throw new DatabaseError(`Failed to get ${entity.type}: ${error.message}`);
     }
     
     return {
@@ -142,132 +394,116 @@ export async function getCharacterById(characterId) {
       data
     };
   } catch (error) {
-    console.error('[Supabase] Get character error:', error);
+    log.error(`Get ${entity.type} error`, { error });
     throw error;
   }
 }
 
 /**
- * Update character aspect ratio status
- * @param {string} characterId - Character ID
+ * Update an entity's aspect ratio status
+ * @param {Object} entity - Entity definition from getEntityType
+ * @param {string} entityId - Entity ID
  * @param {string} status - Status (processing, completed, failed)
  * @param {string} errorMessage - Optional error message
  * @returns {Promise<Object>} Update result
  */
-export async function updateAspectRatioStatus(characterId, status, errorMessage = null) {
+export async function updateAspectRatioStatus(entity, entityId, status, errorMessage = null) {
   try {
     const supabase = getSupabaseClient();
     
-    const updateData = {
-      aspect_ratio_status: status,
-      updated_at: new Date().toISOString()
-    };
+    const updateData = buildColumnUpdate(entity.columns, {
+      status,
+      updatedAt: new Date().toISOString(),
+      ...(errorMessage ? { error: errorMessage } : {})
+    });
     
-    if (errorMessage) {
-      updateData.aspect_ratio_error = errorMessage;
+    if (Object.keys(updateData).length === 0) {
+      return { success: true, data: null };
     }
     
-    const { data, error } = await supabase
-      .from('characters')
+    const { data, error } = await traceQuery(entity.table, 'UPDATE', () => supabase
+      .from(entity.table)
       .update(updateData)
-      .eq('id', characterId)
-      .select();
+      .eq(entity.idColumn, entityId)
+      .select());
     
     if (error) {
-      throw new Error(`Status update failed: ${error.message}`);
+      throw new DatabaseError(`Status update failed: ${error.message}`);
     }
     
-    console.log(`[Supabase] Updated character ${characterId} status to ${status}`);
+    log.info(`Updated ${entity.type} ${entityId} status to ${status}`);
     
     return {
       success: true,
       data: data[0]
     };
   } catch (error) {
-    console.error('[Supabase] Status update error:', error);
-    throw error;
+    log.error('Status update error', { error });
+    throw error instanceof ServiceError ? error : new DatabaseError(error.message, { cause: error });
   }
 }
 
 /**
  * Download image from URL with timeout
+ * Goes through the SSRF-safe downloader; failures are DownloadErrors or StorageErrors
  * @param {string} imageUrl - Image URL to download
- * @param {number} timeout - Timeout in milliseconds
+ * @param {number} timeout - Timeout in milliseconds, per attempt
+ * @param {Object} retryTracker - Optional retry tracker for the current run
+ * @param {string} sourceFolder - Storage folder whose objects are read through the storage adapter (see getEntitySourceFolder)
  * @returns {Promise<Buffer>} Image buffer
  */
-export async function downloadImage(imageUrl, timeout = 30000) {
+export async function downloadImage(imageUrl, timeout = 30000, retryTracker = null, sourceFolder = null) {
   try {
-    console.log(`[Supabase] Downloading image from: ${imageUrl}`);
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-    
-    const response = await fetch(imageUrl, {
-      signal: controller.signal,
-      headers: {
-        'Accept': 'image/*'
+    log.info(`Downloading image from: ${imageUrl}`);
+    
+    // The entity's stored uploads are read through the storage adapter, which also covers
+    // private buckets and relative local-storage URLs. The adapter reads with service
+    // credentials, so any other URL is fetched like an external one
+    const bucketPath = getStoragePathFromUrl(imageUrl);
+    const storagePath = sourceFolder && bucketPath?.startsWith(`${sourceFolder}/`) ? bucketPath : null;
+    const buffer = await withSpan('downloadImage', {
+      kind: SPAN_KIND.CLIENT,
+      attributes: {
+        // Without the query string, which can carry signed-URL tokens
+        'url.full': imageUrl.split('?')[0],
+        'storage.path': storagePath
       }
+    }, async span => {
+      const downloaded = await withRetry('download', () => (
+        storagePath ? downloadStorageObject(storagePath) : fetchImageSafely(imageUrl, { timeout })
+      ), retryTracker);
+      span.setAttribute('http.response.body.size', downloaded.length);
+      return downloaded;
     });
     
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const buffer = Buffer.from(await response.arrayBuffer());
-    
-    console.log(`[Supabase] Image downloaded successfully, size: ${buffer.length} bytes`);
+    log.info(`Image downloaded successfully, size: ${buffer.length} bytes`);
     
     return buffer;
   } catch (error) {
-    console.error('[Supabase] Download error:', error);
-    throw error;
+    log.error('Download error', { error });
+    throw toServiceError(error, 'SOURCE_UNREACHABLE');
   }
 }
 
 /**
- * Cleanup old aspect ratio files for a character
- * @param {string} characterId - Character ID
- * @returns {Promise<void>}
+ * Download an object from the configured storage bucket
+ * @param {string} path - Storage path within the bucket
+ * @returns {Promise<Buffer>} Object contents
  */
-export async function cleanupOldAspectRatioFiles(characterId) {
+export async function downloadStorageObject(path) {
   try {
-    const supabase = getSupabaseClient();
-    
-    // List files in the character's aspect-ratios folder
-    const { data: files, error } = await supabase.storage
-      .from('uploads')
-      .list(`characters/${characterId}/aspect-ratios`);
-    
-    if (error) {
-      console.warn(`[Supabase] Could not list files for cleanup: ${error.message}`);
-      return;
-    }
-    
-    if (!files || files.length === 0) {
-      return;
-    }
-    
-    // Remove old files (keep only the most recent ones)
-    const filesToRemove = files
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-      .slice(3) // Keep latest 3 files
-      .map(file => `characters/${characterId}/aspect-ratios/${file.name}`);
-    
-    if (filesToRemove.length > 0) {
-      const { error: removeError } = await supabase.storage
-        .from('uploads')
-        .remove(filesToRemove);
-      
-      if (removeError) {
-        console.warn(`[Supabase] Cleanup warning: ${removeError.message}`);
-      } else {
-        console.log(`[Supabase] Cleaned up ${filesToRemove.length} old files`);
-      }
+    log.debug(`Downloading storage object: ${path}`);
+    
+    try {
+      return await getStorage().get(path);
+    } catch (error) {
+      const downloadError = error.status === 404
+        ? new StorageError('SOURCE_NOT_FOUND', `Storage object not found: ${path}`, { cause: error })
+        : new StorageError('STORAGE_READ_FAILED', `Storage download failed: ${error.message}`, { cause: error, upstreamStatus: getErrorStatus(error) });
+      throw downloadError;
     }
   } catch (error) {
-    console.warn('[Supabase] Cleanup error:', error);
-    // Don't throw - cleanup is not critical
+    log.error('Storage download error', { error });
+    throw error;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,452 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createLogger, runWithLogContext } from './logger.js';
+
+/**
+ * Distributed Tracing
+ * Minimal OpenTelemetry-compatible tracer: spans follow the W3C Trace Context
+ * (`traceparent`) and are exported as OTLP/HTTP JSON, so any OpenTelemetry collector
+ * or backend can receive them. Configured with the standard OTEL_* variables; the
+ * console and memory exporters are meant for local runs and tests
+ */
+
+const log = createLogger('Tracing');
+
+export const SPAN_KIND = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  CONSUMER: 5
+};
+
+export const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+export const TRACE_EXPORTERS = ['otlp', 'console', 'memory', 'none'];
+
+const DEFAULT_SERVICE_NAME = 'aspect-ratio-service';
+const DEFAULT_EXPORT_TIMEOUT = 10000;
+const MAX_QUEUED_SPANS = 2048;
+const MAX_MEMORY_SPANS = 1000;
+const EXPORT_BATCH_SIZE = 512;
+
+const spanStorage = new AsyncLocalStorage();
+const queuedSpans = [];
+const memorySpans = [];
+
+// Wall-clock origin for the monotonic clock, so span timestamps are precise and ordered
+const clockOrigin = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+
+/**
+ * Get the current time in nanoseconds since the epoch
+ * @returns {bigint} Timestamp
+ */
+function nowNanos() {
+  return clockOrigin + process.hrtime.bigint();
+}
+
+/**
+ * Get the OTLP export settings shared by traces and metrics from the environment
+ * @returns {Object} { serviceName, baseEndpoint, headers, timeout }
+ */
+export function getOtlpExportOptions() {
+  // Comma-separated key=value pairs, e.g. "authorization=Bearer abc,x-team=media"
+  const headers = {};
+  for (const pair of (process.env.OTEL_EXPORTER_OTLP_HEADERS || '').split(',')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      headers[pair.slice(0, separator).trim()] = decodeURIComponent(pair.slice(separator + 1).trim());
+    }
+  }
+  
+  const timeout = parseInt(process.env.OTEL_EXPORTER_OTLP_TIMEOUT, 10);
+  
+  return {
+    serviceName: process.env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME,
+    baseEndpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT?.replace(/\/+$/, '') || null,
+    headers,
+    timeout: Number.isInteger(timeout) && timeout > 0 ? timeout : DEFAULT_EXPORT_TIMEOUT
+  };
+}
+
+/**
+ * Get the tracing configuration from the environment
+ * The exporter defaults to 'otlp' when an OTLP endpoint is configured, else 'none'
+ * @returns {Object} { exporter, serviceName, endpoint, headers, timeout }
+ */
+export function getTracingConfig() {
+  const { baseEndpoint, ...options } = getOtlpExportOptions();
+  const endpoint = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+    (baseEndpoint ? `${baseEndpoint}/v1/traces` : null);
+  
+  const requested = (process.env.OTEL_TRACES_EXPORTER || '').toLowerCase();
+  const exporter = TRACE_EXPORTERS.includes(requested) ? requested : (endpoint ? 'otlp' : 'none');
+  
+  return { exporter, endpoint, ...options };
+}
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string} header - traceparent header value
+ * @returns {Object|null} { traceId, spanId, sampled }, or null if absent or malformed
+ */
+export function parseTraceparent(header) {
+  const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/.exec((header || '').trim());
+  if (!match) {
+    return null;
+  }
+  
+  const [, version, traceId, spanId, flags, rest] = match;
+  // Version ff is invalid, and version 00 has no trailing fields
+  if (version === 'ff' || (version === '00' && rest)) {
+    return null;
+  }
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return null;
+  }
+  
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Format a span context as a traceparent header value
+ * @param {Object} spanContext - { traceId, spanId, sampled }
+ * @returns {string} traceparent value
+ */
+export function formatTraceparent({ traceId, spanId, sampled }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Get the span active in the current async context
+ * @returns {Object|null} Active span
+ */
+export function getActiveSpan() {
+  return spanStorage.getStore() || null;
+}
+
+/**
+ * Get the traceparent to send on outgoing requests
+ * @returns {string|null} traceparent of the active span, or null outside a trace
+ */
+export function getTraceparent() {
+  const span = getActiveSpan();
+  return span ? formatTraceparent(span) : null;
+}
+
+/**
+ * Start a span, as a child of the active span unless a parent is given
+ * @param {string} name - Span name
+ * @param {Object} options - Span options
+ * @param {number} options.kind - SPAN_KIND value (default INTERNAL)
+ * @param {Object} options.attributes - Initial attributes
+ * @param {Object} options.parent - Remote parent { traceId, spanId, sampled }, e.g. from parseTraceparent
+ * @returns {Object} Span; call end() when the operation finishes
+ */
+export function startSpan(name, options = {}) {
+  const { kind = SPAN_KIND.INTERNAL, attributes = {}, parent = getActiveSpan() } = options;
+  
+  const span = {
+    name,
+    kind,
+    traceId: parent?.traceId || crypto.randomBytes(16).toString('hex'),
+    spanId: crypto.randomBytes(8).toString('hex'),
+    parentSpanId: parent?.spanId || null,
+    // Follow the caller's sampling decision; new traces are always sampled
+    sampled: parent ? parent.sampled : true,
+    startTime: nowNanos(),
+    endTime: null,
+    attributes: {},
+    events: [],
+    status: { code: SPAN_STATUS.UNSET },
+    
+    setAttribute(key, value) {
+      if (value !== undefined && value !== null) {
+        span.attributes[key] = value;
+      }
+      return span;
+    },
+    
+    setAttributes(values) {
+      for (const [key, value] of Object.entries(values)) {
+        span.setAttribute(key, value);
+      }
+      return span;
+    },
+    
+    addEvent(eventName, eventAttributes = {}) {
+      span.events.push({ name: eventName, time: nowNanos(), attributes: eventAttributes });
+      return span;
+    },
+    
+    recordException(error) {
+      return span.addEvent('exception', {
+        'exception.type': error?.name || 'Error',
+        'exception.message': error?.message || String(error),
+        'exception.stacktrace': error?.stack
+      });
+    },
+    
+    setStatus(code, message) {
+      span.status = message ? { code, message } : { code };
+      return span;
+    },
+    
+    end() {
+      if (span.endTime !== null) {
+        return;
+      }
+      span.endTime = nowNanos();
+      if (span.sampled) {
+        queueSpan(span);
+      }
+    }
+  };
+  
+  return span.setAttributes(attributes);
+}
+
+/**
+ * Run a function inside a new active span
+ * The span records any thrown error, and its trace and span IDs are added to log entries
+ * @param {string} name - Span name
+ * @param {Object} options - Span options (see startSpan)
+ * @param {Function} fn - Function receiving the span
+ * @returns {Promise<*>} The function's result
+ */
+export async function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  
+  try {
+    return await spanStorage.run(span, () => runWithLogContext({ traceId: span.traceId, spanId: span.spanId }, () => fn(span)));
+  } catch (error) {
+    span.recordException(error);
+    span.setStatus(SPAN_STATUS.ERROR, error?.message);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Wrap an API handler in a server span continuing the caller's traceparent
+ * Spans are flushed before the handler resolves, since serverless instances may be frozen afterwards
+ * @param {Function} handler - Handler taking (req, res)
+ * @returns {Function} Wrapped handler
+ */
+export function withTracing(handler) {
+  return async function handleWithTracing(req, res) {
+    const parent = parseTraceparent(req.headers?.traceparent);
+    const path = (req.url || '').split('?')[0] || undefined;
+    
+    try {
+      return await withSpan(`${req.method} ${path || 'request'}`, {
+        kind: SPAN_KIND.SERVER,
+        parent,
+        attributes: {
+          'http.request.method': req.method,
+          'url.path': path,
+          'user_agent.original': req.headers?.['user-agent']
+        }
+      }, async span => {
+        const result = await handler(req, res);
+        span.setAttribute('http.response.status_code', res.statusCode);
+        if (res.statusCode >= 500) {
+          span.setStatus(SPAN_STATUS.ERROR);
+        }
+        return result;
+      });
+    } finally {
+      await flushSpans();
+    }
+  };
+}
+
+/**
+ * Queue a finished span for export
+ * @param {Object} span - Ended span
+ */
+function queueSpan(span) {
+  const { exporter } = getTracingConfig();
+  
+  if (exporter === 'none') {
+    return;
+  }
+  
+  if (exporter === 'memory') {
+    memorySpans.push(toSpanData(span));
+    if (memorySpans.length > MAX_MEMORY_SPANS) {
+      memorySpans.shift();
+    }
+    return;
+  }
+  
+  if (exporter === 'console') {
+    log.info(`Span ${span.name}`, { span: toSpanData(span) });
+    return;
+  }
+  
+  queuedSpans.push(span);
+  if (queuedSpans.length > MAX_QUEUED_SPANS) {
+    queuedSpans.splice(0, queuedSpans.length - MAX_QUEUED_SPANS);
+    log.warn(`Span queue full, dropped the oldest spans (limit ${MAX_QUEUED_SPANS})`);
+  }
+  if (queuedSpans.length >= EXPORT_BATCH_SIZE) {
+    flushSpans();
+  }
+}
+
+/**
+ * Describe a span for the console and memory exporters
+ * @param {Object} span - Ended span
+ * @returns {Object} Plain span data with durations in milliseconds
+ */
+function toSpanData(span) {
+  return {
+    name: span.name,
+    kind: span.kind,
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    startTime: new Date(Number(span.startTime / 1000000n)).toISOString(),
+    durationMs: Number(span.endTime - span.startTime) / 1e6,
+    attributes: { ...span.attributes },
+    events: span.events.map(event => ({ name: event.name, attributes: event.attributes })),
+    status: span.status
+  };
+}
+
+/**
+ * Encode an attribute value as an OTLP AnyValue
+ * @param {*} value - Attribute value
+ * @returns {Object} AnyValue
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (Number.isInteger(value)) {
+    return { intValue: String(value) };
+  }
+  if (typeof value === 'number') {
+    return { doubleValue: value };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toAnyValue) } };
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Encode attributes as an OTLP KeyValue list
+ * @param {Object} attributes - Attributes by key
+ * @returns {Object[]} KeyValue list
+ */
+export function toKeyValues(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * Build an OTLP/HTTP JSON ExportTraceServiceRequest
+ * @param {Object[]} spans - Ended spans
+ * @param {string} serviceName - service.name resource attribute
+ * @returns {Object} Request body
+ */
+export function buildOtlpRequest(spans, serviceName) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: toKeyValues({
+          'service.name': serviceName,
+          'telemetry.sdk.language': 'nodejs'
+        })
+      },
+      scopeSpans: [{
+        scope: { name: DEFAULT_SERVICE_NAME },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: span.kind,
+          startTimeUnixNano: String(span.startTime),
+          endTimeUnixNano: String(span.endTime),
+          attributes: toKeyValues(span.attributes),
+          events: span.events.map(event => ({
+            timeUnixNano: String(event.time),
+            name: event.name,
+            attributes: toKeyValues(event.attributes)
+          })),
+          status: span.status
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * POST an OTLP/HTTP JSON request to a collector
+ * @param {string} endpoint - Signal endpoint, e.g. .../v1/traces
+ * @param {Object} body - Export request
+ * @param {Object} options - Export options from getOtlpExportOptions ({ headers, timeout })
+ * @returns {Promise<void>}
+ * @throws {Error} If the collector cannot be reached or rejects the request
+ */
+export async function sendOtlpRequest(endpoint, body, { headers, timeout }) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeout)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+}
+
+/**
+ * Export queued spans to the OTLP endpoint
+ * Export failures are logged and the spans dropped, so tracing never fails a request
+ * @returns {Promise<void>}
+ */
+export async function flushSpans() {
+  const config = getTracingConfig();
+  if (config.exporter !== 'otlp' || queuedSpans.length === 0) {
+    return;
+  }
+  
+  if (!config.endpoint) {
+    log.warn('OTEL_TRACES_EXPORTER is otlp but no OTLP endpoint is configured; dropping spans');
+    queuedSpans.length = 0;
+    return;
+  }
+  
+  const spans = queuedSpans.splice(0, queuedSpans.length);
+  
+  try {
+    await sendOtlpRequest(config.endpoint, buildOtlpRequest(spans, config.serviceName), config);
+  } catch (error) {
+    log.warn(`Could not export ${spans.length} spans: ${error.message}`);
+  }
+}
+
+/**
+ * Get the spans recorded by the memory exporter
+ * @returns {Object[]} Span data, oldest first
+ */
+export function getFinishedSpans() {
+  return [...memorySpans];
+}
+
+/**
+ * Clear the spans recorded by the memory exporter
+ */
+export function resetFinishedSpans() {
+  memorySpans.length = 0;
+}
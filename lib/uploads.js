@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import { parseWebhookPayload, validateProcessingRequest } from './auth.js';
+import { uploadImageToStorage } from './supabase.js';
+import { validateImageBuffer } from './imageProcessor.js';
+import { createLogger } from './logger.js';
+import { ServiceError } from './errors.js';
+
+/**
+ * Direct Image Uploads
+ * Reads raw request bodies with a size limit and extracts images sent as
+ * multipart/form-data file parts or base64 imageData instead of an imageUrl
+ */
+
+const log = createLogger('Uploads');
+
+const DEFAULT_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Content types for stored upload sources, by detected format
+const SOURCE_CONTENT_TYPES = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' }
+};
+
+/**
+ * Get the maximum accepted request body and image size
+ * @returns {number} Limit in bytes
+ */
+export function getMaxUploadBytes() {
+  const value = parseInt(process.env.MAX_UPLOAD_BYTES, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_UPLOAD_BYTES;
+}
+
+/**
+ * Create an error for a body or image over the size limit
+ * @param {number} maxBytes - Limit in bytes
+ * @returns {ServiceError} PAYLOAD_TOO_LARGE error
+ */
+function createTooLargeError(maxBytes) {
+  return new ServiceError('PAYLOAD_TOO_LARGE', `Payload too large: limit is ${maxBytes} bytes`);
+}
+
+/**
+ * Read the raw request body, enforcing a size limit
+ * Uses an already-parsed body when the platform provides one
+ * @param {Object} req - Incoming request
+ * @param {number} maxBytes - Maximum body size in bytes
+ * @returns {Promise<Buffer|null>} Raw body, or null if the body format is not supported
+ */
+export async function readRequestBody(req, maxBytes = getMaxUploadBytes()) {
+  const declaredLength = parseInt(req.headers['content-length'], 10);
+  if (declaredLength > maxBytes) {
+    throw createTooLargeError(maxBytes);
+  }
+  
+  let body;
+  if (Buffer.isBuffer(req.body)) {
+    body = req.body;
+  } else if (typeof req.body === 'string') {
+    body = Buffer.from(req.body);
+  } else if (req.body && typeof req.body === 'object') {
+    body = Buffer.from(JSON.stringify(req.body));
+  } else if (typeof req[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    let total = 0;
+    
+    for await (const chunk of req) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        throw createTooLargeError(maxBytes);
+      }
+      chunks.push(chunk);
+    }
+    
+    body = Buffer.concat(chunks);
+  } else {
+    return null;
+  }
+  
+  if (body.length > maxBytes) {
+    throw createTooLargeError(maxBytes);
+  }
+  
+  return body;
+}
+
+/**
+ * Parse the headers of one multipart part
+ * @param {string} headerBlock - Raw header lines
+ * @returns {Object} { name, filename, contentType }
+ */
+function parsePartHeaders(headerBlock) {
+  const headers = {};
+  for (const line of headerBlock.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+  
+  const disposition = headers['content-disposition'] || '';
+  const name = disposition.match(/\bname="([^"]*)"/i)?.[1] ?? null;
+  const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1] ?? null;
+  
+  return {
+    name,
+    filename,
+    contentType: headers['content-type'] || null
+  };
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Object} { fields, files } where files map names to { filename, contentType, data }
+ */
+export function parseMultipart(body, contentType) {
+  const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  if (!boundaryMatch) {
+    throw new Error('Missing multipart boundary');
+  }
+  
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const fields = {};
+  const files = {};
+  
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new Error('Malformed multipart body: boundary not found');
+  }
+  
+  while (true) {
+    position += delimiter.length;
+    
+    // A delimiter followed by -- closes the body
+    if (body.subarray(position, position + 2).toString() === '--') {
+      break;
+    }
+    position += 2;
+    
+    const next = body.indexOf(delimiter, position);
+    if (next === -1) {
+      throw new Error('Malformed multipart body: missing closing boundary');
+    }
+    
+    // Each part ends with the CRLF that precedes the next delimiter
+    const part = body.subarray(position, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) {
+      throw new Error('Malformed multipart body: part without headers');
+    }
+    
+    const { name, filename, contentType: partType } = parsePartHeaders(part.subarray(0, headerEnd).toString());
+    const data = part.subarray(headerEnd + 4);
+    
+    if (name !== null) {
+      if (filename !== null) {
+        files[name] = { filename, contentType: partType, data };
+      } else {
+        fields[name] = data.toString();
+      }
+    }
+    
+    position = next;
+  }
+  
+  return { fields, files };
+}
+
+/**
+ * Decode base64 image data, with or without a data: URL prefix
+ * @param {string} imageData - Base64 image data
+ * @param {number} maxBytes - Maximum decoded size in bytes
+ * @returns {Object} Validation result with the decoded buffer
+ */
+export function decodeImageData(imageData, maxBytes = getMaxUploadBytes()) {
+  if (typeof imageData !== 'string') {
+    return { valid: false, error: 'imageData must be a base64 string' };
+  }
+  
+  const base64 = imageData.replace(/^data:[^;,]+;base64,/, '').replace(/\s/g, '');
+  if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    return { valid: false, error: 'imageData is not valid base64' };
+  }
+  
+  // Check the decoded size before allocating it
+  if (Math.floor(base64.length * 3 / 4) > maxBytes) {
+    return { valid: false, error: `imageData too large: limit is ${maxBytes} bytes`, statusCode: 413 };
+  }
+  
+  const buffer = Buffer.from(base64, 'base64');
+  const validation = validateImageBuffer(buffer);
+  if (!validation.valid) {
+    return { valid: false, error: `Invalid imageData: ${validation.error}` };
+  }
+  
+  return { valid: true, buffer };
+}
+
+/**
+ * Parse a processing request sent as JSON or multipart/form-data
+ * Multipart requests carry the JSON payload in a 'payload' field and the image in an 'image' file part
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} contentType - Content-Type header
+ * @returns {Object} { success, data, imageBuffer } or { success: false, error, statusCode }
+ */
+export function parseProcessingPayload(rawBody, contentType = '') {
+  if (!contentType.includes('multipart/form-data')) {
+    const payloadResult = parseWebhookPayload(rawBody.toString());
+    if (!payloadResult.success || payloadResult.data.imageData === undefined) {
+      return { ...payloadResult, imageBuffer: null };
+    }
+    
+    const decoded = decodeImageData(payloadResult.data.imageData);
+    if (!decoded.valid) {
+      return { success: false, error: decoded.error, statusCode: decoded.statusCode || 400 };
+    }
+    
+    // Keep the decoded bytes out of the payload passed along to jobs and logs
+    const { imageData, ...data } = payloadResult.data;
+    return { success: true, data, imageBuffer: decoded.buffer };
+  }
+  
+  try {
+    const { fields, files } = parseMultipart(rawBody, contentType);
+    const payload = fields.payload ? JSON.parse(fields.payload) : {};
+    const image = files.image;
+    
+    if (!image) {
+      throw new Error('Missing image file part');
+    }
+    
+    const validation = validateProcessingRequest(payload, { imageUploaded: true });
+    if (!validation.success) {
+      throw new Error(validation.error);
+    }
+    
+    const imageValidation = validateImageBuffer(image.data);
+    if (!imageValidation.valid) {
+      throw new Error(`Invalid image upload: ${imageValidation.error}`);
+    }
+    
+    return { success: true, data: payload, imageBuffer: image.data };
+  } catch (error) {
+    log.error('Error parsing multipart payload', { error });
+    return { success: false, error: error.message, statusCode: 400 };
+  }
+}
+
+/**
+ * Store an uploaded source image so async jobs can fetch it later
+ * Sources are named by a hash of their bytes, so re-uploading the same image reuses it
+ * @param {string} storageFolder - Entity storage folder (see getEntityStorageFolder)
+ * @param {Buffer} imageBuffer - Uploaded image bytes
+ * @returns {Promise<string>} Public URL of the stored source
+ */
+export async function storeUploadedSource(storageFolder, imageBuffer) {
+  const { format } = validateImageBuffer(imageBuffer);
+  const { extension, contentType } = SOURCE_CONTENT_TYPES[format];
+  const sourceHash = crypto.createHash('sha256').update(imageBuffer).digest('hex').slice(0, 32);
+  
+  const result = await uploadImageToStorage(
+    imageBuffer,
+    `${storageFolder}/sources/source-${sourceHash}.${extension}`,
+    contentType
+  );
+  
+  return result.publicUrl;
+}
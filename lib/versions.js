@@ -0,0 +1,401 @@
+import crypto from 'crypto';
+import { getSupabaseClient, updateEntityAspectRatios, traceQuery } from './supabase.js';
+import { getStorage } from './storage.js';
+import { getEntityStorageFolder } from './entities.js';
+import { isEntityClaimed } from './idempotency.js';
+import { listEntityJobs } from './jobs.js';
+import { createLogger } from './logger.js';
+import { ServiceError, DatabaseError } from './errors.js';
+
+/**
+ * Rendition Version History
+ * Every processing run is recorded as a numbered rendition set (source hash, options,
+ * stored files and URLs) in the aspect_ratio_rendition_sets table. A retention policy
+ * keeps the newest complete sets plus the current one, and entities can be rolled
+ * back to any set whose files are still stored
+ */
+
+const log = createLogger('Versions');
+
+const RENDITION_SETS_TABLE = 'aspect_ratio_rendition_sets';
+const DEFAULT_RETENTION = 3;
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Files not referenced by any retained set are only swept once they are this old,
+// so the uploads of a run that has not been recorded yet are left alone
+const ORPHAN_GRACE_PERIOD = 60 * 60 * 1000;
+
+// Uploaded sources no queued or running job refers to are swept once they are this old
+const SOURCE_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised when a rendition set cannot be found or restored
+ */
+export class RenditionSetError extends ServiceError {
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'RenditionSetError';
+  }
+}
+
+/**
+ * Get the number of complete rendition sets kept per entity
+ * @returns {number} RENDITION_RETENTION, at least 1
+ */
+export function getRenditionRetention() {
+  const value = parseInt(process.env.RENDITION_RETENTION, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_RETENTION;
+}
+
+/**
+ * Hash source image bytes for the version record
+ * @param {Buffer} imageBuffer - Source image bytes
+ * @returns {string} 'sha256:<hex>'
+ */
+export function hashSource(imageBuffer) {
+  return `sha256:${crypto.createHash('sha256').update(imageBuffer).digest('hex')}`;
+}
+
+/**
+ * Get the highest version recorded for an entity
+ * @param {Object} supabase - Supabase client
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @returns {Promise<number>} Latest version, or 0 if none
+ */
+async function getLatestVersion(supabase, entityType, entityId) {
+  const { data, error } = await supabase
+    .from(RENDITION_SETS_TABLE)
+    .select('version')
+    .eq('entity_type', entityType)
+    .eq('entity_id', entityId)
+    .order('version', { ascending: false })
+    .limit(1);
+  
+  if (error) {
+    throw new DatabaseError(`Failed to read rendition versions: ${error.message}`);
+  }
+  
+  return data[0]?.version || 0;
+}
+
+/**
+ * Record a processing run as a new rendition set
+ * The set is not current until activateRenditionSet is called
+ * @param {Object} renditionSet - Rendition set details
+ * @param {string} renditionSet.entityType - Entity type
+ * @param {string} renditionSet.entityId - Entity ID
+ * @param {string} renditionSet.sourceHash - Hash of the source image (see hashSource)
+ * @param {Object} renditionSet.options - Render options used
+ * @param {string[]} renditionSet.files - Storage paths written by the run
+ * @param {Object} renditionSet.urls - URL maps (aspectRatioUrls, formatUrls, maskUrls, variantUrls, manifestUrl)
+ * @param {string} renditionSet.originalAspectRatio - Detected source aspect ratio
+ * @returns {Promise<Object>} Created rendition set record
+ */
+export async function recordRenditionSet({ entityType, entityId, sourceHash, options, files, urls, originalAspectRatio }) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    // Versions are numbered per entity; a concurrent run taking the same number retries
+    for (let attempt = 1; attempt <= MAX_VERSION_ATTEMPTS; attempt++) {
+      const version = await getLatestVersion(supabase, entityType, entityId) + 1;
+      
+      const { data, error } = await supabase
+        .from(RENDITION_SETS_TABLE)
+        .insert({
+          id: crypto.randomUUID(),
+          entity_type: entityType,
+          entity_id: entityId,
+          version,
+          source_hash: sourceHash,
+          options,
+          files,
+          urls,
+          original_aspect_ratio: originalAspectRatio,
+          status: 'active',
+          is_current: false,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+      
+      if (!error) {
+        log.info(`Recorded rendition set v${version} for ${entityType} ${entityId}`);
+        return data;
+      }
+      
+      // 23505 = unique violation on (entity_type, entity_id, version)
+      if (error.code !== '23505' || attempt === MAX_VERSION_ATTEMPTS) {
+        throw new DatabaseError(`Failed to record rendition set: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    log.error('Record error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Mark a rendition set as the entity's current one
+ * Runs the activate_rendition_set database function, which clears the previous current
+ * set and marks this one in a single transaction, one activation per entity at a time,
+ * so an entity never has no current set or two
+ * @param {Object} renditionSet - Rendition set record
+ * @returns {Promise<void>}
+ */
+export async function activateRenditionSet(renditionSet) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { error } = await traceQuery(RENDITION_SETS_TABLE, 'UPDATE', () => supabase
+      .rpc('activate_rendition_set', { p_set_id: renditionSet.id }));
+    
+    if (error) {
+      throw new DatabaseError(`Failed to activate rendition set: ${error.message}`);
+    }
+  } catch (error) {
+    log.error('Activate error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Get an entity's current rendition set
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @returns {Promise<Object|null>} Current rendition set record, or null if none
+ */
+export async function getCurrentRenditionSet(entityType, entityId) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(RENDITION_SETS_TABLE)
+      .select('*')
+      .eq('entity_type', entityType)
+      .eq('entity_id', entityId)
+      .eq('is_current', true)
+      .maybeSingle();
+    
+    if (error) {
+      throw new DatabaseError(`Failed to get current rendition set: ${error.message}`);
+    }
+    
+    return data;
+  } catch (error) {
+    log.error('Current set error', { error });
+    throw error;
+  }
+}
+
+/**
+ * List an entity's rendition sets, newest first
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @returns {Promise<Object[]>} Rendition set records
+ */
+export async function listRenditionSets(entityType, entityId) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data, error } = await supabase
+      .from(RENDITION_SETS_TABLE)
+      .select('*')
+      .eq('entity_type', entityType)
+      .eq('entity_id', entityId)
+      .order('version', { ascending: false });
+    
+    if (error) {
+      throw new DatabaseError(`Failed to list rendition sets: ${error.message}`);
+    }
+    
+    return data;
+  } catch (error) {
+    log.error('List error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Format a rendition set record for API responses
+ * @param {Object} renditionSet - Rendition set record
+ * @returns {Object} Public rendition set representation
+ */
+export function formatRenditionSet(renditionSet) {
+  return {
+    version: renditionSet.version,
+    status: renditionSet.status,
+    current: renditionSet.is_current,
+    sourceHash: renditionSet.source_hash,
+    options: renditionSet.options,
+    originalAspectRatio: renditionSet.original_aspect_ratio,
+    ...renditionSet.urls,
+    createdAt: renditionSet.created_at,
+    prunedAt: renditionSet.pruned_at || null
+  };
+}
+
+/**
+ * Collect the files referenced by an entity's active rendition sets
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {string} exceptSetId - Set to leave out, if any
+ * @returns {Promise<Set<string>>} Referenced storage paths
+ */
+async function listReferencedFiles(entityType, entityId, exceptSetId = null) {
+  const sets = await listRenditionSets(entityType, entityId);
+  return new Set(sets
+    .filter(set => set.status === 'active' && set.id !== exceptSetId)
+    .flatMap(set => set.files));
+}
+
+/**
+ * Apply the retention policy to an entity's rendition sets
+ * Keeps the newest RENDITION_RETENTION active sets and the current set, deletes the
+ * files only the others reference and marks them pruned, then sweeps old unreferenced
+ * renditions and uploaded sources no pending job needs
+ * @param {Object} entity - Entity definition from getEntityType
+ * @param {string} entityId - Entity ID
+ * @param {Object} options - Retention options
+ * @param {string} options.claimKey - Idempotency key held by the calling run, if any
+ * @returns {Promise<Object>} { retained, pruned } version numbers
+ */
+export async function applyRetentionPolicy(entity, entityId, { claimKey = null } = {}) {
+  const supabase = getSupabaseClient();
+  const storage = getStorage();
+  const retention = getRenditionRetention();
+  const folder = getEntityStorageFolder(entity, entityId);
+  
+  const active = (await listRenditionSets(entity.type, entityId)).filter(set => set.status === 'active');
+  const retained = active.filter((set, index) => index < retention || set.is_current);
+  const expired = active.filter(set => !retained.includes(set));
+  const pruned = [];
+  
+  for (const set of expired) {
+    try {
+      // A run claims its key before reusing stored files, so files are only removed
+      // while no other run could be about to reference them
+      if (await isEntityClaimed(entity.type, entityId, claimKey)) {
+        log.info(`Deferred pruning ${entity.type} ${entityId}: another run holds a claim`);
+        break;
+      }
+      
+      // Content-addressed files can be shared between sets, so references are re-read
+      // right before removal rather than taken from the list above
+      const referenced = await listReferencedFiles(entity.type, entityId, set.id);
+      const removable = set.files.filter(file => !referenced.has(file));
+      if (removable.length > 0) {
+        await storage.remove(removable);
+      }
+      
+      const { error } = await traceQuery(RENDITION_SETS_TABLE, 'UPDATE', () => supabase
+        .from(RENDITION_SETS_TABLE)
+        .update({ status: 'pruned', pruned_at: new Date().toISOString() })
+        .eq('id', set.id));
+      
+      if (error) {
+        throw new Error(error.message);
+      }
+      
+      pruned.push(set.version);
+      log.info(`Pruned rendition set v${set.version} of ${entity.type} ${entityId} (${removable.length} files)`);
+    } catch (error) {
+      log.warn(`Could not prune rendition set v${set.version}: ${error.message}`);
+    }
+  }
+  
+  // Sweep files left behind by failed runs or written before versioning
+  try {
+    const files = await storage.list(`${folder}/aspect-ratios`);
+    const candidates = files
+      .filter(file => Date.now() - new Date(file.createdAt).getTime() > ORPHAN_GRACE_PERIOD);
+    
+    if (candidates.length > 0 && !(await isEntityClaimed(entity.type, entityId, claimKey))) {
+      const referenced = await listReferencedFiles(entity.type, entityId);
+      const orphans = candidates
+        .filter(file => !referenced.has(file.path))
+        .map(file => file.path);
+      
+      if (orphans.length > 0) {
+        await storage.remove(orphans);
+        log.info(`Removed ${orphans.length} unreferenced files from ${folder}/aspect-ratios`);
+      }
+    }
+  } catch (error) {
+    log.warn(`Could not sweep unreferenced files: ${error.message}`);
+  }
+  
+  // Uploaded sources are only needed until the jobs that fetch them have run
+  try {
+    const files = await storage.list(`${folder}/sources`);
+    const candidates = files
+      .filter(file => Date.now() - new Date(file.createdAt).getTime() > SOURCE_GRACE_PERIOD);
+    
+    if (candidates.length > 0 && !(await isEntityClaimed(entity.type, entityId, claimKey))) {
+      const pending = await listEntityJobs(entity.type, entityId, ['queued', 'running']);
+      const stale = candidates
+        .filter(file => !pending.some(job => job.payload?.imageUrl?.includes(file.name)))
+        .map(file => file.path);
+      
+      if (stale.length > 0) {
+        await storage.remove(stale);
+        log.info(`Removed ${stale.length} uploaded sources from ${folder}/sources`);
+      }
+    }
+  } catch (error) {
+    log.warn(`Could not sweep uploaded sources: ${error.message}`);
+  }
+  
+  return {
+    retained: retained.map(set => set.version),
+    pruned
+  };
+}
+
+/**
+ * Point an entity back at an earlier rendition set
+ * @param {Object} entity - Entity definition from getEntityType
+ * @param {string} entityId - Entity ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} Restored rendition set record
+ */
+export async function rollbackToRenditionSet(entity, entityId, version) {
+  try {
+    const supabase = getSupabaseClient();
+    
+    const { data: renditionSet, error } = await supabase
+      .from(RENDITION_SETS_TABLE)
+      .select('*')
+      .eq('entity_type', entity.type)
+      .eq('entity_id', entityId)
+      .eq('version', version)
+      .maybeSingle();
+    
+    if (error) {
+      throw new DatabaseError(`Failed to get rendition set: ${error.message}`);
+    }
+    
+    if (!renditionSet) {
+      throw new RenditionSetError('RENDITION_SET_NOT_FOUND', `Rendition set v${version} not found for ${entity.type} ${entityId}`);
+    }
+    
+    if (renditionSet.status !== 'active') {
+      throw new RenditionSetError('RENDITION_SET_PRUNED', `Rendition set v${version} has been pruned and its files deleted`);
+    }
+    
+    const { aspectRatioUrls, maskUrls, formatUrls, manifestUrl } = renditionSet.urls;
+    await updateEntityAspectRatios(entity, entityId, aspectRatioUrls, renditionSet.original_aspect_ratio, {
+      maskUrls,
+      formatUrls,
+      manifestUrl
+    });
+    await activateRenditionSet(renditionSet);
+    
+    log.info(`Rolled ${entity.type} ${entityId} back to rendition set v${version}`);
+    
+    return { ...renditionSet, is_current: true };
+  } catch (error) {
+    log.error('Rollback error', { error });
+    throw error;
+  }
+}
@@ -0,0 +1,142 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  verifyWebhookRequest,
+  generateTimestampedSignature,
+  generateWebhookSignature,
+  parseSignatureHeader
+} from '../lib/auth.js';
+
+/**
+ * Stand-in for the Supabase REST API that keeps replay keys unique, as the primary
+ * key of the signatures table does
+ */
+function startSignatureStore() {
+  const used = new Set();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const row = JSON.parse(body || '{}');
+      const rows = Array.isArray(row) ? row : [row];
+      res.setHeader('Content-Type', 'application/json');
+      
+      if (rows.some(({ replay_key: replayKey }) => used.has(replayKey))) {
+        res.statusCode = 409;
+        return res.end(JSON.stringify({ code: '23505', message: 'duplicate key value violates unique constraint' }));
+      }
+      
+      rows.forEach(({ replay_key: replayKey }) => used.add(replayKey));
+      res.statusCode = 201;
+      res.end();
+    });
+  });
+  
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('verifyWebhookRequest', () => {
+  // Requests are accepted once per timestamp and body, so each test signs its own body
+  let requests = 0;
+  const createPayload = () => JSON.stringify({ entityType: 'character', entityId: String(++requests) });
+  let server;
+  
+  before(async () => {
+    server = await startSignatureStore();
+    process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-key';
+    process.env.WEBHOOK_SECRETS = 'current:new-secret,previous:old-secret';
+    delete process.env.WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES;
+  });
+  
+  after(() => server.close());
+  
+  it('accepts a signature from any active key and reports which one', async () => {
+    const payload = createPayload();
+    const result = await verifyWebhookRequest(payload, generateTimestampedSignature(payload, 'old-secret'));
+    
+    assert.deepEqual(result, { valid: true, keyId: 'previous', scheme: 'v1' });
+  });
+  
+  it('rejects a signature that was already used', async () => {
+    const payload = createPayload();
+    const header = generateTimestampedSignature(payload, 'new-secret', { keyId: 'current' });
+    
+    assert.equal((await verifyWebhookRequest(payload, header)).valid, true);
+    assert.deepEqual(await verifyWebhookRequest(payload, header), {
+      valid: false,
+      error: 'Webhook signature already used'
+    });
+  });
+  
+  it('rejects a replay that keeps only another of the signatures sent while rotating', async () => {
+    const payload = createPayload();
+    const timestamp = Math.floor(Date.now() / 1000);
+    const [current, previous] = ['new-secret', 'old-secret'].map(secret =>
+      parseSignatureHeader(generateTimestampedSignature(payload, secret, { timestamp })).signatures[0]
+    );
+    
+    assert.equal((await verifyWebhookRequest(payload, `t=${timestamp},v1=${current},v1=${previous}`)).keyId, 'current');
+    assert.deepEqual(await verifyWebhookRequest(payload, `t=${timestamp},v1=${previous}`), {
+      valid: false,
+      error: 'Webhook signature already used'
+    });
+  });
+  
+  it('rejects timestamps outside the tolerance window', async () => {
+    const payload = createPayload();
+    const timestamp = Math.floor(Date.now() / 1000) - 3600;
+    const result = await verifyWebhookRequest(payload, generateTimestampedSignature(payload, 'new-secret', { timestamp }));
+    
+    assert.equal(result.valid, false);
+    assert.match(result.error, /outside tolerance window/);
+  });
+  
+  it('rejects a tampered payload, an unknown key ID and an unknown secret', async () => {
+    const payload = createPayload();
+    const header = generateTimestampedSignature(payload, 'new-secret');
+    
+    assert.equal((await verifyWebhookRequest(`${payload} `, header)).error, 'Invalid webhook signature');
+    assert.equal(
+      (await verifyWebhookRequest(payload, generateTimestampedSignature(payload, 'new-secret', { keyId: 'retired' }))).error,
+      'Unknown webhook key ID: retired'
+    );
+    assert.equal(
+      (await verifyWebhookRequest(payload, generateTimestampedSignature(payload, 'other-secret'))).error,
+      'Invalid webhook signature'
+    );
+  });
+  
+  it('accepts legacy sha256= signatures only when enabled', async () => {
+    const payload = createPayload();
+    const header = generateWebhookSignature(payload, 'new-secret');
+    
+    assert.equal((await verifyWebhookRequest(payload, header)).valid, false);
+    
+    process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES = 'true';
+    try {
+      assert.deepEqual(await verifyWebhookRequest(payload, header), { valid: true, keyId: 'current', scheme: 'sha256' });
+    } finally {
+      delete process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES;
+    }
+  });
+});
+
+describe('parseSignatureHeader', () => {
+  it('parses the timestamp, key ID and every v1 signature', () => {
+    const signature = 'a'.repeat(64);
+    
+    assert.deepEqual(parseSignatureHeader(`t=1700000000,kid=current,v1=${signature},v1=${'B'.repeat(64)}`), {
+      timestamp: 1700000000,
+      keyId: 'current',
+      signatures: [signature, 'b'.repeat(64)]
+    });
+  });
+  
+  it('returns null without a timestamp or a well-formed signature', () => {
+    assert.equal(parseSignatureHeader(`v1=${'a'.repeat(64)}`), null);
+    assert.equal(parseSignatureHeader('t=1700000000,v1=abc'), null);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ERROR_CODES,
+  ServiceError,
+  EntityNotFoundError,
+  DatabaseError,
+  toServiceError,
+  formatErrorForStorage
+} from '../lib/errors.js';
+import { DownloadError } from '../lib/downloader.js';
+import { createErrorResponse } from '../lib/auth.js';
+
+describe('ServiceError', () => {
+  it('takes its status and retryable flag from the code', () => {
+    const error = new ServiceError('SOURCE_TOO_LARGE', 'Image exceeds 20971520 bytes');
+    
+    assert.equal(error.code, 'SOURCE_TOO_LARGE');
+    assert.equal(error.statusCode, 413);
+    assert.equal(error.retryable, false);
+    assert.equal(error.upstreamStatus, null);
+  });
+  
+  it('falls back to INTERNAL_ERROR for unknown codes', () => {
+    const error = new ServiceError('NOT_A_CODE', 'Something broke');
+    
+    assert.equal(error.code, 'INTERNAL_ERROR');
+    assert.equal(error.statusCode, 500);
+  });
+  
+  it('gives subclasses their fixed codes', () => {
+    assert.equal(new EntityNotFoundError('scene', '7').message, 'Scene not found: 7');
+    assert.equal(new EntityNotFoundError('scene', '7').code, 'ENTITY_NOT_FOUND');
+    assert.equal(new DatabaseError('Query failed').retryable, true);
+    assert.equal(new DownloadError('TOO_LARGE', 'Image exceeds 10 bytes').code, 'SOURCE_TOO_LARGE');
+  });
+  
+  it('maps every code to an HTTP error status', () => {
+    for (const [code, { statusCode, retryable }] of Object.entries(ERROR_CODES)) {
+      assert.ok(statusCode >= 400 && statusCode < 600, code);
+      assert.equal(typeof retryable, 'boolean', code);
+    }
+  });
+});
+
+describe('toServiceError', () => {
+  it('returns ServiceErrors unchanged', () => {
+    const error = new DatabaseError('Query failed');
+    
+    assert.equal(toServiceError(error), error);
+  });
+  
+  it('wraps other errors with the given code and keeps the cause', () => {
+    const cause = new Error('sharp: Input buffer contains unsupported image format');
+    const error = toServiceError(cause, 'INVALID_IMAGE');
+    
+    assert.ok(error instanceof ServiceError);
+    assert.equal(error.code, 'INVALID_IMAGE');
+    assert.equal(error.message, cause.message);
+    assert.equal(error.cause, cause);
+    assert.equal(toServiceError('plain string').code, 'INTERNAL_ERROR');
+  });
+  
+  it('formats the code and message for the error column', () => {
+    assert.equal(formatErrorForStorage(new Error('boom')), 'INTERNAL_ERROR: boom');
+  });
+});
+
+describe('createErrorResponse', () => {
+  it('includes the code and retryable flag of a typed error', () => {
+    const response = createErrorResponse('Processing failed: Job stopped', 504, new ServiceError('JOB_TIMED_OUT', 'Job stopped'));
+    
+    assert.equal(response.success, false);
+    assert.equal(response.code, 'JOB_TIMED_OUT');
+    assert.equal(response.retryable, true);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashRequest, matchesRequest, isValidIdempotencyKey } from '../lib/idempotency.js';
+
+const request = {
+  entityType: 'character',
+  entityId: '42',
+  imageUrl: 'https://cdn.example.com/42.png',
+  callbackUrl: 'https://hooks.example.com/done',
+  options: { aspectRatios: ['1:1', '16:9'], formats: ['webp'], size: 1024 }
+};
+
+describe('hashRequest', () => {
+  it('ignores option order and options that do not change the output', () => {
+    const reordered = {
+      ...request,
+      options: { size: 1024, async: true, timeout: 5000, formats: ['webp'], aspectRatios: ['1:1', '16:9'] }
+    };
+    
+    assert.match(hashRequest(request), /^sha256:[0-9a-f]{64}$/);
+    assert.equal(hashRequest(reordered), hashRequest(request));
+  });
+  
+  it('changes with the entity, source, callback or render options', () => {
+    const variants = [
+      { entityId: '43' },
+      { entityType: 'scene' },
+      { imageUrl: 'https://cdn.example.com/other.png' },
+      { callbackUrl: null },
+      { options: { ...request.options, size: 2048 } },
+      { options: { ...request.options, aspectRatios: ['16:9', '1:1'] } }
+    ];
+    
+    for (const variant of variants) {
+      assert.notEqual(hashRequest({ ...request, ...variant }), hashRequest(request), JSON.stringify(variant));
+    }
+  });
+  
+  it('hashes uploaded bytes instead of the URL', () => {
+    const upload = { ...request, imageUrl: null, imageBuffer: Buffer.from('first image') };
+    
+    assert.equal(hashRequest(upload), hashRequest({ ...upload, imageBuffer: Buffer.from('first image') }));
+    assert.notEqual(hashRequest(upload), hashRequest({ ...upload, imageBuffer: Buffer.from('other image') }));
+  });
+});
+
+describe('matchesRequest', () => {
+  it('matches records of the same request and records without a hash', () => {
+    const requestHash = hashRequest(request);
+    
+    assert.equal(matchesRequest({ request_hash: requestHash }, requestHash), true);
+    assert.equal(matchesRequest({ request_hash: null }, requestHash), true);
+    assert.equal(matchesRequest({ request_hash: hashRequest({ ...request, entityId: '43' }) }, requestHash), false);
+  });
+});
+
+describe('isValidIdempotencyKey', () => {
+  it('accepts printable ASCII keys up to the length limit', () => {
+    assert.equal(isValidIdempotencyKey('order-42:retry_1'), true);
+    assert.equal(isValidIdempotencyKey(''), false);
+    assert.equal(isValidIdempotencyKey('has space'), false);
+    assert.equal(isValidIdempotencyKey('x'.repeat(1000)), false);
+    assert.equal(isValidIdempotencyKey(42), false);
+  });
+});
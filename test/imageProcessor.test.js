@@ -0,0 +1,477 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import {
+  resolveRenderTargets,
+  createPaddedImage,
+  createCroppedImage,
+  computeCropWindow,
+  computePadPlacement,
+  createOutpaintMask,
+  processAllAspectRatios,
+  computeRenditionHash,
+  optimizeImage,
+  OUTPUT_FORMATS,
+  DEFAULT_ASPECT_RATIOS,
+  DEFAULT_SIZE_LADDER
+} from '../lib/imageProcessor.js';
+
+/**
+ * Create a PNG from a function giving the RGBA colour of each pixel
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {Function} colourAt - (x, y) => [r, g, b, a]
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+function createImage(width, height, colourAt) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(colourAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+/**
+ * Decode an image into RGBA pixels
+ * @param {Buffer} imageBuffer - Encoded image
+ * @returns {Promise<Object>} { width, height, pixelAt } where pixelAt(x, y) gives [r, g, b, a]
+ */
+async function readPixels(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return {
+    width: info.width,
+    height: info.height,
+    pixelAt: (x, y) => [...data.subarray((y * info.width + x) * 4, (y * info.width + x) * 4 + 4)]
+  };
+}
+
+/**
+ * Assert that a pixel's RGB channels are within a tolerance of a colour
+ * @param {Array<number>} pixel - [r, g, b, a] from readPixels
+ * @param {Array<number>} expected - [r, g, b]
+ * @param {number} tolerance - Largest allowed difference per channel
+ */
+function assertColour(pixel, expected, tolerance = 2) {
+  const distance = Math.max(...expected.map((value, channel) => Math.abs(pixel[channel] - value)));
+  assert.ok(distance <= tolerance, `expected ~[${expected}], got [${pixel.slice(0, 3)}]`);
+}
+
+describe('resolveRenderTargets', () => {
+  it('resolves the default ratios as 1024px padded JPEGs', () => {
+    const result = resolveRenderTargets({});
+    
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.targets.map(target => target.ratio), DEFAULT_ASPECT_RATIOS);
+    assert.deepEqual(
+      result.targets.map(({ key, width, height }) => ({ key, width, height })),
+      [
+        { key: '1x1', width: 1024, height: 1024 },
+        { key: '16x9', width: 1024, height: 576 },
+        { key: '9x16', width: 576, height: 1024 }
+      ]
+    );
+    for (const target of result.targets) {
+      assert.deepEqual(target.formats, ['jpeg']);
+      assert.equal(target.mode, 'pad');
+      assert.deepEqual(target.fill, { mode: 'black' });
+    }
+  });
+  
+  it('applies per-ratio overrides over the request-wide options', () => {
+    const result = resolveRenderTargets({
+      size: 2048,
+      formats: ['webp'],
+      aspectRatios: ['1:1', { ratio: '4:5', size: 512, mode: 'crop', formats: ['avif'] }]
+    });
+    
+    assert.equal(result.valid, true);
+    const [square, portrait] = result.targets;
+    assert.equal(square.size, 2048);
+    assert.deepEqual(square.formats, ['webp']);
+    assert.equal(portrait.size, 512);
+    assert.equal(portrait.mode, 'crop');
+    assert.deepEqual(portrait.formats, ['avif']);
+    assert.deepEqual({ width: portrait.width, height: portrait.height }, { width: 410, height: 512 });
+  });
+  
+  it('defaults to PNG when alpha is preserved', () => {
+    const result = resolveRenderTargets({ preserveAlpha: true, aspectRatios: ['1:1'] });
+    
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.targets[0].formats, ['png']);
+  });
+  
+  it('rejects invalid options with a message naming the problem', () => {
+    const cases = [
+      [{ aspectRatios: [] }, /aspectRatios must be a non-empty array/],
+      [{ aspectRatios: ['7:3'] }, /Unsupported aspect ratio: 7:3/],
+      [{ aspectRatios: ['1:1', '1:1'] }, /Duplicate aspect ratio: 1:1/],
+      [{ aspectRatios: [42] }, /Invalid aspect ratio entry: 42/],
+      [{ size: 10 }, /Invalid size 10/],
+      [{ size: 512.5 }, /Invalid size 512.5/],
+      [{ aspectRatios: [{ ratio: '1:1', size: 9000 }] }, /^1:1: Invalid size 9000/],
+      [{ mode: 'stretch' }, /Invalid mode "stretch"/],
+      [{ strategy: 'random' }, /Invalid crop strategy "random"/],
+      [{ gravity: 'middle' }, /Invalid gravity "middle"/],
+      [{ focalPoint: { x: 1.5, y: 0.5 } }, /Invalid focalPoint/],
+      [{ masks: 'yes' }, /masks must be a boolean/],
+      [{ preserveAlpha: 1 }, /preserveAlpha must be a boolean/],
+      [{ alphaCleanup: { threshold: 100 } }, /alphaCleanup must be a boolean or \{ threshold \}/]
+    ];
+    
+    for (const [options, message] of cases) {
+      const result = resolveRenderTargets(options);
+      assert.equal(result.valid, false, JSON.stringify(options));
+      assert.match(result.error, message);
+    }
+  });
+});
+
+describe('padding fill modes', () => {
+  // A 20x20 square, green on the left half and red on the right, padded into 60x20
+  const GREEN = [0, 255, 0];
+  const RED = [255, 0, 0];
+  const createHalvesImage = () => createImage(20, 20, x => (x < 10 ? [...GREEN, 255] : [...RED, 255]));
+  const pad = async (source, fill) => readPixels(await createPaddedImage(source, 60, 20, { fill, format: 'png' }));
+  
+  it('centres the image on a black canvas by default', async () => {
+    const { width, height, pixelAt } = await readPixels(await createPaddedImage(await createHalvesImage(), 60, 20, { format: 'png' }));
+    
+    assert.deepEqual([width, height], [60, 20]);
+    assertColour(pixelAt(5, 10), [0, 0, 0]);
+    assertColour(pixelAt(25, 10), GREEN);
+    assertColour(pixelAt(35, 10), RED);
+    assertColour(pixelAt(55, 10), [0, 0, 0]);
+  });
+  
+  it('fills the padding with a solid colour', async () => {
+    const { pixelAt } = await pad(await createHalvesImage(), '#0000ff');
+    
+    assertColour(pixelAt(5, 10), [0, 0, 255]);
+    assertColour(pixelAt(55, 10), [0, 0, 255]);
+  });
+  
+  it('fills the padding with the dominant colour of the image', async () => {
+    const source = await createImage(20, 20, () => [200, 40, 40, 255]);
+    const { pixelAt } = await pad(source, 'dominant');
+    
+    assertColour(pixelAt(5, 10), [200, 40, 40], 8);
+  });
+  
+  it('extends the nearest edge pixels into the padding', async () => {
+    const { pixelAt } = await pad(await createHalvesImage(), 'edge');
+    
+    assertColour(pixelAt(2, 10), GREEN);
+    assertColour(pixelAt(57, 10), RED);
+  });
+  
+  it('mirrors the image into the padding', async () => {
+    const { pixelAt } = await pad(await createHalvesImage(), 'mirror');
+    
+    assertColour(pixelAt(18, 10), GREEN);
+    assertColour(pixelAt(5, 10), RED);
+    assertColour(pixelAt(42, 10), RED);
+    assertColour(pixelAt(55, 10), GREEN);
+  });
+  
+  it('fills the padding with a blurred copy of the image', async () => {
+    const { pixelAt } = await pad(await createHalvesImage(), 'blur');
+    
+    // Each side takes on the colour of its half, softened by the blur
+    const [leftRed, leftGreen] = pixelAt(2, 10);
+    const [rightRed, rightGreen] = pixelAt(57, 10);
+    assert.ok(leftGreen > leftRed && leftRed > 0, `left padding [${pixelAt(2, 10)}]`);
+    assert.ok(rightRed > rightGreen && rightGreen > 0, `right padding [${pixelAt(57, 10)}]`);
+  });
+});
+
+describe('crop mode', () => {
+  it('computes the largest window of the target ratio, centred by default', () => {
+    assert.deepEqual(computeCropWindow(200, 100, 100, 100), { left: 50, top: 0, width: 100, height: 100 });
+    assert.deepEqual(computeCropWindow(100, 200, 100, 50), { left: 0, top: 75, width: 100, height: 50 });
+  });
+  
+  it('centres the window on a focal point as far as the source allows', () => {
+    assert.deepEqual(computeCropWindow(200, 100, 100, 100, { focalPoint: { x: 0.6, y: 0.5 } }), { left: 70, top: 0, width: 100, height: 100 });
+    assert.equal(computeCropWindow(200, 100, 100, 100, { focalPoint: { x: 0.1, y: 0.5 } }).left, 0);
+    assert.equal(computeCropWindow(200, 100, 100, 100, { focalPoint: { x: 0.9, y: 0.5 } }).left, 100);
+    assert.equal(computeCropWindow(100, 200, 100, 50, { focalPoint: { x: 0.5, y: 0.2 } }).top, 15);
+  });
+  
+  it('crops around the focal point and reports the window used', async () => {
+    // Green on the left half, red on the right
+    const source = await createImage(40, 20, x => (x < 20 ? [0, 255, 0, 255] : [255, 0, 0, 255]));
+    
+    const right = await createCroppedImage(source, 20, 20, { focalPoint: { x: 0.9, y: 0.5 }, format: 'png' });
+    const left = await createCroppedImage(source, 20, 20, { focalPoint: { x: 0.1, y: 0.5 }, format: 'png' });
+    
+    assert.deepEqual(right.crop, { left: 20, top: 0, width: 20, height: 20 });
+    assert.deepEqual(left.crop, { left: 0, top: 0, width: 20, height: 20 });
+    const rightPixels = await readPixels(right.buffer);
+    assert.deepEqual([rightPixels.width, rightPixels.height], [20, 20]);
+    assertColour(rightPixels.pixelAt(10, 10), [255, 0, 0]);
+    assertColour((await readPixels(left.buffer)).pixelAt(10, 10), [0, 255, 0]);
+  });
+  
+  it('lets the saliency strategy pick a window inside the source without a focal point', async () => {
+    // Flat on the left, detailed stripes on the right
+    const source = await createImage(80, 20, (x, y) => (x < 40 ? [128, 128, 128, 255] : [(x * 37 + y * 91) % 256, (x * 11) % 256, (y * 53) % 256, 255]));
+    
+    const { buffer, crop } = await createCroppedImage(source, 20, 20, { strategy: 'entropy', format: 'png' });
+    
+    assert.deepEqual({ width: crop.width, height: crop.height }, { width: 20, height: 20 });
+    assert.ok(crop.left >= 40 && crop.left <= 60, `crop at ${crop.left}`);
+    const { width, height } = await readPixels(buffer);
+    assert.deepEqual([width, height], [20, 20]);
+  });
+});
+
+describe('gravity and focal point anchoring', () => {
+  it('anchors padded content by gravity', () => {
+    // A 100x100 source fits 100x100 into 200x100, leaving 100px of free width
+    const placeAt = gravity => computePadPlacement(100, 100, 200, 100, { gravity });
+    
+    assert.deepEqual(placeAt(undefined), { left: 50, top: 0, width: 100, height: 100 });
+    assert.equal(placeAt('west').left, 0);
+    assert.equal(placeAt('east').left, 100);
+    assert.equal(placeAt('northeast').left, 100);
+    assert.deepEqual(computePadPlacement(100, 100, 100, 200, { gravity: 'south' }), { left: 0, top: 100, width: 100, height: 100 });
+  });
+  
+  it('moves a padded focal point towards the canvas centre within the free space', () => {
+    assert.equal(computePadPlacement(100, 100, 200, 100, { focalPoint: { x: 0.8, y: 0.5 } }).left, 20);
+    assert.equal(computePadPlacement(100, 100, 200, 100, { focalPoint: { x: 0.1, y: 0.5 } }).left, 90);
+    assert.equal(computePadPlacement(100, 100, 400, 100, { focalPoint: { x: 0.8, y: 0.5 } }).left, 120);
+    assert.equal(computePadPlacement(100, 100, 200, 100, { gravity: 'west', focalPoint: { x: 0.5, y: 0.5 } }).left, 50);
+  });
+  
+  it('anchors the crop window by gravity', () => {
+    assert.equal(computeCropWindow(200, 100, 100, 100, { gravity: 'west' }).left, 0);
+    assert.equal(computeCropWindow(200, 100, 100, 100, { gravity: 'east' }).left, 100);
+    assert.equal(computeCropWindow(100, 200, 100, 100, { gravity: 'north' }).top, 0);
+    assert.equal(computeCropWindow(100, 200, 100, 100, { gravity: 'southwest' }).top, 100);
+  });
+  
+  it('renders padded and cropped images at their anchor', async () => {
+    // Green on the left half, red on the right
+    const source = await createImage(40, 20, x => (x < 20 ? [0, 255, 0, 255] : [255, 0, 0, 255]));
+    
+    const padded = await readPixels(await createPaddedImage(source, 40, 40, { gravity: 'north', format: 'png' }));
+    assertColour(padded.pixelAt(10, 10), [0, 255, 0]);
+    assertColour(padded.pixelAt(10, 30), [0, 0, 0]);
+    
+    const { buffer, crop } = await createCroppedImage(source, 20, 20, { gravity: 'east', format: 'png' });
+    assert.deepEqual(crop, { left: 20, top: 0, width: 20, height: 20 });
+    assertColour((await readPixels(buffer)).pixelAt(10, 10), [255, 0, 0]);
+  });
+});
+
+describe('outpainting masks', () => {
+  it('marks the padded region white and the content black', async () => {
+    const mask = await createOutpaintMask(60, 20, { left: 20, top: 0, width: 20, height: 20 });
+    
+    const metadata = await sharp(mask).metadata();
+    assert.equal(metadata.format, 'png');
+    assert.deepEqual([metadata.width, metadata.height, metadata.channels], [60, 20, 1]);
+    const { pixelAt } = await readPixels(mask);
+    assertColour(pixelAt(10, 10), [255, 255, 255], 0);
+    assertColour(pixelAt(19, 10), [255, 255, 255], 0);
+    assertColour(pixelAt(20, 10), [0, 0, 0], 0);
+    assertColour(pixelAt(39, 10), [0, 0, 0], 0);
+    assertColour(pixelAt(40, 10), [255, 255, 255], 0);
+  });
+  
+  it('comes with padded renditions at their size and content box, and not with cropped ones', async () => {
+    const source = await createImage(40, 40, () => [0, 128, 255, 255]);
+    
+    const { processedImages } = await processAllAspectRatios(source, 'characters/42', {
+      aspectRatios: ['16:9', { ratio: '9:16', mode: 'crop' }],
+      size: 64
+    });
+    
+    const { mask, placement, width, height } = processedImages['16x9'];
+    assert.deepEqual([width, height], [64, 36]);
+    assert.deepEqual(mask.contentBox, placement);
+    assert.deepEqual(placement, { left: 14, top: 0, width: 36, height: 36 });
+    assert.match(mask.filename, /^characters\/42\/aspect-ratios\/16x9-[0-9a-f]{32}-mask\.png$/);
+    const metadata = await sharp(mask.buffer).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [64, 36]);
+    assert.equal(processedImages['9x16'].mask, undefined);
+  });
+  
+  it('are skipped when masks is false', async () => {
+    const source = await createImage(40, 40, () => [0, 128, 255, 255]);
+    
+    const { processedImages } = await processAllAspectRatios(source, 'characters/42', { aspectRatios: ['16:9'], size: 64, masks: false });
+    
+    assert.equal(processedImages['16x9'].mask, undefined);
+  });
+});
+
+describe('output formats', () => {
+  // Sharp reports AVIF as HEIF with AV1 compression
+  const decodedFormat = async buffer => {
+    const { format, compression } = await sharp(buffer).metadata();
+    return format === 'heif' ? compression : format;
+  };
+  
+  it('encodes each output format', async () => {
+    const source = await createImage(32, 32, (x, y) => [x * 8, y * 8, 128, 255]);
+    
+    assert.equal(await decodedFormat(await optimizeImage(source, { format: 'jpeg' })), 'jpeg');
+    assert.equal(await decodedFormat(await optimizeImage(source, { format: 'webp' })), 'webp');
+    assert.equal(await decodedFormat(await optimizeImage(source, { format: 'avif' })), 'av1');
+    assert.equal(await decodedFormat(await optimizeImage(source, { format: 'png' })), 'png');
+  });
+  
+  it('renders every requested format with its file name and content type', async () => {
+    const source = await createImage(40, 40, () => [0, 128, 255, 255]);
+    
+    const { processedImages } = await processAllAspectRatios(source, 'characters/42', {
+      aspectRatios: ['16:9'],
+      size: 64,
+      formats: ['webp', 'avif', 'png'],
+      masks: false
+    });
+    
+    const rendition = processedImages['16x9'];
+    assert.deepEqual(Object.keys(rendition.formats), ['webp', 'avif', 'png']);
+    for (const [format, { buffer, filename, contentType, bytes, transparent }] of Object.entries(rendition.formats)) {
+      assert.equal(await decodedFormat(buffer), format === 'avif' ? 'av1' : format);
+      assert.ok(filename.endsWith(`.${OUTPUT_FORMATS[format].extension}`), filename);
+      assert.equal(contentType, OUTPUT_FORMATS[format].contentType);
+      assert.equal(bytes, buffer.length);
+      assert.equal(transparent, false);
+    }
+    
+    // Without JPEG the first requested format is the primary one
+    assert.equal(rendition.format, 'webp');
+    assert.equal(rendition.buffer, rendition.formats.webp.buffer);
+  });
+  
+  it('keeps JPEG as the primary format when it is requested', async () => {
+    const source = await createImage(40, 40, () => [0, 128, 255, 255]);
+    
+    const { processedImages } = await processAllAspectRatios(source, 'characters/42', {
+      aspectRatios: ['1:1'],
+      size: 64,
+      formats: ['webp', 'jpeg']
+    });
+    
+    assert.equal(processedImages['1x1'].format, 'jpeg');
+    assert.equal(processedImages['1x1'].contentType, 'image/jpeg');
+  });
+});
+
+describe('size ladder', () => {
+  it('resolves sizes: true to the default ladder and sorts explicit sizes', () => {
+    assert.deepEqual(resolveRenderTargets({ sizes: true }).targets[0].sizes, DEFAULT_SIZE_LADDER);
+    assert.deepEqual(resolveRenderTargets({ sizes: [512, 128, 512] }).targets[0].sizes, [128, 512]);
+    assert.match(resolveRenderTargets({ sizes: [32] }).error, /sizes: Invalid size 32/);
+  });
+  
+  it('renders each ladder size except the main size and sizes that would enlarge the source', async () => {
+    const source = await createImage(200, 200, () => [0, 128, 255, 255]);
+    
+    const { processedImages } = await processAllAspectRatios(source, 'characters/42', {
+      aspectRatios: ['16:9'],
+      size: 128,
+      sizes: [64, 128, 512],
+      formats: ['jpeg', 'webp']
+    });
+    
+    const { size, width, height, variants } = processedImages['16x9'];
+    assert.deepEqual([size, width, height], [128, 128, 72]);
+    assert.deepEqual(variants.map(variant => [variant.size, variant.width, variant.height]), [[64, 64, 36]]);
+    
+    const [variant] = variants;
+    assert.deepEqual(Object.keys(variant.formats), ['jpeg', 'webp']);
+    assert.match(variant.formats.webp.filename, /^characters\/42\/aspect-ratios\/16x9-[0-9a-f]{32}-64\.webp$/);
+    const metadata = await sharp(variant.formats.jpeg.buffer).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [64, 36]);
+  });
+});
+
+describe('content-addressed renditions', () => {
+  const SOURCE_HASH = 'a'.repeat(64);
+  const targetFor = options => resolveRenderTargets({ aspectRatios: ['16:9'], ...options }).targets[0];
+  
+  it('hashes the same source and options to the same key', () => {
+    const hash = computeRenditionHash(SOURCE_HASH, targetFor({}));
+    
+    assert.match(hash, /^[0-9a-f]{32}$/);
+    assert.equal(computeRenditionHash(SOURCE_HASH, targetFor({})), hash);
+    assert.equal(computeRenditionHash(SOURCE_HASH, targetFor({ fill: 'black' })), hash);
+  });
+  
+  it('changes with the source and every option that affects the output', () => {
+    const hash = computeRenditionHash(SOURCE_HASH, targetFor({}));
+    const variations = [
+      computeRenditionHash('b'.repeat(64), targetFor({})),
+      computeRenditionHash(SOURCE_HASH, targetFor({ size: 512 })),
+      computeRenditionHash(SOURCE_HASH, targetFor({ fill: 'blur' })),
+      computeRenditionHash(SOURCE_HASH, targetFor({ gravity: 'north' })),
+      computeRenditionHash(SOURCE_HASH, targetFor({ formats: ['webp'] })),
+      computeRenditionHash(SOURCE_HASH, targetFor({ quality: { jpeg: 60 } })),
+      computeRenditionHash(SOURCE_HASH, targetFor({ sizes: [256] })),
+      computeRenditionHash(SOURCE_HASH, targetFor({}), { masks: false }),
+      computeRenditionHash(SOURCE_HASH, targetFor({}), { preserveAlpha: true })
+    ];
+    
+    assert.equal(new Set([hash, ...variations]).size, variations.length + 1);
+  });
+  
+  it('ignores the fill of cropped targets', () => {
+    assert.equal(
+      computeRenditionHash(SOURCE_HASH, targetFor({ mode: 'crop', fill: 'blur' })),
+      computeRenditionHash(SOURCE_HASH, targetFor({ mode: 'crop' }))
+    );
+  });
+  
+  it('reuses a stored rendition instead of rendering it again', async () => {
+    const source = await createImage(40, 40, () => [0, 128, 255, 255]);
+    const options = { aspectRatios: ['16:9', '1:1'], size: 64 };
+    
+    const first = await processAllAspectRatios(source, 'characters/42', options);
+    const stored = { ratio: '16:9', formats: {}, variants: [] };
+    const lookups = [];
+    const second = await processAllAspectRatios(source, 'characters/42', options, {
+      findRendition: async recordFilename => {
+        lookups.push(recordFilename);
+        return recordFilename === first.processedImages['16x9'].recordFilename ? stored : null;
+      }
+    });
+    
+    assert.deepEqual(lookups, [first.processedImages['16x9'].recordFilename, first.processedImages['1x1'].recordFilename]);
+    assert.equal(second.processedImages['16x9'].reused, true);
+    assert.equal(second.processedImages['16x9'].contentHash, first.processedImages['16x9'].contentHash);
+    assert.equal(second.renderTimes['16x9'], undefined);
+    assert.equal(second.processedImages['1x1'].reused, false);
+    assert.equal(second.processedImages['1x1'].filename, first.processedImages['1x1'].filename);
+  });
+});
+
+describe('transparent renditions', () => {
+  it('resize semi-transparent edges without the colour of transparent pixels', async () => {
+    // Opaque green on the left, fully transparent red on the right
+    const source = await createImage(64, 64, x => (x < 32 ? [0, 255, 0, 255] : [255, 0, 0, 0]));
+    
+    const { width, height, pixelAt } = await readPixels(await createPaddedImage(source, 34, 16, { transparent: true, format: 'png' }));
+    
+    assert.deepEqual([width, height], [34, 16]);
+    let edgePixels = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const [red, , , alpha] = pixelAt(x, y);
+        if (alpha > 0 && alpha < 255) {
+          edgePixels++;
+        }
+        assert.ok(alpha === 0 || red <= 2, `red fringe of ${red} at ${x},${y}`);
+      }
+    }
+    assert.ok(edgePixels > 0);
+    assert.deepEqual(pixelAt(0, 8), [0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { buildRenditionManifest } from '../lib/pipeline.js';
+import { processAllAspectRatios } from '../lib/imageProcessor.js';
+
+describe('buildRenditionManifest', () => {
+  it('lists every size and format of each ratio, smallest first, with its URL', async () => {
+    const source = await sharp({ create: { width: 200, height: 200, channels: 3, background: { r: 0, g: 128, b: 255 } } }).png().toBuffer();
+    const processingResult = await processAllAspectRatios(source, 'characters/42', {
+      aspectRatios: ['16:9'],
+      size: 128,
+      sizes: [64],
+      formats: ['jpeg', 'webp'],
+      masks: false
+    });
+    
+    // Stand-in for uploadRenditions, publishing each file under its storage path
+    const urlFor = formatData => `https://cdn.example.com/${formatData.filename}`;
+    const rendition = processingResult.processedImages['16x9'];
+    const uploaded = {
+      formatUrls: { '16x9': Object.fromEntries(Object.entries(rendition.formats).map(([format, data]) => [format, urlFor(data)])) },
+      variantUrls: {
+        '16x9': Object.fromEntries(rendition.variants.map(variant => [
+          variant.size,
+          Object.fromEntries(Object.entries(variant.formats).map(([format, data]) => [format, urlFor(data)]))
+        ]))
+      }
+    };
+    
+    const manifest = buildRenditionManifest(
+      { entityType: 'character', entityId: '42', characterId: '42' },
+      processingResult,
+      uploaded,
+      { width: 200, height: 200, format: 'png' }
+    );
+    
+    assert.equal(manifest.entityId, '42');
+    assert.equal(manifest.originalAspectRatio, '1:1');
+    assert.deepEqual(manifest.source, { width: 200, height: 200, format: 'png' });
+    assert.deepEqual(
+      manifest.renditions.map(({ size, width, height, format, primary }) => [size, width, height, format, primary]),
+      [
+        [64, 64, 36, 'jpeg', false],
+        [64, 64, 36, 'webp', false],
+        [128, 128, 72, 'jpeg', true],
+        [128, 128, 72, 'webp', false]
+      ]
+    );
+    for (const entry of manifest.renditions) {
+      assert.equal(entry.key, '16x9');
+      assert.equal(entry.contentHash, rendition.contentHash);
+      assert.ok(entry.url.startsWith(`https://cdn.example.com/characters/42/aspect-ratios/16x9-${rendition.contentHash}`), entry.url);
+      assert.ok(entry.bytes > 0);
+    }
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import {
+  signRenderParams,
+  createSignedRenderPath,
+  verifyRenderSignature,
+  resolveRenderRequest,
+  computeRenderEtag,
+  renderRendition
+} from '../lib/render.js';
+
+const SOURCE_PATH = 'characters/42/sources/source-abc.png';
+
+/**
+ * Parse the query string of a signed render path
+ * @param {string} renderPath - Path from createSignedRenderPath
+ * @returns {Object} Query parameters
+ */
+function parseQuery(renderPath) {
+  return Object.fromEntries(new URL(renderPath, 'http://localhost').searchParams);
+}
+
+describe('render signatures', () => {
+  before(() => {
+    process.env.RENDER_SIGNING_SECRET = 'render-secret';
+  });
+  
+  after(() => {
+    delete process.env.RENDER_SIGNING_SECRET;
+  });
+  
+  it('verifies the parameters of a signed path in any order', () => {
+    const query = parseQuery(createSignedRenderPath({ src: SOURCE_PATH, ratio: '16:9', w: 640, format: 'webp' }));
+    
+    assert.equal(verifyRenderSignature(query), true);
+    const reordered = Object.fromEntries(Object.entries(query).reverse());
+    assert.equal(verifyRenderSignature(reordered), true);
+  });
+  
+  it('rejects tampered, added and malformed parameters', () => {
+    const query = parseQuery(createSignedRenderPath({ src: SOURCE_PATH, ratio: '16:9', w: 640 }));
+    
+    assert.equal(verifyRenderSignature({ ...query, w: '4096' }), false);
+    assert.equal(verifyRenderSignature({ ...query, src: 'characters/43/sources/source-abc.png' }), false);
+    assert.equal(verifyRenderSignature({ ...query, mode: 'crop' }), false);
+    assert.equal(verifyRenderSignature({ ...query, sig: 'not-a-signature' }), false);
+    assert.equal(verifyRenderSignature({ ...query, sig: undefined }), false);
+  });
+  
+  it('rejects signatures made with another secret', () => {
+    const params = { src: SOURCE_PATH, ratio: '1:1', w: '256' };
+    
+    assert.equal(verifyRenderSignature({ ...params, sig: signRenderParams(params, 'other-secret') }), false);
+    assert.equal(verifyRenderSignature({ ...params, sig: signRenderParams(params) }), true);
+  });
+  
+  it('rejects every signature while RENDER_SIGNING_SECRET is unset', () => {
+    const query = parseQuery(createSignedRenderPath({ src: SOURCE_PATH, ratio: '1:1', w: 256 }));
+    delete process.env.RENDER_SIGNING_SECRET;
+    
+    try {
+      assert.equal(verifyRenderSignature(query), false);
+      assert.throws(() => signRenderParams({ src: SOURCE_PATH }), /RENDER_SIGNING_SECRET is not configured/);
+    } finally {
+      process.env.RENDER_SIGNING_SECRET = 'render-secret';
+    }
+  });
+});
+
+describe('resolveRenderRequest', () => {
+  it('resolves dimensions, defaults and quality', () => {
+    const result = resolveRenderRequest({ src: SOURCE_PATH, ratio: '16x9', w: '640', format: 'webp', q: '70' });
+    
+    assert.deepEqual(result, {
+      valid: true,
+      request: {
+        src: SOURCE_PATH,
+        isUrl: false,
+        ratio: '16:9',
+        width: 640,
+        height: 360,
+        mode: 'pad',
+        fill: { mode: 'black' },
+        format: 'webp',
+        quality: 70
+      }
+    });
+  });
+  
+  it('rejects invalid parameters with a message naming the problem', () => {
+    const cases = [
+      [{ ratio: '16:9', w: '640' }, /Missing src/],
+      [{ src: '/etc/passwd', ratio: '16:9', w: '640' }, /Invalid storage path/],
+      [{ src: 'characters/42/../../secret.png', ratio: '16:9', w: '640' }, /Invalid storage path/],
+      [{ src: 'characters/42/aspect-ratios/16x9.jpg', ratio: '16:9', w: '640' }, /not an uploaded source/],
+      [{ src: 'https://attacker.example.com/a.png', ratio: '16:9', w: '640' }, /Source host is not allowed/],
+      [{ src: SOURCE_PATH, ratio: '7:3', w: '640' }, /Unsupported aspect ratio: 7:3/],
+      [{ src: SOURCE_PATH, ratio: '16:9', w: '8' }, /Invalid width/],
+      [{ src: SOURCE_PATH, ratio: '9:16', w: '4000' }, /height would exceed/],
+      [{ src: SOURCE_PATH, ratio: '16:9', w: '640', mode: 'stretch' }, /Invalid mode/],
+      [{ src: SOURCE_PATH, ratio: '16:9', w: '640', format: 'gif' }, /Unsupported format/],
+      [{ src: SOURCE_PATH, ratio: '16:9', w: '640', q: '0' }, /Invalid quality/]
+    ];
+    
+    for (const [query, message] of cases) {
+      const result = resolveRenderRequest(query);
+      assert.equal(result.valid, false, JSON.stringify(query));
+      assert.match(result.error, message);
+    }
+  });
+});
+
+describe('computeRenderEtag', () => {
+  it('is a strong ETag that changes with the parameters and the source bytes', async () => {
+    const { request } = resolveRenderRequest({ src: SOURCE_PATH, ratio: '1:1', w: '256' });
+    const source = Buffer.from('source bytes');
+    
+    const etag = computeRenderEtag(request, source);
+    
+    assert.match(etag, /^"[0-9a-f]{32}"$/);
+    assert.equal(computeRenderEtag({ ...request }, Buffer.from('source bytes')), etag);
+    assert.notEqual(computeRenderEtag({ ...request, width: 512, height: 512 }, source), etag);
+    assert.notEqual(computeRenderEtag(request, Buffer.from('other bytes')), etag);
+  });
+});
+
+describe('renderRendition', () => {
+  it('renders the requested size and format', async () => {
+    const source = await sharp({ create: { width: 100, height: 100, channels: 3, background: { r: 255, g: 0, b: 0 } } }).png().toBuffer();
+    
+    for (const mode of ['pad', 'crop']) {
+      const { request } = resolveRenderRequest({ src: SOURCE_PATH, ratio: '16:9', w: '160', mode, format: 'webp' });
+      const metadata = await sharp(await renderRendition(request, source)).metadata();
+      
+      assert.deepEqual([metadata.format, metadata.width, metadata.height], ['webp', 160, 90], mode);
+    }
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, withRetry, createRetryTracker } from '../lib/supabase.js';
+import { DownloadError } from '../lib/downloader.js';
+import { ServiceError } from '../lib/errors.js';
+
+/**
+ * Create an error carrying an HTTP status, as storage and fetch errors do
+ * @param {number} status - HTTP status
+ * @param {Object} fields - Extra fields
+ * @returns {Error} Error
+ */
+function httpError(status, fields = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, ...fields });
+}
+
+describe('classifyError', () => {
+  it('retries throttling, timeouts and server errors', () => {
+    for (const status of [408, 429, 500, 503]) {
+      assert.equal(classifyError(httpError(status)).retryable, true, String(status));
+    }
+  });
+  
+  it('does not retry other client errors', () => {
+    for (const status of [400, 401, 404, 409, 413]) {
+      assert.equal(classifyError(httpError(status)).retryable, false, String(status));
+    }
+  });
+  
+  it('retries network failures and download timeouts', () => {
+    assert.equal(classifyError(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' })).retryable, true);
+    assert.equal(classifyError(new TypeError('fetch failed')).retryable, true);
+    assert.equal(classifyError(new DownloadError('TIMEOUT', 'No complete response within 30000ms')).retryable, true);
+    assert.equal(classifyError(new DownloadError('BLOCKED_ADDRESS', 'Blocked address: 10.0.0.1')).retryable, false);
+  });
+  
+  it('uses the upstream status of typed errors rather than the status they are reported with', () => {
+    const upstreamFailure = Object.assign(new ServiceError('SOURCE_UNREACHABLE', 'HTTP 502'), { upstreamStatus: 502 });
+    
+    assert.equal(classifyError(upstreamFailure).retryable, true);
+    assert.equal(classifyError(new ServiceError('SOURCE_UNREACHABLE', 'No upstream status')).retryable, false);
+  });
+  
+  it('reads Retry-After as seconds', () => {
+    assert.deepEqual(classifyError(httpError(429, { retryAfter: '2' })), { retryable: true, retryAfter: 2000 });
+  });
+});
+
+describe('withRetry', () => {
+  before(() => {
+    process.env.RETRY_BASE_DELAY_MS = '0';
+  });
+  
+  after(() => {
+    delete process.env.RETRY_BASE_DELAY_MS;
+  });
+  
+  it('retries transient failures until an attempt succeeds', async () => {
+    const tracker = createRetryTracker();
+    let calls = 0;
+    
+    const result = await withRetry('upload', async () => {
+      calls++;
+      if (calls < 3) {
+        throw httpError(503);
+      }
+      return 'stored';
+    }, tracker);
+    
+    assert.equal(result, 'stored');
+    assert.deepEqual(tracker.operations.upload, { calls: 1, attempts: 3, retries: 2 });
+    assert.equal(tracker.budget, 8);
+  });
+  
+  it('gives up at once on permanent failures and records the attempts', async () => {
+    let calls = 0;
+    
+    await assert.rejects(withRetry('download', async () => {
+      calls++;
+      throw httpError(404);
+    }), { status: 404, attempts: 1 });
+    assert.equal(calls, 1);
+  });
+  
+  it('stops retrying once the shared budget is spent', async () => {
+    process.env.RETRY_BUDGET = '1';
+    const tracker = createRetryTracker();
+    delete process.env.RETRY_BUDGET;
+    
+    await assert.rejects(withRetry('query', async () => {
+      throw httpError(500);
+    }, tracker), { attempts: 2 });
+    assert.equal(tracker.budget, 0);
+  });
+});
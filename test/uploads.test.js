@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import {
+  parseMultipart,
+  decodeImageData,
+  parseProcessingPayload,
+  readRequestBody
+} from '../lib/uploads.js';
+
+// PNG signature followed by bytes that look like part and header separators
+const PNG_BYTES = Buffer.concat([
+  Buffer.from('89504e470d0a1a0a', 'hex'),
+  Buffer.from('\r\n\r\n--not-the-boundary\r\n')
+]);
+
+/**
+ * Build a multipart/form-data body
+ * @param {string} boundary - Boundary without the leading dashes
+ * @param {Array<Object>} parts - Parts as { headers, data }
+ * @returns {Buffer} Body
+ */
+function buildMultipart(boundary, parts) {
+  return Buffer.concat([
+    ...parts.flatMap(({ headers, data }) => [
+      Buffer.from(`--${boundary}\r\n${headers.join('\r\n')}\r\n\r\n`),
+      Buffer.from(data),
+      Buffer.from('\r\n')
+    ]),
+    Buffer.from(`--${boundary}--\r\n`)
+  ]);
+}
+
+describe('parseMultipart', () => {
+  it('separates fields from files and keeps file bytes intact', () => {
+    const body = buildMultipart('form-boundary', [
+      { headers: ['Content-Disposition: form-data; name="payload"'], data: '{"characterId":"42"}' },
+      { headers: ['Content-Disposition: form-data; name="image"; filename="face.png"', 'Content-Type: image/png'], data: PNG_BYTES }
+    ]);
+    
+    const { fields, files } = parseMultipart(body, 'multipart/form-data; boundary=form-boundary');
+    
+    assert.deepEqual(fields, { payload: '{"characterId":"42"}' });
+    assert.equal(files.image.filename, 'face.png');
+    assert.equal(files.image.contentType, 'image/png');
+    assert.deepEqual(files.image.data, PNG_BYTES);
+  });
+  
+  it('accepts a quoted boundary', () => {
+    const body = buildMultipart('quoted boundary', [
+      { headers: ['Content-Disposition: form-data; name="note"'], data: 'hello' }
+    ]);
+    
+    assert.deepEqual(parseMultipart(body, 'multipart/form-data; boundary="quoted boundary"').fields, { note: 'hello' });
+  });
+  
+  it('rejects bodies without a boundary or a closing delimiter', () => {
+    const body = buildMultipart('form-boundary', [
+      { headers: ['Content-Disposition: form-data; name="note"'], data: 'hello' }
+    ]);
+    
+    assert.throws(() => parseMultipart(body, 'multipart/form-data'), /Missing multipart boundary/);
+    assert.throws(() => parseMultipart(body, 'multipart/form-data; boundary=other'), /boundary not found/);
+    assert.throws(
+      () => parseMultipart(Buffer.from('--form-boundary\r\nContent-Disposition: form-data; name="note"\r\n\r\nhello'), 'multipart/form-data; boundary=form-boundary'),
+      /missing closing boundary/
+    );
+  });
+});
+
+describe('decodeImageData', () => {
+  it('decodes base64 with or without a data: URL prefix', () => {
+    const base64 = PNG_BYTES.toString('base64');
+    
+    assert.deepEqual(decodeImageData(base64).buffer, PNG_BYTES);
+    assert.deepEqual(decodeImageData(`data:image/png;base64,${base64}`).buffer, PNG_BYTES);
+  });
+  
+  it('rejects invalid base64, oversized data and non-images', () => {
+    assert.deepEqual(decodeImageData('not base64!'), { valid: false, error: 'imageData is not valid base64' });
+    assert.equal(decodeImageData(PNG_BYTES.toString('base64'), 8).statusCode, 413);
+    assert.match(decodeImageData(Buffer.from('plain text').toString('base64')).error, /^Invalid imageData:/);
+    assert.equal(decodeImageData(42).valid, false);
+  });
+});
+
+describe('parseProcessingPayload', () => {
+  it('reads the payload field and image file part of a multipart request', () => {
+    const body = buildMultipart('form-boundary', [
+      { headers: ['Content-Disposition: form-data; name="payload"'], data: '{"characterId":"42"}' },
+      { headers: ['Content-Disposition: form-data; name="image"; filename="face.png"'], data: PNG_BYTES }
+    ]);
+    
+    const result = parseProcessingPayload(body, 'multipart/form-data; boundary=form-boundary');
+    
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data, { characterId: '42' });
+    assert.deepEqual(result.imageBuffer, PNG_BYTES);
+  });
+  
+  it('rejects a multipart request that also names an imageUrl', () => {
+    const body = buildMultipart('form-boundary', [
+      { headers: ['Content-Disposition: form-data; name="payload"'], data: '{"characterId":"42","imageUrl":"https://example.com/a.png"}' },
+      { headers: ['Content-Disposition: form-data; name="image"; filename="face.png"'], data: PNG_BYTES }
+    ]);
+    
+    assert.deepEqual(parseProcessingPayload(body, 'multipart/form-data; boundary=form-boundary'), {
+      success: false,
+      error: 'Provide only one of imageUrl, imageData or an uploaded image',
+      statusCode: 400
+    });
+  });
+  
+  it('moves JSON imageData out of the payload and into the image buffer', () => {
+    const body = Buffer.from(JSON.stringify({ characterId: '42', imageData: PNG_BYTES.toString('base64') }));
+    
+    const result = parseProcessingPayload(body, 'application/json');
+    
+    assert.equal(result.success, true);
+    assert.equal(result.data.imageData, undefined);
+    assert.deepEqual(result.imageBuffer, PNG_BYTES);
+  });
+});
+
+describe('readRequestBody', () => {
+  it('reads a streamed body', async () => {
+    const req = Object.assign(Readable.from([Buffer.from('{"a":'), Buffer.from('1}')]), { headers: {} });
+    
+    assert.equal((await readRequestBody(req, 64)).toString(), '{"a":1}');
+  });
+  
+  it('rejects bodies over the limit, whether declared or streamed', async () => {
+    const declared = { headers: { 'content-length': '1000' }, body: {} };
+    const streamed = Object.assign(Readable.from([Buffer.alloc(40), Buffer.alloc(40)]), { headers: {} });
+    
+    await assert.rejects(readRequestBody(declared, 64), { code: 'PAYLOAD_TOO_LARGE', statusCode: 413 });
+    await assert.rejects(readRequestBody(streamed, 64), { code: 'PAYLOAD_TOO_LARGE' });
+  });
+});